@@ -1,5 +1,18 @@
 -- Medical Consultation App Database Schema
 
+-- Search: accent-insensitive French full-text search and trigram fuzzy matching
+CREATE EXTENSION IF NOT EXISTS unaccent;
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- unaccent() is only STABLE; this wrapper can be used in indexes and generated columns
+CREATE OR REPLACE FUNCTION immutable_unaccent(text) RETURNS text AS $$
+    SELECT public.unaccent('public.unaccent', $1)
+$$ LANGUAGE sql IMMUTABLE PARALLEL SAFE STRICT;
+
+CREATE TEXT SEARCH CONFIGURATION fr_unaccent (COPY = french);
+ALTER TEXT SEARCH CONFIGURATION fr_unaccent
+    ALTER MAPPING FOR hword, hword_part, word WITH unaccent, french_stem;
+
 -- Users table
 CREATE TABLE users (
     id SERIAL PRIMARY KEY,
@@ -14,7 +27,49 @@ CREATE TABLE users (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     is_active BOOLEAN DEFAULT true,
-    role VARCHAR(20) DEFAULT 'patient' -- 'patient', 'doctor', 'admin'
+    role VARCHAR(20) DEFAULT 'patient', -- 'patient', 'doctor', 'admin'
+    preferred_language VARCHAR(2) DEFAULT 'fr', -- 'fr', 'en'
+    email_verified_at TIMESTAMP,
+    password_changed_at TIMESTAMPTZ, -- Access tokens issued before this are rejected (compared with JWT iat)
+    two_factor_secret TEXT, -- Encrypted TOTP secret (set during enrolment, before it is enabled)
+    two_factor_enabled_at TIMESTAMPTZ, -- Compared with JWT iat: sessions verified before it do not count
+    two_factor_last_step BIGINT -- Last accepted TOTP time step, so a code cannot be replayed
+);
+
+-- Patient Dependents table (family members without an account, managed by a
+-- guardian who books and reads records on their behalf)
+CREATE TABLE patient_dependents (
+    id SERIAL PRIMARY KEY,
+    guardian_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    first_name VARCHAR(100) NOT NULL,
+    last_name VARCHAR(100) NOT NULL,
+    date_of_birth DATE NOT NULL,
+    gender VARCHAR(10),
+    relationship VARCHAR(20) NOT NULL, -- 'child', 'spouse', 'parent', 'sibling', 'other'
+    is_active BOOLEAN DEFAULT true, -- Removed dependents are kept for their history
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Account Tokens table (single-use, expiring links sent by email; only the hash is stored)
+CREATE TABLE account_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    purpose VARCHAR(30) NOT NULL, -- 'email_verification', 'password_reset', 'email_change'
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    email VARCHAR(255) NOT NULL, -- Address the link was sent to (the new one for an email change)
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Two-Factor Recovery Codes table (single-use backup codes; only the hash is stored)
+CREATE TABLE two_factor_recovery_codes (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
 -- Specialties table
@@ -23,6 +78,10 @@ CREATE TABLE specialties (
     name VARCHAR(100) UNIQUE NOT NULL,
     icon VARCHAR(10),
     description TEXT,
+    search_vector TSVECTOR GENERATED ALWAYS AS (
+        setweight(to_tsvector('fr_unaccent', name), 'A') ||
+        setweight(to_tsvector('fr_unaccent', coalesce(description, '')), 'B')
+    ) STORED,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -46,7 +105,14 @@ CREATE TABLE doctors (
     insurance_accepted TEXT[], -- Array of insurance providers
     consultation_modes TEXT[], -- ['ONLINE', 'OFFLINE']
     is_verified BOOLEAN DEFAULT false,
+    verification_status VARCHAR(20) DEFAULT 'pending', -- 'pending', 'approved', 'rejected'
+    rejection_reason TEXT,
+    submitted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    reviewed_at TIMESTAMP,
+    reviewed_by INTEGER REFERENCES users(id),
     is_available BOOLEAN DEFAULT true,
+    search_vector TSVECTOR, -- Maintained by doctors_search_refresh()
+    search_text TEXT, -- Unaccented name and specialties, for fuzzy matching
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -72,6 +138,29 @@ CREATE TABLE doctor_certifications (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Stored Files table (uploaded documents and attachments, kept in the database
+-- because the serverless deployment has no persistent disk)
+CREATE TABLE stored_files (
+    id SERIAL PRIMARY KEY,
+    path VARCHAR(500) UNIQUE NOT NULL, -- '<directory>/<uuid><ext>', referenced by file_path columns
+    mime_type VARCHAR(100) NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    data BYTEA NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Doctor Documents table (license scans, diplomas submitted for verification)
+CREATE TABLE doctor_documents (
+    id SERIAL PRIMARY KEY,
+    doctor_id INTEGER REFERENCES doctors(id) ON DELETE CASCADE,
+    document_type VARCHAR(30) NOT NULL, -- 'license', 'diploma', 'certification', 'identity', 'other'
+    file_path VARCHAR(500) NOT NULL,
+    original_name VARCHAR(255),
+    mime_type VARCHAR(100),
+    size_bytes INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Doctor Availability table
 CREATE TABLE doctor_availability (
     id SERIAL PRIMARY KEY,
@@ -79,8 +168,28 @@ CREATE TABLE doctor_availability (
     day_of_week INTEGER, -- 0=Sunday, 1=Monday, etc.
     start_time TIME,
     end_time TIME,
+    slot_duration_minutes INTEGER DEFAULT 30,
+    consultation_mode VARCHAR(10), -- 'ONLINE', 'OFFLINE' or NULL for any of the doctor's modes
     is_available BOOLEAN DEFAULT true,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (end_time > start_time)
+);
+
+-- Doctor Schedule Exceptions table (time off, holidays, one-off extra clinics)
+CREATE TABLE doctor_schedule_exceptions (
+    id SERIAL PRIMARY KEY,
+    doctor_id INTEGER REFERENCES doctors(id) ON DELETE CASCADE,
+    exception_type VARCHAR(20) NOT NULL, -- 'unavailable' or 'extra'
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    start_time TIME, -- NULL with end_time for a whole-day 'unavailable' range
+    end_time TIME,
+    slot_duration_minutes INTEGER DEFAULT 30, -- 'extra' windows only
+    consultation_mode VARCHAR(10), -- 'extra' windows only
+    reason VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (end_date >= start_date),
+    CHECK ((start_time IS NULL AND end_time IS NULL) OR end_time > start_time)
 );
 
 -- Doctor Time Slots table
@@ -99,7 +208,8 @@ CREATE TABLE doctor_time_slots (
 -- Appointments table
 CREATE TABLE appointments (
     id SERIAL PRIMARY KEY,
-    patient_id INTEGER REFERENCES users(id),
+    patient_id INTEGER REFERENCES users(id), -- Account holder (the guardian when booked for a dependent)
+    dependent_id INTEGER REFERENCES patient_dependents(id), -- NULL when the consultation is for the account holder
     doctor_id INTEGER REFERENCES doctors(id),
     slot_id INTEGER REFERENCES doctor_time_slots(id),
     appointment_date DATE NOT NULL,
@@ -111,12 +221,64 @@ CREATE TABLE appointments (
     notes TEXT,
     prescription TEXT,
     consultation_fee DECIMAL(10,2),
-    payment_status VARCHAR(20) DEFAULT 'pending', -- 'pending', 'paid', 'refunded'
+    payment_status VARCHAR(20) DEFAULT 'pending', -- 'pending', 'paid', 'refunded', 'partially_refunded'
+    cancellation_policy JSONB, -- Cancellation terms in force when the patient booked
     meeting_link VARCHAR(500), -- For online consultations
+    video_provider VARCHAR(20), -- 'jitsi', 'local'
+    video_room VARCHAR(100),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Appointment Messages table (patient/doctor thread of an appointment)
+CREATE TABLE appointment_messages (
+    id SERIAL PRIMARY KEY,
+    appointment_id INTEGER REFERENCES appointments(id) ON DELETE CASCADE,
+    sender_id INTEGER REFERENCES users(id),
+    body TEXT,
+    read_at TIMESTAMP, -- Set when the other participant reads it
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Appointment Message Attachments table
+CREATE TABLE appointment_message_attachments (
+    id SERIAL PRIMARY KEY,
+    message_id INTEGER REFERENCES appointment_messages(id) ON DELETE CASCADE,
+    file_path VARCHAR(500) NOT NULL,
+    original_name VARCHAR(255) NOT NULL,
+    mime_type VARCHAR(100) NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Appointment Video Events table (join/leave trail for dispute resolution)
+CREATE TABLE appointment_video_events (
+    id SERIAL PRIMARY KEY,
+    appointment_id INTEGER REFERENCES appointments(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id),
+    event_type VARCHAR(10) NOT NULL CHECK (event_type IN ('join', 'leave')),
+    ip_address VARCHAR(45),
+    user_agent VARCHAR(500),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Appointment Reschedules table (audit of previous times)
+CREATE TABLE appointment_reschedules (
+    id SERIAL PRIMARY KEY,
+    appointment_id INTEGER REFERENCES appointments(id) ON DELETE CASCADE,
+    previous_slot_id INTEGER REFERENCES doctor_time_slots(id),
+    previous_date DATE NOT NULL,
+    previous_time TIME NOT NULL,
+    previous_consultation_mode VARCHAR(10),
+    new_slot_id INTEGER REFERENCES doctor_time_slots(id),
+    new_date DATE NOT NULL,
+    new_time TIME NOT NULL,
+    new_consultation_mode VARCHAR(10),
+    rescheduled_by INTEGER REFERENCES users(id),
+    reason TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Reviews table
 CREATE TABLE reviews (
     id SERIAL PRIMARY KEY,
@@ -125,7 +287,15 @@ CREATE TABLE reviews (
     appointment_id INTEGER REFERENCES appointments(id),
     rating INTEGER CHECK (rating >= 1 AND rating <= 5),
     review_text TEXT,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    doctor_reply TEXT,
+    doctor_replied_at TIMESTAMP,
+    is_hidden BOOLEAN DEFAULT false,
+    hidden_reason VARCHAR(255),
+    moderated_by INTEGER REFERENCES users(id),
+    moderated_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(appointment_id)
 );
 
 -- Notifications table
@@ -140,10 +310,40 @@ CREATE TABLE notifications (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Appointment Reminders table (one row per reminder sent; the unique key prevents duplicates)
+CREATE TABLE appointment_reminders (
+    id SERIAL PRIMARY KEY,
+    appointment_id INTEGER REFERENCES appointments(id) ON DELETE CASCADE,
+    offset_minutes INTEGER NOT NULL, -- e.g. 1440 for J-1, 120 for H-2
+    scheduled_for TIMESTAMP NOT NULL, -- appointment start minus offset, changes on reschedule
+    sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(appointment_id, offset_minutes, scheduled_for)
+);
+
+-- Email Outbox table (delivered by the send-emails job with retry/backoff)
+CREATE TABLE email_outbox (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    to_email VARCHAR(255) NOT NULL,
+    template VARCHAR(50) NOT NULL,
+    locale VARCHAR(2) NOT NULL,
+    subject VARCHAR(255) NOT NULL,
+    html_body TEXT NOT NULL,
+    text_body TEXT NOT NULL,
+    related_appointment_id INTEGER REFERENCES appointments(id),
+    status VARCHAR(20) DEFAULT 'pending', -- 'pending', 'sent', 'failed', 'cancelled'
+    attempts INTEGER DEFAULT 0,
+    next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_error TEXT,
+    sent_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Medical Records table
 CREATE TABLE medical_records (
     id SERIAL PRIMARY KEY,
     patient_id INTEGER REFERENCES users(id),
+    dependent_id INTEGER REFERENCES patient_dependents(id), -- Copied from the appointment
     doctor_id INTEGER REFERENCES doctors(id),
     appointment_id INTEGER REFERENCES appointments(id),
     diagnosis TEXT,
@@ -151,8 +351,71 @@ CREATE TABLE medical_records (
     treatment_plan TEXT,
     medications TEXT,
     follow_up_date DATE,
+    current_version INTEGER DEFAULT 1,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(appointment_id)
+);
+
+-- Medical Record Versions table (append-only; the record row mirrors the latest version)
+CREATE TABLE medical_record_versions (
+    id SERIAL PRIMARY KEY,
+    record_id INTEGER REFERENCES medical_records(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    diagnosis TEXT,
+    symptoms TEXT,
+    treatment_plan TEXT,
+    medications TEXT,
+    follow_up_date DATE,
+    amended_by INTEGER REFERENCES users(id),
+    amendment_reason TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(record_id, version)
+);
+
+-- Medical Record Consents table (patient grants a doctor access to their history)
+CREATE TABLE medical_record_consents (
+    id SERIAL PRIMARY KEY,
+    patient_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    dependent_id INTEGER REFERENCES patient_dependents(id) ON DELETE CASCADE, -- Granted by the guardian for a dependent
+    doctor_id INTEGER REFERENCES doctors(id) ON DELETE CASCADE,
+    expires_at TIMESTAMP,
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Prescriptions table (structured, signed e-prescriptions)
+CREATE TABLE prescriptions (
+    id SERIAL PRIMARY KEY,
+    public_id UUID UNIQUE NOT NULL, -- printed on the PDF, used for public verification
+    appointment_id INTEGER REFERENCES appointments(id),
+    patient_id INTEGER REFERENCES users(id),
+    -- The dependent treated, copied at issue time so later edits cannot change a signed prescription
+    dependent_id INTEGER REFERENCES patient_dependents(id),
+    dependent_first_name VARCHAR(100),
+    dependent_last_name VARCHAR(100),
+    dependent_date_of_birth DATE,
+    doctor_id INTEGER REFERENCES doctors(id),
+    license_number VARCHAR(50) NOT NULL, -- the prescriber's license when issued, printed and signed
+    notes TEXT,
+    content_hash VARCHAR(64) NOT NULL, -- SHA-256 of the canonical prescription content
+    signature VARCHAR(64) NOT NULL, -- HMAC-SHA256 of content_hash with the signing secret
+    issued_at TIMESTAMPTZ NOT NULL, -- signed: must read back as the same instant whatever the server time zone
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Prescription Items table
+CREATE TABLE prescription_items (
+    id SERIAL PRIMARY KEY,
+    prescription_id INTEGER REFERENCES prescriptions(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    medication VARCHAR(200) NOT NULL,
+    dosage VARCHAR(100) NOT NULL,
+    frequency VARCHAR(100) NOT NULL,
+    duration VARCHAR(100) NOT NULL,
+    quantity VARCHAR(50),
+    instructions TEXT
 );
 
 -- Payments table
@@ -162,13 +425,161 @@ CREATE TABLE payments (
     amount DECIMAL(10,2) NOT NULL,
     currency VARCHAR(3) DEFAULT 'EUR',
     payment_method VARCHAR(50), -- 'card', 'paypal', 'bank_transfer'
-    payment_status VARCHAR(20) DEFAULT 'pending', -- 'pending', 'completed', 'failed', 'refunded'
+    payment_status VARCHAR(20) DEFAULT 'pending', -- 'pending', 'completed', 'failed', 'cancelled', 'refunded', 'partially_refunded'
+    payment_type VARCHAR(30) DEFAULT 'consultation', -- 'consultation', 'late_cancellation_fee', 'no_show_fee'
+    provider VARCHAR(20), -- 'mock', 'stripe'
     transaction_id VARCHAR(100),
+    refunded_amount DECIMAL(10,2) DEFAULT 0,
+    refund_transaction_id VARCHAR(100),
     gateway_response TEXT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Payment Outbox table (provider calls made once the change asking for them has
+-- committed: refunds and intent cancellations)
+CREATE TABLE payment_outbox (
+    id SERIAL PRIMARY KEY,
+    payment_id INTEGER REFERENCES payments(id),
+    operation VARCHAR(20) NOT NULL, -- 'refund', 'cancel_intent'
+    amount DECIMAL(10,2), -- Refunds only
+    status VARCHAR(20) DEFAULT 'pending', -- 'pending', 'completed', 'failed'
+    attempts INTEGER DEFAULT 0,
+    next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_error TEXT,
+    provider_reference VARCHAR(100), -- Refund ID returned by the provider
+    completed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Doctor Cancellation Policies table (doctors without a row use the platform default from env)
+CREATE TABLE doctor_cancellation_policies (
+    doctor_id INTEGER PRIMARY KEY REFERENCES doctors(id) ON DELETE CASCADE,
+    free_cancellation_hours INTEGER NOT NULL CHECK (free_cancellation_hours >= 0),
+    late_cancellation_fee_percent INTEGER NOT NULL CHECK (late_cancellation_fee_percent BETWEEN 0 AND 100),
+    no_show_fee_percent INTEGER NOT NULL CHECK (no_show_fee_percent BETWEEN 0 AND 100),
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Payment Webhook Events table (idempotency: each provider event is processed once)
+CREATE TABLE payment_webhook_events (
+    id SERIAL PRIMARY KEY,
+    provider VARCHAR(20) NOT NULL,
+    event_id VARCHAR(255) NOT NULL,
+    event_type VARCHAR(100),
+    processed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(provider, event_id)
+);
+
+-- Refresh Tokens table (rotating, one family per login session)
+CREATE TABLE refresh_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) UNIQUE NOT NULL, -- SHA-256 of the opaque token
+    family_id UUID NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    replaced_by INTEGER REFERENCES refresh_tokens(id),
+    user_agent VARCHAR(255),
+    ip_address VARCHAR(45),
+    mfa BOOLEAN DEFAULT false, -- Session opened with a second factor (kept across rotations)
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Admin Audit Log table (every back-office action)
+CREATE TABLE admin_audit_log (
+    id SERIAL PRIMARY KEY,
+    admin_id INTEGER REFERENCES users(id),
+    action VARCHAR(50) NOT NULL, -- e.g. 'user.deactivate', 'specialty.merge'
+    target_type VARCHAR(30) NOT NULL, -- 'user', 'specialty', 'appointment', 'review', 'doctor'
+    target_id INTEGER,
+    details JSONB,
+    ip_address VARCHAR(45),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Access Audit Log table (append-only, hash-chained trail of access to patient data)
+CREATE TABLE access_audit_log (
+    id BIGSERIAL PRIMARY KEY,
+    patient_id INTEGER REFERENCES users(id),
+    actor_id INTEGER REFERENCES users(id),
+    actor_role VARCHAR(20) NOT NULL,
+    action VARCHAR(50) NOT NULL, -- e.g. 'appointment.view', 'appointment.status_change'
+    resource_type VARCHAR(30) NOT NULL, -- 'appointment', 'medical_record', 'prescription'
+    resource_id INTEGER,
+    changes JSONB, -- { field: { before, after } } for modifications
+    ip_address VARCHAR(45),
+    request_id VARCHAR(64),
+    created_at TIMESTAMPTZ NOT NULL,
+    previous_hash CHAR(64) NOT NULL,
+    hash CHAR(64) UNIQUE NOT NULL -- SHA-256 of the entry including previous_hash
+);
+
+-- Entries can only ever be appended
+CREATE OR REPLACE FUNCTION access_audit_log_immutable() RETURNS trigger AS $$
+BEGIN
+    RAISE EXCEPTION 'access_audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER access_audit_log_no_update
+    BEFORE UPDATE OR DELETE ON access_audit_log
+    FOR EACH ROW EXECUTE FUNCTION access_audit_log_immutable();
+
+CREATE TRIGGER access_audit_log_no_truncate
+    BEFORE TRUNCATE ON access_audit_log
+    FOR EACH STATEMENT EXECUTE FUNCTION access_audit_log_immutable();
+
+-- Doctor search document: the name lives in users and the specialty in
+-- specialties, so it is kept up to date by triggers instead of a generated column
+CREATE OR REPLACE FUNCTION doctors_search_refresh() RETURNS trigger AS $$
+DECLARE
+    doctor_name TEXT;
+    specialty_name TEXT;
+BEGIN
+    SELECT first_name || ' ' || last_name INTO doctor_name FROM users WHERE id = NEW.user_id;
+    SELECT name INTO specialty_name FROM specialties WHERE id = NEW.specialty_id;
+
+    NEW.search_vector :=
+        setweight(to_tsvector('fr_unaccent', coalesce(doctor_name, '')), 'A') ||
+        setweight(to_tsvector('fr_unaccent', coalesce(specialty_name, '')), 'A') ||
+        setweight(to_tsvector('fr_unaccent', coalesce(NEW.sub_specialty, '')), 'B') ||
+        setweight(to_tsvector('fr_unaccent', array_to_string(coalesce(NEW.languages, '{}'), ' ')), 'B') ||
+        setweight(to_tsvector('fr_unaccent', coalesce(NEW.qualifications, '')), 'C') ||
+        setweight(to_tsvector('fr_unaccent', coalesce(NEW.bio, '')), 'D');
+    NEW.search_text := immutable_unaccent(lower(concat_ws(' ', doctor_name, specialty_name, NEW.sub_specialty)));
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER doctors_search_refresh
+    BEFORE INSERT OR UPDATE OF user_id, specialty_id, sub_specialty, qualifications, bio, languages ON doctors
+    FOR EACH ROW EXECUTE FUNCTION doctors_search_refresh();
+
+-- Renaming a user or a specialty touches the matching doctors to refresh them
+CREATE OR REPLACE FUNCTION users_search_propagate() RETURNS trigger AS $$
+BEGIN
+    UPDATE doctors SET user_id = user_id WHERE user_id = NEW.id;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER users_search_propagate
+    AFTER UPDATE OF first_name, last_name ON users
+    FOR EACH ROW EXECUTE FUNCTION users_search_propagate();
+
+CREATE OR REPLACE FUNCTION specialties_search_propagate() RETURNS trigger AS $$
+BEGIN
+    UPDATE doctors SET specialty_id = specialty_id WHERE specialty_id = NEW.id;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER specialties_search_propagate
+    AFTER UPDATE OF name ON specialties
+    FOR EACH ROW EXECUTE FUNCTION specialties_search_propagate();
+
 -- Insert initial specialties
 INSERT INTO specialties (name, icon, description) VALUES
 ('Cardiologie', '❤️', 'Spécialiste des maladies cardiovasculaires'),
@@ -185,9 +596,46 @@ INSERT INTO specialties (name, icon, description) VALUES
 -- Create indexes for better performance
 CREATE INDEX idx_users_email ON users(email);
 CREATE INDEX idx_doctors_specialty ON doctors(specialty_id);
+CREATE INDEX idx_doctors_coordinates ON doctors(coordinates_lat, coordinates_lng);
+CREATE INDEX idx_doctors_languages ON doctors USING GIN (languages);
+CREATE INDEX idx_doctors_insurance ON doctors USING GIN (insurance_accepted);
+CREATE INDEX idx_doctors_search_vector ON doctors USING GIN (search_vector);
+CREATE INDEX idx_doctors_search_text ON doctors USING GIN (search_text gin_trgm_ops);
+CREATE INDEX idx_specialties_search_vector ON specialties USING GIN (search_vector);
+CREATE INDEX idx_specialties_name_trgm ON specialties USING GIN (immutable_unaccent(lower(name)) gin_trgm_ops);
+CREATE INDEX idx_doctors_verification_status ON doctors(verification_status);
+CREATE INDEX idx_doctor_documents_doctor ON doctor_documents(doctor_id);
+CREATE INDEX idx_patient_dependents_guardian ON patient_dependents(guardian_id);
+CREATE INDEX idx_account_tokens_user_purpose ON account_tokens(user_id, purpose);
+CREATE INDEX idx_two_factor_recovery_codes_user ON two_factor_recovery_codes(user_id);
 CREATE INDEX idx_appointments_patient ON appointments(patient_id);
+CREATE INDEX idx_appointments_dependent ON appointments(dependent_id) WHERE dependent_id IS NOT NULL;
 CREATE INDEX idx_appointments_doctor ON appointments(doctor_id);
 CREATE INDEX idx_appointments_date ON appointments(appointment_date);
+-- At most one active appointment per slot, whatever the application does
+CREATE UNIQUE INDEX idx_appointments_active_slot ON appointments(slot_id) WHERE status IN ('scheduled', 'confirmed');
+CREATE INDEX idx_appointment_reschedules_appointment ON appointment_reschedules(appointment_id);
+CREATE INDEX idx_appointment_video_events_appointment ON appointment_video_events(appointment_id);
+CREATE INDEX idx_appointment_messages_appointment ON appointment_messages(appointment_id, id);
+CREATE INDEX idx_appointment_message_attachments_message ON appointment_message_attachments(message_id);
 CREATE INDEX idx_notifications_user ON notifications(user_id);
+CREATE INDEX idx_notifications_user_unread ON notifications(user_id) WHERE is_read = false;
+CREATE INDEX idx_email_outbox_pending ON email_outbox(next_attempt_at) WHERE status = 'pending';
+CREATE INDEX idx_payment_outbox_pending ON payment_outbox(next_attempt_at) WHERE status = 'pending';
 CREATE INDEX idx_reviews_doctor ON reviews(doctor_id);
-CREATE INDEX idx_time_slots_doctor_date ON doctor_time_slots(doctor_id, slot_date);
\ No newline at end of file
+CREATE INDEX idx_medical_records_patient ON medical_records(patient_id);
+CREATE INDEX idx_prescriptions_patient ON prescriptions(patient_id);
+CREATE INDEX idx_prescriptions_appointment ON prescriptions(appointment_id);
+CREATE INDEX idx_payments_appointment ON payments(appointment_id);
+CREATE UNIQUE INDEX idx_payments_provider_transaction ON payments(provider, transaction_id);
+CREATE INDEX idx_medical_record_consents_patient_doctor ON medical_record_consents(patient_id, doctor_id);
+CREATE INDEX idx_time_slots_doctor_date ON doctor_time_slots(doctor_id, slot_date);
+CREATE INDEX idx_time_slots_open ON doctor_time_slots(doctor_id, slot_date, slot_time) WHERE is_booked = false;
+CREATE INDEX idx_availability_doctor_day ON doctor_availability(doctor_id, day_of_week);
+CREATE INDEX idx_schedule_exceptions_doctor_dates ON doctor_schedule_exceptions(doctor_id, start_date, end_date);
+CREATE INDEX idx_refresh_tokens_user ON refresh_tokens(user_id);
+CREATE INDEX idx_refresh_tokens_family ON refresh_tokens(family_id);
+CREATE INDEX idx_admin_audit_log_admin ON admin_audit_log(admin_id, created_at);
+CREATE INDEX idx_admin_audit_log_target ON admin_audit_log(target_type, target_id);
+CREATE INDEX idx_access_audit_log_patient ON access_audit_log(patient_id, created_at);
+CREATE INDEX idx_access_audit_log_actor ON access_audit_log(actor_id, created_at);
\ No newline at end of file
@@ -1,8 +1,28 @@
 const jwt = require('jsonwebtoken');
 const { query } = require('../config/database');
+const { isTwoFactorRequired } = require('../services/two-factor');
 
-// Middleware to authenticate JWT tokens
-const authenticateToken = async (req, res, next) => {
+// Sessions end when the password changes: reject access tokens signed before
+// that (iat has a one-second resolution)
+const issuedBeforePasswordChange = (decoded, user) =>
+  Boolean(user.password_changed_at) &&
+  decoded.iat < Math.floor(new Date(user.password_changed_at).getTime() / 1000);
+
+// The mfa claim only counts for the current enrolment: an admin reset voids it,
+// and tokens from before a re-enrolment do not come back to life
+const passedSecondFactor = (decoded, user) =>
+  decoded.mfa === true &&
+  Boolean(user.two_factor_enabled_at) &&
+  decoded.iat >= Math.floor(new Date(user.two_factor_enabled_at).getTime() / 1000);
+
+const missingSecondFactor = (user) => !user.twoFactorVerified && isTwoFactorRequired(user);
+
+const userColumns = 'id, email, first_name, last_name, role, is_active, password_changed_at, two_factor_enabled_at';
+
+// Middleware to authenticate JWT tokens. Doctors and admins need a token issued
+// after a second factor, except on the routes that set one up
+// (allowPendingTwoFactor).
+const authenticate = ({ allowPendingTwoFactor = false } = {}) => async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
@@ -17,10 +37,7 @@ const authenticateToken = async (req, res, next) => {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
     // Get fresh user data from database
-    const userResult = await query(
-      'SELECT id, email, first_name, last_name, role, is_active FROM users WHERE id = $1',
-      [decoded.id]
-    );
+    const userResult = await query(`SELECT ${userColumns} FROM users WHERE id = $1`, [decoded.id]);
 
     if (userResult.rows.length === 0) {
       return res.status(401).json({
@@ -38,6 +55,13 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    if (issuedBeforePasswordChange(decoded, user)) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Token has been revoked'
+      });
+    }
+
     // Attach user info to request
     req.user = {
       id: user.id,
@@ -45,9 +69,17 @@ const authenticateToken = async (req, res, next) => {
       firstName: user.first_name,
       lastName: user.last_name,
       role: user.role,
-      isActive: user.is_active
+      isActive: user.is_active,
+      twoFactorVerified: passedSecondFactor(decoded, user)
     };
 
+    if (!allowPendingTwoFactor && missingSecondFactor(req.user)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Two-factor authentication required'
+      });
+    }
+
     next();
   } catch (error) {
     console.error('JWT verification error:', error);
@@ -73,6 +105,11 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+const authenticateToken = authenticate();
+
+// For the endpoints that enrol or check a second factor
+const authenticatePendingTwoFactor = authenticate({ allowPendingTwoFactor: true });
+
 // Middleware to authorize specific roles
 const authorize = (...allowedRoles) => {
   return (req, res, next) => {
@@ -103,6 +140,13 @@ const requireDoctor = async (req, res, next) => {
     });
   }
 
+  if (missingSecondFactor(req.user)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Two-factor authentication required'
+    });
+  }
+
   try {
     // Get doctor profile
     const doctorResult = await query(
@@ -162,6 +206,14 @@ const requireAdmin = (req, res, next) => {
       message: 'Admin access required'
     });
   }
+
+  if (missingSecondFactor(req.user)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Two-factor authentication required'
+    });
+  }
+
   next();
 };
 
@@ -206,21 +258,25 @@ const optionalAuth = async (req, res, next) => {
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
-    const userResult = await query(
-      'SELECT id, email, first_name, last_name, role, is_active FROM users WHERE id = $1',
-      [decoded.id]
-    );
+    const userResult = await query(`SELECT ${userColumns} FROM users WHERE id = $1`, [decoded.id]);
 
-    if (userResult.rows.length > 0 && userResult.rows[0].is_active) {
+    if (userResult.rows.length > 0 && userResult.rows[0].is_active &&
+        !issuedBeforePasswordChange(decoded, userResult.rows[0])) {
       const user = userResult.rows[0];
-      req.user = {
+      const authenticatedUser = {
         id: user.id,
         email: user.email,
         firstName: user.first_name,
         lastName: user.last_name,
         role: user.role,
-        isActive: user.is_active
+        isActive: user.is_active,
+        twoFactorVerified: passedSecondFactor(decoded, user)
       };
+
+      // Without the second factor, doctors and admins are treated as anonymous
+      if (!missingSecondFactor(authenticatedUser)) {
+        req.user = authenticatedUser;
+      }
     }
   } catch (error) {
     // Silently continue without authentication if token is invalid
@@ -230,12 +286,29 @@ const optionalAuth = async (req, res, next) => {
   next();
 };
 
+// Middleware for scheduled job endpoints (Vercel cron sends the secret as a bearer token)
+const requireCronSecret = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!process.env.CRON_SECRET || token !== process.env.CRON_SECRET) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Invalid cron secret'
+    });
+  }
+
+  next();
+};
+
 module.exports = {
   authenticateToken,
+  authenticatePendingTwoFactor,
   authorize,
   requireDoctor,
   requirePatient,
   requireAdmin,
   requireOwnership,
-  optionalAuth
+  optionalAuth,
+  requireCronSecret
 };
\ No newline at end of file
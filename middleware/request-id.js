@@ -0,0 +1,14 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Tag every request with an ID (reusing a sane X-Request-Id from the proxy) and
+// echo it back, so log lines and audit entries can be correlated
+const requestId = (req, res, next) => {
+  const incoming = req.headers['x-request-id'];
+  req.id = typeof incoming === 'string' && /^[\w-]{8,64}$/.test(incoming) ? incoming : uuidv4();
+  res.setHeader('X-Request-Id', req.id);
+  next();
+};
+
+module.exports = {
+  requestId
+};
@@ -0,0 +1,80 @@
+const path = require('path');
+const multer = require('multer');
+const { v4: uuidv4 } = require('uuid');
+const { query } = require('../config/database');
+
+// Uploads are kept in PostgreSQL (stored_files), not on local disk: the
+// serverless deployment has no persistent filesystem. Files stay in memory
+// until a route stores them, so a rejected request leaves nothing behind.
+// Vercel also caps request bodies at 4.5 MB whatever the limits below.
+
+const DEFAULT_MIME_TYPES = ['application/pdf', 'image/jpeg', 'image/png'];
+const DEFAULT_MAX_FILE_SIZE = 10 * 1024 * 1024; // 10 MB
+
+const createUpload = ({ allowedMimeTypes = DEFAULT_MIME_TYPES, maxFileSize = DEFAULT_MAX_FILE_SIZE }) => multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: maxFileSize },
+  fileFilter: (req, file, callback) => {
+    if (!allowedMimeTypes.includes(file.mimetype)) {
+      return callback(new Error(`Unsupported file type: ${file.mimetype}`));
+    }
+    callback(null, true);
+  }
+});
+
+// Middleware accepting up to maxCount files on a field, answering 400 on upload
+// errors. Each file gets the path it will be stored under, in `directory`.
+const uploadFiles = ({ directory, field, maxCount = 5, ...options }) => {
+  const upload = createUpload(options).array(field, maxCount);
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (error) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: error.code === 'LIMIT_FILE_SIZE' ? 'File is too large' : error.message
+        });
+      }
+
+      (req.files || []).forEach((file) => {
+        // Never trust the client file name in the stored path
+        file.storedPath = `${directory}/${uuidv4()}${path.extname(file.originalname).toLowerCase()}`;
+      });
+      next();
+    });
+  };
+};
+
+// Save an uploaded file (call inside the transaction recording it, so a
+// rollback drops the file too). Returns the path to store in file_path.
+const storeUpload = async (client, file) => {
+  await client.query(`
+    INSERT INTO stored_files (path, mime_type, size_bytes, data)
+    VALUES ($1, $2, $3, $4)
+  `, [file.storedPath, file.mimetype, file.size, file.buffer]);
+
+  return file.storedPath;
+};
+
+// Send a stored file as a download. Returns false when it does not exist.
+const sendStoredFile = async (res, storedPath, downloadName) => {
+  const result = await query(
+    'SELECT mime_type, data FROM stored_files WHERE path = $1',
+    [storedPath]
+  );
+
+  if (result.rows.length === 0) {
+    return false;
+  }
+
+  res.attachment(downloadName);
+  res.type(result.rows[0].mime_type);
+  res.send(result.rows[0].data);
+  return true;
+};
+
+module.exports = {
+  uploadFiles,
+  storeUpload,
+  sendStoredFile
+};
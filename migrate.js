@@ -39,17 +39,39 @@ async function runMigration() {
     console.log('✅ Database migration completed successfully!');
     console.log('📊 Created tables:');
     console.log(' - users');
+    console.log(' - patient_dependents');
+    console.log(' - account_tokens');
+    console.log(' - two_factor_recovery_codes');
     console.log(' - specialties');
     console.log(' - doctors');
     console.log(' - doctor_education');
     console.log(' - doctor_certifications');
+    console.log(' - stored_files');
+    console.log(' - doctor_documents');
     console.log(' - doctor_availability');
+    console.log(' - doctor_schedule_exceptions');
     console.log(' - doctor_time_slots');
     console.log(' - appointments');
+    console.log(' - appointment_reschedules');
+    console.log(' - appointment_messages');
+    console.log(' - appointment_message_attachments');
+    console.log(' - appointment_video_events');
     console.log(' - reviews');
     console.log(' - notifications');
+    console.log(' - appointment_reminders');
+    console.log(' - email_outbox');
     console.log(' - medical_records');
+    console.log(' - medical_record_versions');
+    console.log(' - medical_record_consents');
+    console.log(' - prescriptions');
+    console.log(' - prescription_items');
     console.log(' - payments');
+    console.log(' - payment_webhook_events');
+    console.log(' - payment_outbox');
+    console.log(' - doctor_cancellation_policies');
+    console.log(' - admin_audit_log');
+    console.log(' - access_audit_log');
+    console.log(' - refresh_tokens');
 
     // Verify tables were created
     const tableCheck = await pool.query(`
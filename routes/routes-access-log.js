@@ -0,0 +1,104 @@
+const express = require('express');
+const Joi = require('joi');
+const { query } = require('../config/database');
+const { authenticateToken, requirePatient } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Who accessed my data (patients only). The patient's own actions and
+// technical details such as IP addresses are left out.
+router.get('/me', authenticateToken, requirePatient, async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      resourceType: Joi.string().valid('appointment', 'medical_record', 'prescription').optional(),
+      from: Joi.date().iso().raw().optional(),
+      to: Joi.date().iso().raw().optional(),
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(50).default(20)
+    });
+
+    const { error, value } = validationSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    let whereConditions = ['l.patient_id = $1', 'l.actor_id IS DISTINCT FROM $1'];
+    let queryParams = [req.user.id];
+    let paramIndex = 2;
+
+    if (value.resourceType) {
+      whereConditions.push(`l.resource_type = $${paramIndex}`);
+      queryParams.push(value.resourceType);
+      paramIndex++;
+    }
+
+    if (value.from) {
+      whereConditions.push(`l.created_at >= $${paramIndex}`);
+      queryParams.push(value.from);
+      paramIndex++;
+    }
+
+    if (value.to) {
+      whereConditions.push(`l.created_at < $${paramIndex}::date + 1`);
+      queryParams.push(value.to);
+      paramIndex++;
+    }
+
+    const offset = (value.page - 1) * value.limit;
+
+    const [entriesResult, countResult] = await Promise.all([
+      query(`
+        SELECT l.id, l.actor_role, l.action, l.resource_type, l.resource_id, l.created_at,
+               u.first_name, u.last_name
+        FROM access_audit_log l
+        LEFT JOIN users u ON l.actor_id = u.id
+        WHERE ${whereConditions.join(' AND ')}
+        ORDER BY l.id DESC
+        LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+      `, [...queryParams, value.limit, offset]),
+      query(`
+        SELECT COUNT(*) as total
+        FROM access_audit_log l
+        WHERE ${whereConditions.join(' AND ')}
+      `, queryParams)
+    ]);
+
+    const total = parseInt(countResult.rows[0].total);
+    const totalPages = Math.ceil(total / value.limit);
+
+    res.json({
+      data: {
+        entries: entriesResult.rows.map(entry => ({
+          id: entry.id,
+          accessedBy: entry.first_name
+            ? `${entry.actor_role === 'doctor' ? 'Dr. ' : ''}${entry.first_name} ${entry.last_name}`
+            : null,
+          role: entry.actor_role,
+          action: entry.action,
+          resourceType: entry.resource_type,
+          resourceId: entry.resource_id,
+          accessedAt: entry.created_at
+        })),
+        pagination: {
+          currentPage: value.page,
+          itemsPerPage: value.limit,
+          totalItems: total,
+          totalPages,
+          hasNextPage: value.page < totalPages,
+          hasPreviousPage: value.page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get access log error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch access log'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,1364 @@
+const express = require('express');
+const Joi = require('joi');
+const { query, transaction } = require('../config/database');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { logAdminAction } = require('../services/admin-audit');
+const { revokeAllForUser } = require('../services/tokens');
+const { cancelPendingReminders } = require('../services/reminders');
+const { cancelPendingPayments } = require('../services/payments');
+const { ensureMeetingRoom } = require('../services/video');
+const { recordAccess, verifyChain } = require('../services/access-audit');
+const { dependentColumns, dependentSummary } = require('../services/dependents');
+const { clearTwoFactor } = require('../services/two-factor');
+const { enqueueEmail } = require('../services/mailer');
+
+const router = express.Router();
+
+// Every route here is admin-only
+router.use(authenticateToken, requireAdmin);
+
+const ACTIVE_STATUSES = ['scheduled', 'confirmed'];
+
+const STATUS_LABELS = {
+  scheduled: 'planifié',
+  confirmed: 'confirmé',
+  completed: 'terminé',
+  cancelled: 'annulé',
+  no_show: 'absence'
+};
+
+const paginationSchema = {
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+};
+
+const buildPagination = (total, page, limit) => {
+  const totalPages = Math.ceil(total / limit);
+  return {
+    currentPage: page,
+    itemsPerPage: limit,
+    totalItems: total,
+    totalPages,
+    hasNextPage: page < totalPages,
+    hasPreviousPage: page > 1
+  };
+};
+
+const formatUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  firstName: user.first_name,
+  lastName: user.last_name,
+  phone: user.phone,
+  role: user.role,
+  isActive: user.is_active,
+  twoFactorEnabled: Boolean(user.two_factor_enabled_at),
+  preferredLanguage: user.preferred_language,
+  createdAt: user.created_at,
+  updatedAt: user.updated_at
+});
+
+const validateId = (id) => !Joi.number().integer().positive().validate(id).error;
+
+// ====================
+// Users
+// ====================
+
+// List and search users
+router.get('/users', async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      search: Joi.string().trim().min(2).max(100).optional(),
+      role: Joi.string().valid('patient', 'doctor', 'admin').optional(),
+      isActive: Joi.boolean().optional(),
+      ...paginationSchema
+    });
+
+    const { error, value } = validationSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const whereConditions = ['1 = 1'];
+    const queryParams = [];
+    let paramIndex = 1;
+
+    if (value.search) {
+      whereConditions.push(`(
+        u.email ILIKE $${paramIndex} OR
+        (u.first_name || ' ' || u.last_name) ILIKE $${paramIndex} OR
+        u.phone ILIKE $${paramIndex}
+      )`);
+      queryParams.push(`%${value.search}%`);
+      paramIndex++;
+    }
+
+    if (value.role) {
+      whereConditions.push(`u.role = $${paramIndex}`);
+      queryParams.push(value.role);
+      paramIndex++;
+    }
+
+    if (value.isActive !== undefined) {
+      whereConditions.push(`u.is_active = $${paramIndex}`);
+      queryParams.push(value.isActive);
+      paramIndex++;
+    }
+
+    const offset = (value.page - 1) * value.limit;
+
+    const [usersResult, countResult] = await Promise.all([
+      query(`
+        SELECT u.*
+        FROM users u
+        WHERE ${whereConditions.join(' AND ')}
+        ORDER BY u.created_at DESC
+        LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+      `, [...queryParams, value.limit, offset]),
+      query(`
+        SELECT COUNT(*) as total
+        FROM users u
+        WHERE ${whereConditions.join(' AND ')}
+      `, queryParams)
+    ]);
+
+    res.json({
+      data: {
+        users: usersResult.rows.map(formatUser),
+        pagination: buildPagination(parseInt(countResult.rows[0].total), value.page, value.limit)
+      }
+    });
+  } catch (error) {
+    console.error('Admin list users error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch users'
+    });
+  }
+});
+
+// Get a user with their doctor profile and activity counts
+router.get('/users/:id', async (req, res) => {
+  try {
+    if (!validateId(req.params.id)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Invalid user ID'
+      });
+    }
+
+    const userResult = await query(`
+      SELECT
+        u.*,
+        d.id as doctor_id,
+        d.verification_status,
+        d.is_available as doctor_is_available,
+        (SELECT COUNT(*) FROM appointments a WHERE a.patient_id = u.id) as patient_appointment_count,
+        (SELECT COUNT(*) FROM appointments a WHERE a.doctor_id = d.id) as doctor_appointment_count
+      FROM users u
+      LEFT JOIN doctors d ON d.user_id = u.id
+      WHERE u.id = $1
+    `, [req.params.id]);
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'User not found'
+      });
+    }
+
+    const user = userResult.rows[0];
+
+    res.json({
+      data: {
+        ...formatUser(user),
+        doctor: user.doctor_id ? {
+          id: user.doctor_id,
+          verificationStatus: user.verification_status,
+          isAvailable: user.doctor_is_available,
+          appointmentCount: parseInt(user.doctor_appointment_count)
+        } : null,
+        appointmentCount: parseInt(user.patient_appointment_count)
+      }
+    });
+  } catch (error) {
+    console.error('Admin get user error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch user'
+    });
+  }
+});
+
+// Deactivate or reactivate an account
+router.put('/users/:id/status', async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      isActive: Joi.boolean().required(),
+      reason: Joi.string().max(500).when('isActive', {
+        is: false,
+        then: Joi.required(),
+        otherwise: Joi.optional()
+      })
+    });
+
+    const { error, value } = validationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    if (!validateId(req.params.id)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Invalid user ID'
+      });
+    }
+
+    if (parseInt(req.params.id) === req.user.id) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'You cannot change the status of your own account'
+      });
+    }
+
+    const user = await transaction(async (client) => {
+      const updateResult = await client.query(`
+        UPDATE users
+        SET is_active = $2, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+      `, [req.params.id, value.isActive]);
+
+      if (updateResult.rows.length === 0) {
+        throw new Error('User not found');
+      }
+
+      // Deactivated accounts cannot refresh their sessions
+      if (!value.isActive) {
+        await revokeAllForUser(client, req.params.id);
+      }
+
+      await logAdminAction(client, req, {
+        action: value.isActive ? 'user.reactivate' : 'user.deactivate',
+        targetType: 'user',
+        targetId: updateResult.rows[0].id,
+        details: value.reason ? { reason: value.reason } : null
+      });
+
+      return updateResult.rows[0];
+    });
+
+    res.json({
+      message: value.isActive ? 'Account reactivated' : 'Account deactivated',
+      data: formatUser(user)
+    });
+  } catch (error) {
+    console.error('Admin update user status error:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update user status'
+    });
+  }
+});
+
+// Reset a user's 2FA (lost authenticator and recovery codes). Every session is
+// signed out; doctors and admins enrol again at their next sign-in.
+router.post('/users/:id/two-factor/reset', async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      reason: Joi.string().max(500).required()
+    });
+
+    const { error, value } = validationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    if (!validateId(req.params.id)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Invalid user ID'
+      });
+    }
+
+    if (parseInt(req.params.id) === req.user.id) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'You cannot reset the two-factor authentication of your own account'
+      });
+    }
+
+    const user = await transaction(async (client) => {
+      const userResult = await client.query('SELECT * FROM users WHERE id = $1 FOR UPDATE', [req.params.id]);
+
+      if (userResult.rows.length === 0) {
+        throw new Error('User not found');
+      }
+
+      if (!userResult.rows[0].two_factor_secret) {
+        throw new Error('Two-factor authentication is not set up for this user');
+      }
+
+      await clearTwoFactor(client, req.params.id);
+      await revokeAllForUser(client, req.params.id);
+
+      await enqueueEmail(client, {
+        userId: userResult.rows[0].id,
+        template: 'two_factor_reset'
+      });
+
+      await logAdminAction(client, req, {
+        action: 'user.reset_two_factor',
+        targetType: 'user',
+        targetId: userResult.rows[0].id,
+        details: { reason: value.reason }
+      });
+
+      const updatedResult = await client.query('SELECT * FROM users WHERE id = $1', [req.params.id]);
+      return updatedResult.rows[0];
+    });
+
+    res.json({
+      message: 'Two-factor authentication reset',
+      data: formatUser(user)
+    });
+  } catch (error) {
+    console.error('Admin reset two-factor error:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('not set up')) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to reset two-factor authentication'
+    });
+  }
+});
+
+// Change a user's role
+router.put('/users/:id/role', async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      role: Joi.string().valid('patient', 'doctor', 'admin').required()
+    });
+
+    const { error, value } = validationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    if (!validateId(req.params.id)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Invalid user ID'
+      });
+    }
+
+    if (parseInt(req.params.id) === req.user.id) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const user = await transaction(async (client) => {
+      const userResult = await client.query(
+        'SELECT id, role FROM users WHERE id = $1 FOR UPDATE',
+        [req.params.id]
+      );
+
+      if (userResult.rows.length === 0) {
+        throw new Error('User not found');
+      }
+
+      const previousRole = userResult.rows[0].role;
+      if (previousRole === value.role) {
+        throw new Error(`User already has role ${value.role}`);
+      }
+
+      // Doctors join through the application flow; only a former doctor, whose
+      // profile was kept, can get the role back
+      if (value.role === 'doctor') {
+        const doctorResult = await client.query(`
+          UPDATE doctors
+          SET is_available = true, updated_at = CURRENT_TIMESTAMP
+          WHERE user_id = $1
+          RETURNING id
+        `, [req.params.id]);
+
+        if (doctorResult.rows.length === 0) {
+          throw new Error('User has no doctor profile, doctors must register and apply for verification');
+        }
+      }
+
+      const updateResult = await client.query(`
+        UPDATE users
+        SET role = $2, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+      `, [req.params.id, value.role]);
+
+      // A former doctor's profile stays for history but leaves the directory
+      if (previousRole === 'doctor') {
+        await client.query(`
+          UPDATE doctors
+          SET is_available = false, updated_at = CURRENT_TIMESTAMP
+          WHERE user_id = $1
+        `, [req.params.id]);
+      }
+
+      await logAdminAction(client, req, {
+        action: 'user.change_role',
+        targetType: 'user',
+        targetId: updateResult.rows[0].id,
+        details: { previousRole, role: value.role }
+      });
+
+      return updateResult.rows[0];
+    });
+
+    res.json({
+      message: 'Role updated successfully',
+      data: formatUser(user)
+    });
+  } catch (error) {
+    console.error('Admin change role error:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('already has role') || error.message.includes('no doctor profile')) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to change role'
+    });
+  }
+});
+
+// ====================
+// Specialties
+// ====================
+
+const specialtySchema = {
+  name: Joi.string().trim().max(100),
+  icon: Joi.string().max(10).allow(null),
+  description: Joi.string().max(1000).allow(null, '')
+};
+
+const formatSpecialty = (specialty) => ({
+  id: specialty.id,
+  name: specialty.name,
+  icon: specialty.icon,
+  description: specialty.description,
+  doctorCount: specialty.doctor_count !== undefined ? parseInt(specialty.doctor_count) : undefined,
+  createdAt: specialty.created_at
+});
+
+// List specialties with their number of doctors (all statuses)
+router.get('/specialties', async (req, res) => {
+  try {
+    const result = await query(`
+      SELECT s.id, s.name, s.icon, s.description, s.created_at, COUNT(d.id) as doctor_count
+      FROM specialties s
+      LEFT JOIN doctors d ON d.specialty_id = s.id
+      GROUP BY s.id
+      ORDER BY s.name
+    `);
+
+    res.json({
+      data: result.rows.map(formatSpecialty)
+    });
+  } catch (error) {
+    console.error('Admin list specialties error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch specialties'
+    });
+  }
+});
+
+// Create a specialty
+router.post('/specialties', async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      ...specialtySchema,
+      name: specialtySchema.name.required()
+    });
+
+    const { error, value } = validationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const specialty = await transaction(async (client) => {
+      const insertResult = await client.query(`
+        INSERT INTO specialties (name, icon, description)
+        VALUES ($1, $2, $3)
+        RETURNING id, name, icon, description, created_at
+      `, [value.name, value.icon, value.description]);
+
+      await logAdminAction(client, req, {
+        action: 'specialty.create',
+        targetType: 'specialty',
+        targetId: insertResult.rows[0].id,
+        details: { name: value.name }
+      });
+
+      return insertResult.rows[0];
+    });
+
+    res.status(201).json({
+      message: 'Specialty created successfully',
+      data: formatSpecialty(specialty)
+    });
+  } catch (error) {
+    console.error('Admin create specialty error:', error);
+
+    if (error.code === '23505') {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'A specialty with this name already exists'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to create specialty'
+    });
+  }
+});
+
+// Update or rename a specialty (its doctors follow automatically)
+router.put('/specialties/:id', async (req, res) => {
+  try {
+    const validationSchema = Joi.object(specialtySchema).min(1);
+
+    const { error, value } = validationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    if (!validateId(req.params.id)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Invalid specialty ID'
+      });
+    }
+
+    const specialty = await transaction(async (client) => {
+      const previousResult = await client.query(
+        'SELECT id, name, icon, description FROM specialties WHERE id = $1 FOR UPDATE',
+        [req.params.id]
+      );
+
+      if (previousResult.rows.length === 0) {
+        throw new Error('Specialty not found');
+      }
+
+      const previous = previousResult.rows[0];
+
+      const updateResult = await client.query(`
+        UPDATE specialties
+        SET name = $2, icon = $3, description = $4
+        WHERE id = $1
+        RETURNING id, name, icon, description, created_at
+      `, [
+        req.params.id,
+        value.name !== undefined ? value.name : previous.name,
+        value.icon !== undefined ? value.icon : previous.icon,
+        value.description !== undefined ? value.description : previous.description
+      ]);
+
+      await logAdminAction(client, req, {
+        action: value.name && value.name !== previous.name ? 'specialty.rename' : 'specialty.update',
+        targetType: 'specialty',
+        targetId: previous.id,
+        details: { previous: { name: previous.name, icon: previous.icon, description: previous.description }, changes: value }
+      });
+
+      return updateResult.rows[0];
+    });
+
+    res.json({
+      message: 'Specialty updated successfully',
+      data: formatSpecialty(specialty)
+    });
+  } catch (error) {
+    console.error('Admin update specialty error:', error);
+
+    if (error.code === '23505') {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'A specialty with this name already exists'
+      });
+    }
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update specialty'
+    });
+  }
+});
+
+// Delete an unused specialty
+router.delete('/specialties/:id', async (req, res) => {
+  try {
+    if (!validateId(req.params.id)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Invalid specialty ID'
+      });
+    }
+
+    await transaction(async (client) => {
+      const specialtyResult = await client.query(
+        'SELECT id, name FROM specialties WHERE id = $1 FOR UPDATE',
+        [req.params.id]
+      );
+
+      if (specialtyResult.rows.length === 0) {
+        throw new Error('Specialty not found');
+      }
+
+      const doctorsResult = await client.query(
+        'SELECT COUNT(*) as total FROM doctors WHERE specialty_id = $1',
+        [req.params.id]
+      );
+
+      if (parseInt(doctorsResult.rows[0].total) > 0) {
+        throw new Error('Specialty still has doctors; merge it into another specialty instead');
+      }
+
+      await client.query('DELETE FROM specialties WHERE id = $1', [req.params.id]);
+
+      await logAdminAction(client, req, {
+        action: 'specialty.delete',
+        targetType: 'specialty',
+        targetId: specialtyResult.rows[0].id,
+        details: { name: specialtyResult.rows[0].name }
+      });
+    });
+
+    res.json({
+      message: 'Specialty deleted successfully'
+    });
+  } catch (error) {
+    console.error('Admin delete specialty error:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('still has doctors')) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to delete specialty'
+    });
+  }
+});
+
+// Merge a specialty into another: its doctors move to the target, then it is deleted
+router.post('/specialties/:id/merge', async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      targetSpecialtyId: Joi.number().integer().positive().required()
+    });
+
+    const { error, value } = validationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    if (!validateId(req.params.id)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Invalid specialty ID'
+      });
+    }
+
+    if (parseInt(req.params.id) === value.targetSpecialtyId) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Cannot merge a specialty into itself'
+      });
+    }
+
+    const result = await transaction(async (client) => {
+      const specialtiesResult = await client.query(`
+        SELECT id, name
+        FROM specialties
+        WHERE id = ANY($1::integer[])
+        ORDER BY id
+        FOR UPDATE
+      `, [[parseInt(req.params.id), value.targetSpecialtyId]]);
+
+      const source = specialtiesResult.rows.find(row => row.id === parseInt(req.params.id));
+      const target = specialtiesResult.rows.find(row => row.id === value.targetSpecialtyId);
+
+      if (!source || !target) {
+        throw new Error('Specialty not found');
+      }
+
+      const moveResult = await client.query(`
+        UPDATE doctors
+        SET specialty_id = $2, updated_at = CURRENT_TIMESTAMP
+        WHERE specialty_id = $1
+      `, [source.id, target.id]);
+
+      await client.query('DELETE FROM specialties WHERE id = $1', [source.id]);
+
+      await logAdminAction(client, req, {
+        action: 'specialty.merge',
+        targetType: 'specialty',
+        targetId: target.id,
+        details: { sourceId: source.id, sourceName: source.name, movedDoctors: moveResult.rowCount }
+      });
+
+      return { target, movedDoctors: moveResult.rowCount };
+    });
+
+    res.json({
+      message: 'Specialties merged successfully',
+      data: {
+        targetSpecialtyId: result.target.id,
+        targetSpecialtyName: result.target.name,
+        movedDoctors: result.movedDoctors
+      }
+    });
+  } catch (error) {
+    console.error('Admin merge specialties error:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to merge specialties'
+    });
+  }
+});
+
+// ====================
+// Appointments
+// ====================
+
+// List any appointments (details through GET /api/appointments/:id)
+router.get('/appointments', async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      status: Joi.string().valid('scheduled', 'confirmed', 'completed', 'cancelled', 'no_show').optional(),
+      doctorId: Joi.number().integer().positive().optional(),
+      patientId: Joi.number().integer().positive().optional(),
+      from: Joi.date().iso().raw().optional(),
+      to: Joi.date().iso().raw().optional(),
+      ...paginationSchema
+    });
+
+    const { error, value } = validationSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const whereConditions = ['1 = 1'];
+    const queryParams = [];
+    let paramIndex = 1;
+
+    const filters = [
+      ['status', (index) => `a.status = $${index}`],
+      ['doctorId', (index) => `a.doctor_id = $${index}`],
+      ['patientId', (index) => `a.patient_id = $${index}`],
+      ['from', (index) => `a.appointment_date >= $${index}`],
+      ['to', (index) => `a.appointment_date <= $${index}`]
+    ];
+
+    filters.forEach(([key, condition]) => {
+      if (value[key] !== undefined) {
+        whereConditions.push(condition(paramIndex));
+        queryParams.push(value[key]);
+        paramIndex++;
+      }
+    });
+
+    const offset = (value.page - 1) * value.limit;
+
+    const [appointmentsResult, countResult] = await Promise.all([
+      query(`
+        SELECT
+          a.id, a.appointment_date, a.appointment_time, a.consultation_mode, a.status,
+          a.payment_status, a.consultation_fee, a.created_at,
+          a.patient_id, u_patient.first_name as patient_first_name, u_patient.last_name as patient_last_name,
+          a.dependent_id, ${dependentColumns},
+          a.doctor_id, u_doctor.first_name as doctor_first_name, u_doctor.last_name as doctor_last_name
+        FROM appointments a
+        JOIN users u_patient ON a.patient_id = u_patient.id
+        LEFT JOIN patient_dependents pd ON a.dependent_id = pd.id
+        JOIN doctors d ON a.doctor_id = d.id
+        JOIN users u_doctor ON d.user_id = u_doctor.id
+        WHERE ${whereConditions.join(' AND ')}
+        ORDER BY a.appointment_date DESC, a.appointment_time DESC
+        LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+      `, [...queryParams, value.limit, offset]),
+      query(`
+        SELECT COUNT(*) as total
+        FROM appointments a
+        WHERE ${whereConditions.join(' AND ')}
+      `, queryParams)
+    ]);
+
+    res.json({
+      data: {
+        appointments: appointmentsResult.rows.map(appointment => ({
+          id: appointment.id,
+          patientId: appointment.patient_id,
+          patientName: `${appointment.patient_first_name} ${appointment.patient_last_name}`,
+          dependent: dependentSummary(appointment),
+          doctorId: appointment.doctor_id,
+          doctorName: `Dr. ${appointment.doctor_first_name} ${appointment.doctor_last_name}`,
+          appointmentDate: appointment.appointment_date,
+          appointmentTime: appointment.appointment_time,
+          consultationMode: appointment.consultation_mode,
+          status: appointment.status,
+          paymentStatus: appointment.payment_status,
+          consultationFee: parseFloat(appointment.consultation_fee),
+          createdAt: appointment.created_at
+        })),
+        pagination: buildPagination(parseInt(countResult.rows[0].total), value.page, value.limit)
+      }
+    });
+  } catch (error) {
+    console.error('Admin list appointments error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch appointments'
+    });
+  }
+});
+
+// Override an appointment's status. Payments are left untouched: cancel through
+// DELETE /api/appointments/:id to apply refunds.
+router.put('/appointments/:id/status', async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      status: Joi.string().valid('scheduled', 'confirmed', 'completed', 'cancelled', 'no_show').required(),
+      reason: Joi.string().max(500).required()
+    });
+
+    const { error, value } = validationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    if (!validateId(req.params.id)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Invalid appointment ID'
+      });
+    }
+
+    const appointment = await transaction(async (client) => {
+      const appointmentResult = await client.query(`
+        SELECT a.*, d.user_id as doctor_user_id
+        FROM appointments a
+        JOIN doctors d ON a.doctor_id = d.id
+        WHERE a.id = $1
+        FOR UPDATE OF a
+      `, [req.params.id]);
+
+      if (appointmentResult.rows.length === 0) {
+        throw new Error('Appointment not found');
+      }
+
+      const current = appointmentResult.rows[0];
+
+      if (current.status === value.status) {
+        throw new Error(`Appointment is already ${value.status}`);
+      }
+
+      const wasActive = ACTIVE_STATUSES.includes(current.status);
+      const becomesActive = ACTIVE_STATUSES.includes(value.status);
+
+      // Reactivating needs the slot back; cancelling releases it
+      if (becomesActive && !wasActive) {
+        const slotResult = await client.query(`
+          UPDATE doctor_time_slots
+          SET is_booked = true
+          WHERE id = $1 AND is_booked = false
+          RETURNING id
+        `, [current.slot_id]);
+
+        if (slotResult.rows.length === 0) {
+          throw new Error('The time slot of this appointment is no longer available');
+        }
+      } else if (value.status === 'cancelled' && wasActive) {
+        await client.query(
+          'UPDATE doctor_time_slots SET is_booked = false WHERE id = $1',
+          [current.slot_id]
+        );
+
+        await cancelPendingPayments(client, current.id);
+      }
+
+      const updateResult = await client.query(`
+        UPDATE appointments
+        SET status = $2, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+      `, [current.id, value.status]);
+
+      if (wasActive && !becomesActive) {
+        await cancelPendingReminders(client, current.id);
+      }
+
+      if (value.status === 'confirmed') {
+        await ensureMeetingRoom(client, updateResult.rows[0]);
+      }
+
+      const message = `Le statut de votre rendez-vous a été modifié par l'administration : ${STATUS_LABELS[value.status]}.`;
+      await client.query(`
+        INSERT INTO notifications (user_id, type, title, message, related_appointment_id)
+        VALUES
+        ($1, 'status_update', 'Mise à jour du rendez-vous', $3, $4),
+        ($2, 'status_update', 'Mise à jour du rendez-vous', $3, $4)
+      `, [current.patient_id, current.doctor_user_id, message, current.id]);
+
+      await logAdminAction(client, req, {
+        action: 'appointment.override_status',
+        targetType: 'appointment',
+        targetId: current.id,
+        details: { previousStatus: current.status, status: value.status, reason: value.reason }
+      });
+
+      await recordAccess(req, {
+        patientId: current.patient_id,
+        action: 'appointment.status_change',
+        resourceType: 'appointment',
+        resourceId: current.id,
+        changes: { status: { before: current.status, after: value.status } }
+      }, client);
+
+      return updateResult.rows[0];
+    });
+
+    res.json({
+      message: 'Appointment status overridden',
+      data: {
+        id: appointment.id,
+        status: appointment.status,
+        appointmentDate: appointment.appointment_date,
+        appointmentTime: appointment.appointment_time,
+        updatedAt: appointment.updated_at
+      }
+    });
+  } catch (error) {
+    console.error('Admin override appointment error:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: error.message
+      });
+    }
+
+    if (error.code === '23505' || error.message.includes('no longer available')) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'The time slot of this appointment is no longer available'
+      });
+    }
+
+    if (error.message.includes('already')) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to override appointment'
+    });
+  }
+});
+
+// ====================
+// Reviews
+// ====================
+
+// Moderation queue, hidden reviews included (moderate with PUT /api/reviews/:id/moderation)
+router.get('/reviews', async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      isHidden: Joi.boolean().optional(),
+      doctorId: Joi.number().integer().positive().optional(),
+      maxRating: Joi.number().integer().min(1).max(5).optional(),
+      ...paginationSchema
+    });
+
+    const { error, value } = validationSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const whereConditions = ['1 = 1'];
+    const queryParams = [];
+    let paramIndex = 1;
+
+    const filters = [
+      ['isHidden', (index) => `r.is_hidden = $${index}`],
+      ['doctorId', (index) => `r.doctor_id = $${index}`],
+      ['maxRating', (index) => `r.rating <= $${index}`]
+    ];
+
+    filters.forEach(([key, condition]) => {
+      if (value[key] !== undefined) {
+        whereConditions.push(condition(paramIndex));
+        queryParams.push(value[key]);
+        paramIndex++;
+      }
+    });
+
+    const offset = (value.page - 1) * value.limit;
+
+    const [reviewsResult, countResult] = await Promise.all([
+      query(`
+        SELECT
+          r.*,
+          u_patient.first_name as patient_first_name,
+          u_patient.last_name as patient_last_name,
+          u_doctor.first_name as doctor_first_name,
+          u_doctor.last_name as doctor_last_name
+        FROM reviews r
+        JOIN users u_patient ON r.patient_id = u_patient.id
+        JOIN doctors d ON r.doctor_id = d.id
+        JOIN users u_doctor ON d.user_id = u_doctor.id
+        WHERE ${whereConditions.join(' AND ')}
+        ORDER BY r.created_at DESC
+        LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+      `, [...queryParams, value.limit, offset]),
+      query(`
+        SELECT COUNT(*) as total
+        FROM reviews r
+        WHERE ${whereConditions.join(' AND ')}
+      `, queryParams)
+    ]);
+
+    res.json({
+      data: {
+        reviews: reviewsResult.rows.map(review => ({
+          id: review.id,
+          doctorId: review.doctor_id,
+          doctorName: `Dr. ${review.doctor_first_name} ${review.doctor_last_name}`,
+          patientId: review.patient_id,
+          patientName: `${review.patient_first_name} ${review.patient_last_name}`,
+          appointmentId: review.appointment_id,
+          rating: review.rating,
+          reviewText: review.review_text,
+          doctorReply: review.doctor_reply,
+          isHidden: review.is_hidden,
+          hiddenReason: review.hidden_reason,
+          moderatedAt: review.moderated_at,
+          createdAt: review.created_at
+        })),
+        pagination: buildPagination(parseInt(countResult.rows[0].total), value.page, value.limit)
+      }
+    });
+  } catch (error) {
+    console.error('Admin list reviews error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch reviews'
+    });
+  }
+});
+
+// ====================
+// Audit log
+// ====================
+
+// Browse the admin audit log
+router.get('/audit-log', async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      adminId: Joi.number().integer().positive().optional(),
+      action: Joi.string().max(50).optional(),
+      targetType: Joi.string().valid('user', 'specialty', 'appointment', 'review', 'doctor').optional(),
+      targetId: Joi.number().integer().positive().optional(),
+      from: Joi.date().iso().raw().optional(),
+      to: Joi.date().iso().raw().optional(),
+      ...paginationSchema
+    });
+
+    const { error, value } = validationSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const whereConditions = ['1 = 1'];
+    const queryParams = [];
+    let paramIndex = 1;
+
+    const filters = [
+      ['adminId', (index) => `l.admin_id = $${index}`],
+      ['action', (index) => `l.action = $${index}`],
+      ['targetType', (index) => `l.target_type = $${index}`],
+      ['targetId', (index) => `l.target_id = $${index}`],
+      ['from', (index) => `l.created_at >= $${index}`],
+      ['to', (index) => `l.created_at < $${index}::date + 1`]
+    ];
+
+    filters.forEach(([key, condition]) => {
+      if (value[key] !== undefined) {
+        whereConditions.push(condition(paramIndex));
+        queryParams.push(value[key]);
+        paramIndex++;
+      }
+    });
+
+    const offset = (value.page - 1) * value.limit;
+
+    const [entriesResult, countResult] = await Promise.all([
+      query(`
+        SELECT l.*, u.first_name, u.last_name, u.email
+        FROM admin_audit_log l
+        LEFT JOIN users u ON l.admin_id = u.id
+        WHERE ${whereConditions.join(' AND ')}
+        ORDER BY l.created_at DESC, l.id DESC
+        LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+      `, [...queryParams, value.limit, offset]),
+      query(`
+        SELECT COUNT(*) as total
+        FROM admin_audit_log l
+        WHERE ${whereConditions.join(' AND ')}
+      `, queryParams)
+    ]);
+
+    res.json({
+      data: {
+        entries: entriesResult.rows.map(entry => ({
+          id: entry.id,
+          adminId: entry.admin_id,
+          adminName: entry.first_name ? `${entry.first_name} ${entry.last_name}` : null,
+          adminEmail: entry.email,
+          action: entry.action,
+          targetType: entry.target_type,
+          targetId: entry.target_id,
+          details: entry.details,
+          ipAddress: entry.ip_address,
+          createdAt: entry.created_at
+        })),
+        pagination: buildPagination(parseInt(countResult.rows[0].total), value.page, value.limit)
+      }
+    });
+  } catch (error) {
+    console.error('Admin audit log error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch audit log'
+    });
+  }
+});
+
+const formatAccessEntry = (entry) => ({
+  id: entry.id,
+  patientId: entry.patient_id,
+  patientName: entry.patient_first_name ? `${entry.patient_first_name} ${entry.patient_last_name}` : null,
+  actorId: entry.actor_id,
+  actorName: entry.actor_first_name ? `${entry.actor_first_name} ${entry.actor_last_name}` : null,
+  actorRole: entry.actor_role,
+  action: entry.action,
+  resourceType: entry.resource_type,
+  resourceId: entry.resource_id,
+  changes: entry.changes,
+  ipAddress: entry.ip_address,
+  requestId: entry.request_id,
+  createdAt: entry.created_at,
+  hash: entry.hash
+});
+
+// Patient data access trail
+router.get('/access-log', async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      patientId: Joi.number().integer().positive().optional(),
+      actorId: Joi.number().integer().positive().optional(),
+      action: Joi.string().max(50).optional(),
+      resourceType: Joi.string().valid('appointment', 'medical_record', 'prescription').optional(),
+      resourceId: Joi.number().integer().positive().optional(),
+      from: Joi.date().iso().raw().optional(),
+      to: Joi.date().iso().raw().optional(),
+      ...paginationSchema
+    });
+
+    const { error, value } = validationSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const whereConditions = ['1 = 1'];
+    const queryParams = [];
+    let paramIndex = 1;
+
+    const filters = [
+      ['patientId', (index) => `l.patient_id = $${index}`],
+      ['actorId', (index) => `l.actor_id = $${index}`],
+      ['action', (index) => `l.action = $${index}`],
+      ['resourceType', (index) => `l.resource_type = $${index}`],
+      ['resourceId', (index) => `l.resource_id = $${index}`],
+      ['from', (index) => `l.created_at >= $${index}`],
+      ['to', (index) => `l.created_at < $${index}::date + 1`]
+    ];
+
+    filters.forEach(([key, condition]) => {
+      if (value[key] !== undefined) {
+        whereConditions.push(condition(paramIndex));
+        queryParams.push(value[key]);
+        paramIndex++;
+      }
+    });
+
+    const offset = (value.page - 1) * value.limit;
+
+    const [entriesResult, countResult] = await Promise.all([
+      query(`
+        SELECT
+          l.*,
+          u_patient.first_name as patient_first_name,
+          u_patient.last_name as patient_last_name,
+          u_actor.first_name as actor_first_name,
+          u_actor.last_name as actor_last_name
+        FROM access_audit_log l
+        LEFT JOIN users u_patient ON l.patient_id = u_patient.id
+        LEFT JOIN users u_actor ON l.actor_id = u_actor.id
+        WHERE ${whereConditions.join(' AND ')}
+        ORDER BY l.id DESC
+        LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+      `, [...queryParams, value.limit, offset]),
+      query(`
+        SELECT COUNT(*) as total
+        FROM access_audit_log l
+        WHERE ${whereConditions.join(' AND ')}
+      `, queryParams)
+    ]);
+
+    res.json({
+      data: {
+        entries: entriesResult.rows.map(formatAccessEntry),
+        pagination: buildPagination(parseInt(countResult.rows[0].total), value.page, value.limit)
+      }
+    });
+  } catch (error) {
+    console.error('Admin access log error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch access log'
+    });
+  }
+});
+
+// Recompute the hash chain to detect altered or removed entries
+router.get('/access-log/verify', async (req, res) => {
+  try {
+    const result = await verifyChain({ query });
+
+    if (!result.valid) {
+      console.error(`Access audit log chain broken at entry ${result.brokenAtId}`);
+    }
+
+    res.json({
+      data: result
+    });
+  } catch (error) {
+    console.error('Verify access log error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to verify access log'
+    });
+  }
+});
+
+module.exports = router;
@@ -2,14 +2,54 @@ const express = require('express');
 const Joi = require('joi');
 const { query, transaction } = require('../config/database');
 const { authenticateToken, requirePatient, requireDoctor } = require('../middleware/auth');
+const { enqueueEmail } = require('../services/mailer');
+const { cancelPendingReminders } = require('../services/reminders');
+const { recordAppointmentPayment, openPaymentIntent, settleCancellation } = require('../services/payments');
+const { getPolicy, getAppointmentPolicy, assess, formatPolicy } = require('../services/cancellation-policy');
+const { joinWindowColumns, ensureMeetingRoom } = require('../services/video');
+const { logAdminAction } = require('../services/admin-audit');
+const { recordAccess } = require('../services/access-audit');
+const { dependentColumns, dependentSummary, patientName, findDependent } = require('../services/dependents');
 
 const router = express.Router();
 
-// Book appointment (patients only)
+// Minimum notice before an appointment can be moved
+const MIN_NOTICE_HOURS = parseInt(process.env.APPOINTMENT_MIN_NOTICE_HOURS) || 24;
+
+// Reject a booking that overlaps another active appointment of the same person
+// (the account holder or one of their dependents), whichever doctor it is with.
+// Locks the account row so concurrent bookings by the same guardian are checked
+// one after the other.
+const assertNoPatientOverlap = async (client, { patientId, dependentId = null, appointmentDate, appointmentTime, durationMinutes, excludeAppointmentId = null }) => {
+  await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [patientId]);
+
+  const overlapResult = await client.query(`
+    SELECT id
+    FROM appointments
+    WHERE patient_id = $1
+      AND dependent_id IS NOT DISTINCT FROM $6
+      AND status IN ('scheduled', 'confirmed')
+      -- Full timestamps: TIME arithmetic wraps at midnight
+      AND appointment_date BETWEEN $2::date - 1 AND $2::date + 1
+      AND (appointment_date + appointment_time) < ($2::date + $3::time) + make_interval(mins => $4)
+      AND (appointment_date + appointment_time) + make_interval(mins => duration_minutes) > ($2::date + $3::time)
+      AND ($5::integer IS NULL OR id <> $5)
+    LIMIT 1
+  `, [patientId, appointmentDate, appointmentTime, durationMinutes, excludeAppointmentId, dependentId]);
+
+  if (overlapResult.rows.length > 0) {
+    throw new Error(dependentId
+      ? 'This dependent already has an overlapping appointment at this time'
+      : 'You already have an overlapping appointment at this time');
+  }
+};
+
+// Book appointment (patients only, for themselves or one of their dependents)
 router.post('/', authenticateToken, requirePatient, async (req, res) => {
   try {
     const validationSchema = Joi.object({
       doctorId: Joi.number().integer().positive().required(),
+      dependentId: Joi.number().integer().positive().optional(),
       appointmentDate: Joi.date().min('now').required(),
       appointmentTime: Joi.string().pattern(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).required(),
       consultationMode: Joi.string().valid('ONLINE', 'OFFLINE').required(),
@@ -26,13 +66,17 @@ router.post('/', authenticateToken, requirePatient, async (req, res) => {
 
     const { doctorId, appointmentDate, appointmentTime, consultationMode, reasonForVisit } = value;
 
-    await transaction(async (client) => {
+    const { appointment, doctor, dependent, cancellationPolicy, pendingPayment } = await transaction(async (client) => {
+      const dependent = value.dependentId
+        ? await findDependent(client, req.user.id, value.dependentId)
+        : null;
+
       // Check if doctor exists and is available
       const doctorResult = await client.query(`
         SELECT d.*, u.first_name, u.last_name, u.email
         FROM doctors d
         JOIN users u ON d.user_id = u.id
-        WHERE d.id = $1 AND d.is_available = true AND u.is_active = true
+        WHERE d.id = $1 AND d.is_available = true AND d.is_verified = true AND u.is_active = true
       `, [doctorId]);
 
       if (doctorResult.rows.length === 0) {
@@ -46,72 +90,154 @@ router.post('/', authenticateToken, requirePatient, async (req, res) => {
         throw new Error(`Doctor does not support ${consultationMode} consultations`);
       }
 
-      // Check if time slot is available
+      // Claim the slot with a conditional update: only one concurrent request can flip is_booked
       const slotResult = await client.query(`
-        SELECT id FROM doctor_time_slots
+        UPDATE doctor_time_slots
+        SET is_booked = true
         WHERE doctor_id = $1 
           AND slot_date = $2 
           AND slot_time = $3 
           AND is_booked = false
-      `, [doctorId, appointmentDate, appointmentTime]);
+          AND (consultation_mode IS NULL OR consultation_mode = $4)
+        RETURNING id, duration_minutes
+      `, [doctorId, appointmentDate, appointmentTime, consultationMode]);
 
       if (slotResult.rows.length === 0) {
         throw new Error('Selected time slot is not available');
       }
 
-      const slotId = slotResult.rows[0].id;
+      const slot = slotResult.rows[0];
+
+      await assertNoPatientOverlap(client, {
+        patientId: req.user.id,
+        dependentId: dependent ? dependent.id : null,
+        appointmentDate,
+        appointmentTime,
+        durationMinutes: slot.duration_minutes
+      });
+
+      // The booking keeps the cancellation terms shown to the patient
+      const cancellationPolicy = await getPolicy(client, doctor.id);
 
       // Create appointment
       const appointmentResult = await client.query(`
         INSERT INTO appointments (
-          patient_id, doctor_id, slot_id, appointment_date, appointment_time,
-          consultation_mode, reason_for_visit, consultation_fee, status
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'scheduled')
+          patient_id, dependent_id, doctor_id, slot_id, appointment_date, appointment_time,
+          duration_minutes, consultation_mode, reason_for_visit, consultation_fee, cancellation_policy, status
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, 'scheduled')
         RETURNING *
       `, [
         req.user.id,
+        dependent ? dependent.id : null,
         doctorId,
-        slotId,
+        slot.id,
         appointmentDate,
         appointmentTime,
+        slot.duration_minutes,
         consultationMode,
         reasonForVisit,
-        doctor.consultation_fee
+        doctor.consultation_fee,
+        JSON.stringify(cancellationPolicy)
       ]);
 
-      // Mark time slot as booked
-      await client.query(`
-        UPDATE doctor_time_slots 
-        SET is_booked = true 
-        WHERE id = $1
-      `, [slotId]);
-
       // Create notifications for both patient and doctor
       const appointment = appointmentResult.rows[0];
       const appointmentDateTime = new Date(`${appointmentDate} ${appointmentTime}`);
-      
+      const dependentName = dependent ? `${dependent.first_name} ${dependent.last_name}` : null;
+      const seenPatientName = dependentName || `${req.user.firstName} ${req.user.lastName}`;
+
       await client.query(`
         INSERT INTO notifications (user_id, type, title, message, related_appointment_id)
         VALUES 
-        ($1, 'confirmation', 'Rendez-vous confirmé', 'Votre rendez-vous avec Dr. ${doctor.first_name} ${doctor.last_name} le ${appointmentDateTime.toLocaleDateString('fr-FR')} à ${appointmentTime} a été confirmé.', $2),
-        ($3, 'new_appointment', 'Nouveau rendez-vous', 'Vous avez un nouveau rendez-vous avec ${req.user.firstName} ${req.user.lastName} le ${appointmentDateTime.toLocaleDateString('fr-FR')} à ${appointmentTime}.', $2)
-      `, [req.user.id, appointment.id, doctor.user_id]);
+        ($1, 'confirmation', 'Rendez-vous confirmé', $4, $2),
+        ($3, 'new_appointment', 'Nouveau rendez-vous', $5, $2)
+      `, [
+        req.user.id,
+        appointment.id,
+        doctor.user_id,
+        `Votre rendez-vous${dependentName ? ` pour ${dependentName}` : ''} avec Dr. ${doctor.first_name} ${doctor.last_name} le ${appointmentDateTime.toLocaleDateString('fr-FR')} à ${appointmentTime} a été confirmé.`,
+        `Vous avez un nouveau rendez-vous avec ${seenPatientName} le ${appointmentDateTime.toLocaleDateString('fr-FR')} à ${appointmentTime}.`
+      ]);
 
-      res.status(201).json({
-        message: 'Appointment booked successfully',
-        data: {
-          id: appointment.id,
-          doctorName: `Dr. ${doctor.first_name} ${doctor.last_name}`,
-          appointmentDate: appointment.appointment_date,
-          appointmentTime: appointment.appointment_time,
-          consultationMode: appointment.consultation_mode,
-          status: appointment.status,
-          consultationFee: parseFloat(appointment.consultation_fee)
-        }
+      const emailData = {
+        doctorName: `Dr. ${doctor.first_name} ${doctor.last_name}`,
+        patientName: seenPatientName,
+        dependentName,
+        appointmentDate,
+        appointmentTime,
+        consultationMode,
+        reasonForVisit
+      };
+
+      await enqueueEmail(client, {
+        userId: req.user.id,
+        template: 'appointment_booked',
+        data: emailData,
+        relatedAppointmentId: appointment.id
+      });
+
+      await enqueueEmail(client, {
+        userId: doctor.user_id,
+        template: 'appointment_new',
+        data: emailData,
+        relatedAppointmentId: appointment.id
       });
+
+      const pendingPayment = parseFloat(appointment.consultation_fee) > 0
+        ? await recordAppointmentPayment(client, appointment)
+        : null;
+
+      return { appointment, doctor, dependent, cancellationPolicy, pendingPayment };
+    });
+
+    // Paid consultations get a payment intent the app confirms client-side,
+    // opened once the booking has committed. If the provider fails the booking
+    // stands without one and the patient opens it through the payments API.
+    let payment = null;
+    if (pendingPayment) {
+      try {
+        payment = await openPaymentIntent(pendingPayment);
+      } catch (error) {
+        console.error('Open payment intent error:', error);
+      }
+    }
+
+    res.status(201).json({
+      message: 'Appointment booked successfully',
+      data: {
+        id: appointment.id,
+        doctorName: `Dr. ${doctor.first_name} ${doctor.last_name}`,
+        dependent: dependent ? {
+          id: dependent.id,
+          firstName: dependent.first_name,
+          lastName: dependent.last_name
+        } : null,
+        appointmentDate: appointment.appointment_date,
+        appointmentTime: appointment.appointment_time,
+        consultationMode: appointment.consultation_mode,
+        status: appointment.status,
+        consultationFee: parseFloat(appointment.consultation_fee),
+        payment,
+        cancellationPolicy: formatPolicy(cancellationPolicy)
+      }
     });
   } catch (error) {
     console.error('Book appointment error:', error);
+
+    // Partial unique index on active appointments per slot
+    if (error.code === '23505') {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'Selected time slot is not available'
+      });
+    }
+
+    if (error.message.includes('overlapping')) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: error.message
+      });
+    }
     
     if (error.message.includes('not found') || 
         error.message.includes('not available') ||
@@ -142,6 +268,7 @@ router.get('/', authenticateToken, async (req, res) => {
     const validationSchema = Joi.object({
       status: Joi.string().valid('scheduled', 'confirmed', 'completed', 'cancelled', 'no_show').optional(),
       upcoming: Joi.boolean().optional(),
+      dependentId: Joi.number().integer().positive().optional(),
       page: Joi.number().integer().min(1).default(1),
       limit: Joi.number().integer().min(1).max(50).default(10)
     });
@@ -176,6 +303,13 @@ router.get('/', authenticateToken, async (req, res) => {
       paramIndex++;
     }
 
+    // Appointments of one family member
+    if (value.dependentId) {
+      whereConditions.push(`a.dependent_id = $${paramIndex}`);
+      queryParams.push(value.dependentId);
+      paramIndex++;
+    }
+
     // Upcoming appointments filter
     if (value.upcoming) {
       whereConditions.push(`a.appointment_date >= CURRENT_DATE`);
@@ -189,6 +323,7 @@ router.get('/', authenticateToken, async (req, res) => {
         u_patient.first_name as patient_first_name,
         u_patient.last_name as patient_last_name,
         u_patient.email as patient_email,
+        ${dependentColumns},
         u_doctor.first_name as doctor_first_name,
         u_doctor.last_name as doctor_last_name,
         u_doctor.email as doctor_email,
@@ -196,6 +331,7 @@ router.get('/', authenticateToken, async (req, res) => {
         d.practice_address
       FROM appointments a
       JOIN users u_patient ON a.patient_id = u_patient.id
+      LEFT JOIN patient_dependents pd ON a.dependent_id = pd.id
       JOIN doctors d ON a.doctor_id = d.id
       JOIN users u_doctor ON d.user_id = u_doctor.id
       JOIN specialties s ON d.specialty_id = s.id
@@ -223,8 +359,9 @@ router.get('/', authenticateToken, async (req, res) => {
 
     const appointments = appointmentsResult.rows.map(appointment => ({
       id: appointment.id,
-      patientName: `${appointment.patient_first_name} ${appointment.patient_last_name}`,
+      patientName: patientName(appointment),
       patientEmail: appointment.patient_email,
+      dependent: dependentSummary(appointment),
       doctorName: `Dr. ${appointment.doctor_first_name} ${appointment.doctor_last_name}`,
       doctorEmail: appointment.doctor_email,
       specialty: appointment.specialty,
@@ -275,15 +412,33 @@ router.get('/:id', authenticateToken, async (req, res) => {
         u_patient.last_name as patient_last_name,
         u_patient.email as patient_email,
         u_patient.phone as patient_phone,
+        ${dependentColumns},
+        d.user_id as doctor_user_id,
         u_doctor.first_name as doctor_first_name,
         u_doctor.last_name as doctor_last_name,
         u_doctor.email as doctor_email,
         s.name as specialty,
         d.practice_address,
         d.coordinates_lat,
-        d.coordinates_lng
+        d.coordinates_lng,
+        (
+          SELECT json_agg(
+            json_build_object(
+              'previousDate', ar.previous_date,
+              'previousTime', ar.previous_time,
+              'newDate', ar.new_date,
+              'newTime', ar.new_time,
+              'reason', ar.reason,
+              'rescheduledAt', ar.created_at
+            ) ORDER BY ar.created_at
+          )
+          FROM appointment_reschedules ar
+          WHERE ar.appointment_id = a.id
+        ) as reschedule_history,
+        ${joinWindowColumns}
       FROM appointments a
       JOIN users u_patient ON a.patient_id = u_patient.id
+      LEFT JOIN patient_dependents pd ON a.dependent_id = pd.id
       JOIN doctors d ON a.doctor_id = d.id
       JOIN users u_doctor ON d.user_id = u_doctor.id
       JOIN specialties s ON d.specialty_id = s.id
@@ -302,7 +457,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
     // Check access permissions
     const hasAccess = 
       (req.user.role === 'patient' && appointment.patient_id === req.user.id) ||
-      (req.user.role === 'doctor' && appointment.doctor_id === req.doctor?.id) ||
+      (req.user.role === 'doctor' && appointment.doctor_user_id === req.user.id) ||
       req.user.role === 'admin';
 
     if (!hasAccess) {
@@ -312,12 +467,27 @@ router.get('/:id', authenticateToken, async (req, res) => {
       });
     }
 
+    // Notes, prescription and contact details are patient data
+    if (req.user.id !== appointment.patient_id) {
+      await recordAccess(req, {
+        patientId: appointment.patient_id,
+        action: 'appointment.view',
+        resourceType: 'appointment',
+        resourceId: appointment.id
+      });
+    }
+
     res.json({
       data: {
         id: appointment.id,
-        patientName: `${appointment.patient_first_name} ${appointment.patient_last_name}`,
+        patientName: patientName(appointment),
         patientEmail: appointment.patient_email,
         patientPhone: appointment.patient_phone,
+        dependent: dependentSummary(appointment),
+        // Contact details above are the guardian's when booked for a dependent
+        guardianName: appointment.dependent_id
+          ? `${appointment.patient_first_name} ${appointment.patient_last_name}`
+          : null,
         doctorName: `Dr. ${appointment.doctor_first_name} ${appointment.doctor_last_name}`,
         doctorEmail: appointment.doctor_email,
         specialty: appointment.specialty,
@@ -335,7 +505,13 @@ router.get('/:id', authenticateToken, async (req, res) => {
           lat: parseFloat(appointment.coordinates_lat),
           lng: parseFloat(appointment.coordinates_lng)
         } : null,
-        meetingLink: appointment.meeting_link,
+        videoRoom: appointment.video_room ? {
+          provider: appointment.video_provider,
+          joinWindowOpen: appointment.join_window_open,
+          opensAt: appointment.join_opens_at,
+          closesAt: appointment.join_closes_at
+        } : null,
+        rescheduleHistory: appointment.reschedule_history || [],
         createdAt: appointment.created_at,
         updatedAt: appointment.updated_at
       }
@@ -349,10 +525,71 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// Preview what cancelling now would cost (patient of the appointment)
+router.get('/:id/cancellation-preview', authenticateToken, requirePatient, async (req, res) => {
+  try {
+    const appointmentResult = await query(`
+      SELECT
+        a.*,
+        EXTRACT(EPOCH FROM (a.appointment_date + a.appointment_time) - LOCALTIMESTAMP) / 3600 as hours_before_start
+      FROM appointments a
+      WHERE a.id = $1 AND a.patient_id = $2
+    `, [req.params.id, req.user.id]);
+
+    if (appointmentResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Appointment not found'
+      });
+    }
+
+    const appointment = appointmentResult.rows[0];
+
+    if (!['scheduled', 'confirmed'].includes(appointment.status)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Cannot cancel appointment with current status'
+      });
+    }
+
+    const policy = await getAppointmentPolicy({ query }, appointment);
+    const assessment = assess(policy, {
+      event: 'cancellation',
+      consultationFee: appointment.consultation_fee,
+      hoursBeforeStart: parseFloat(appointment.hours_before_start),
+      cancelledBy: 'patient'
+    });
+
+    res.json({
+      data: {
+        cancellationPolicy: formatPolicy(policy),
+        appliedRule: assessment.reason,
+        feePercent: assessment.feePercent,
+        feeAmount: assessment.feeAmount,
+        // Only returned if the consultation was paid up front
+        refundAmount: appointment.payment_status === 'paid' ? assessment.refundAmount : 0
+      }
+    });
+  } catch (error) {
+    console.error('Cancellation preview error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to compute cancellation preview'
+    });
+  }
+});
+
 // Update appointment status (doctors only)
 router.put('/:id/status', authenticateToken, requireDoctor, async (req, res) => {
   try {
     const appointmentId = req.params.id;
+
+    if (!req.doctor.isVerified) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Doctor profile is pending verification'
+      });
+    }
     
     const validationSchema = Joi.object({
       status: Joi.string().valid('confirmed', 'completed', 'cancelled', 'no_show').required(),
@@ -370,7 +607,10 @@ router.put('/:id/status', authenticateToken, requireDoctor, async (req, res) =>
 
     // Check if appointment belongs to this doctor
     const appointmentResult = await query(`
-      SELECT a.*, d.user_id as doctor_user_id
+      SELECT
+        a.*,
+        d.user_id as doctor_user_id,
+        (a.appointment_date + a.appointment_time) <= LOCALTIMESTAMP as has_started
       FROM appointments a
       JOIN doctors d ON a.doctor_id = d.id
       WHERE a.id = $1
@@ -392,6 +632,29 @@ router.put('/:id/status', authenticateToken, requireDoctor, async (req, res) =>
       });
     }
 
+    // Cancelling settles the payment, so only an active appointment can be cancelled
+    if (value.status === 'cancelled' && !['scheduled', 'confirmed'].includes(appointment.status)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Cannot cancel appointment with current status'
+      });
+    }
+
+    // A no-show fee is charged once, on an appointment that was still active
+    if (value.status === 'no_show' && !['scheduled', 'confirmed'].includes(appointment.status)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Cannot mark appointment with current status as no-show'
+      });
+    }
+
+    if (value.status === 'no_show' && !appointment.has_started) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Cannot mark an appointment as no-show before it starts'
+      });
+    }
+
     // Update appointment
     const updateFields = ['status = $2', 'updated_at = CURRENT_TIMESTAMP'];
     const params = [appointmentId, value.status];
@@ -416,7 +679,81 @@ router.put('/:id/status', authenticateToken, requireDoctor, async (req, res) =>
       RETURNING *
     `;
 
-    const result = await query(updateQuery, params);
+    const { result, settlement } = await transaction(async (client) => {
+      // Re-check under lock so a concurrent cancellation cannot refund twice
+      if (value.status === 'cancelled') {
+        const lockResult = await client.query(
+          'SELECT status FROM appointments WHERE id = $1 FOR UPDATE',
+          [appointmentId]
+        );
+
+        if (!['scheduled', 'confirmed'].includes(lockResult.rows[0].status)) {
+          throw new Error('Cannot cancel appointment with current status');
+        }
+      }
+
+      const result = await client.query(updateQuery, params);
+
+      // Free-text fields are only flagged as changed, never copied into the trail
+      const changes = { status: { before: appointment.status, after: value.status } };
+      if (value.notes) {
+        changes.notes = { changed: value.notes !== appointment.notes };
+      }
+      if (value.prescription) {
+        changes.prescription = { changed: value.prescription !== appointment.prescription };
+      }
+
+      // Online consultations get their video room once confirmed
+      if (value.status === 'confirmed') {
+        await ensureMeetingRoom(client, appointment);
+      }
+
+      let settlement = null;
+
+      // Free the slot and refund in full, as DELETE /:id does for a doctor
+      if (value.status === 'cancelled') {
+        await client.query(
+          'UPDATE doctor_time_slots SET is_booked = false WHERE id = $1',
+          [appointment.slot_id]
+        );
+
+        const policy = await getAppointmentPolicy(client, appointment);
+        settlement = await settleCancellation(client, appointmentId, {
+          type: 'late_cancellation_fee',
+          assessment: assess(policy, {
+            event: 'cancellation',
+            consultationFee: appointment.consultation_fee,
+            cancelledBy: 'doctor'
+          })
+        });
+      }
+
+      // Apply the no-show fee of the doctor's cancellation policy
+      if (value.status === 'no_show') {
+        const policy = await getAppointmentPolicy(client, appointment);
+        settlement = await settleCancellation(client, appointmentId, {
+          type: 'no_show_fee',
+          assessment: assess(policy, {
+            event: 'no_show',
+            consultationFee: appointment.consultation_fee
+          })
+        });
+      }
+
+      await recordAccess(req, {
+        patientId: appointment.patient_id,
+        action: 'appointment.status_change',
+        resourceType: 'appointment',
+        resourceId: appointment.id,
+        changes
+      }, client);
+
+      return { result, settlement };
+    });
+
+    if (['cancelled', 'no_show', 'completed'].includes(value.status)) {
+      await cancelPendingReminders({ query }, appointmentId);
+    }
 
     // Create notification for patient
     let notificationMessage = '';
@@ -431,7 +768,9 @@ router.put('/:id/status', authenticateToken, requireDoctor, async (req, res) =>
         notificationMessage = 'Votre rendez-vous a été annulé par le médecin.';
         break;
       case 'no_show':
-        notificationMessage = 'Vous avez manqué votre rendez-vous.';
+        notificationMessage = settlement && settlement.fee
+          ? `Vous avez manqué votre rendez-vous. Des frais de ${settlement.fee.amount} ${settlement.fee.currency} s'appliquent selon la politique d'annulation du médecin.${settlement.fee.status === 'pending' ? ' Vous pouvez les régler depuis le rendez-vous.' : ''}`
+          : 'Vous avez manqué votre rendez-vous.';
         break;
     }
 
@@ -440,12 +779,38 @@ router.put('/:id/status', authenticateToken, requireDoctor, async (req, res) =>
       VALUES ($1, 'status_update', 'Mise à jour du rendez-vous', $2, $3)
     `, [appointment.patient_id, notificationMessage, appointmentId]);
 
+    await enqueueEmail({ query }, {
+      userId: appointment.patient_id,
+      template: 'appointment_status',
+      data: {
+        status: value.status,
+        doctorName: `Dr. ${req.user.firstName} ${req.user.lastName}`,
+        appointmentDate: appointment.appointment_date,
+        appointmentTime: appointment.appointment_time
+      },
+      relatedAppointmentId: appointmentId
+    });
+
     res.json({
       message: 'Appointment status updated successfully',
-      data: result.rows[0]
+      data: {
+        ...result.rows[0],
+        // Only revealed through /api/video within the join window
+        meeting_link: undefined,
+        video_room: undefined,
+        settlement
+      }
     });
   } catch (error) {
     console.error('Update appointment status error:', error);
+
+    if (error.message.includes('Cannot cancel')) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       error: 'Internal Server Error',
       message: 'Failed to update appointment status'
@@ -453,6 +818,258 @@ router.put('/:id/status', authenticateToken, requireDoctor, async (req, res) =>
   }
 });
 
+// Reschedule appointment (patient, doctor or admin)
+router.put('/:id/reschedule', authenticateToken, async (req, res) => {
+  try {
+    const appointmentId = req.params.id;
+
+    const validationSchema = Joi.object({
+      appointmentDate: Joi.date().min('now').required(),
+      appointmentTime: Joi.string().pattern(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).required(),
+      consultationMode: Joi.string().valid('ONLINE', 'OFFLINE').optional(),
+      reason: Joi.string().max(500).optional()
+    });
+
+    const { error, value } = validationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    await transaction(async (client) => {
+      // Lock the appointment so concurrent reschedules/cancellations serialize
+      const appointmentResult = await client.query(`
+        SELECT
+          a.*,
+          d.user_id as doctor_user_id,
+          d.consultation_modes,
+          u_doctor.first_name as doctor_first_name,
+          u_doctor.last_name as doctor_last_name,
+          (a.appointment_date + a.appointment_time) - LOCALTIMESTAMP < make_interval(hours => $2) as within_notice,
+          ($3::date + $4::time) - LOCALTIMESTAMP < make_interval(hours => $2) as target_within_notice
+        FROM appointments a
+        JOIN doctors d ON a.doctor_id = d.id
+        JOIN users u_doctor ON d.user_id = u_doctor.id
+        WHERE a.id = $1
+        FOR UPDATE OF a
+      `, [appointmentId, MIN_NOTICE_HOURS, value.appointmentDate, value.appointmentTime]);
+
+      if (appointmentResult.rows.length === 0) {
+        throw new Error('Appointment not found');
+      }
+
+      const appointment = appointmentResult.rows[0];
+
+      const canReschedule =
+        (req.user.role === 'patient' && appointment.patient_id === req.user.id) ||
+        (req.user.role === 'doctor' && appointment.doctor_user_id === req.user.id) ||
+        req.user.role === 'admin';
+
+      if (!canReschedule) {
+        throw new Error('You do not have permission to reschedule this appointment');
+      }
+
+      if (!['scheduled', 'confirmed'].includes(appointment.status)) {
+        throw new Error('Cannot reschedule appointment with current status');
+      }
+
+      if (appointment.within_notice && req.user.role !== 'admin') {
+        throw new Error(`Cannot reschedule less than ${MIN_NOTICE_HOURS} hours before the appointment`);
+      }
+
+      // The date alone passes Joi's min('now') for earlier hours of today
+      if (appointment.target_within_notice && req.user.role !== 'admin') {
+        throw new Error(`Cannot reschedule to less than ${MIN_NOTICE_HOURS} hours from now`);
+      }
+
+      const consultationMode = value.consultationMode || appointment.consultation_mode;
+
+      if (!(appointment.consultation_modes || []).includes(consultationMode)) {
+        throw new Error(`Doctor does not support ${consultationMode} consultations`);
+      }
+
+      // Claim the target slot first so a concurrent booking cannot take it
+      const slotResult = await client.query(`
+        UPDATE doctor_time_slots
+        SET is_booked = true
+        WHERE doctor_id = $1
+          AND slot_date = $2
+          AND slot_time = $3
+          AND is_booked = false
+          AND (consultation_mode IS NULL OR consultation_mode = $4)
+        RETURNING id, duration_minutes
+      `, [appointment.doctor_id, value.appointmentDate, value.appointmentTime, consultationMode]);
+
+      if (slotResult.rows.length === 0) {
+        throw new Error('Selected time slot is not available');
+      }
+
+      const newSlot = slotResult.rows[0];
+
+      await assertNoPatientOverlap(client, {
+        patientId: appointment.patient_id,
+        dependentId: appointment.dependent_id,
+        appointmentDate: value.appointmentDate,
+        appointmentTime: value.appointmentTime,
+        durationMinutes: newSlot.duration_minutes,
+        excludeAppointmentId: appointment.id
+      });
+
+      // Then release the old one
+      await client.query(`
+        UPDATE doctor_time_slots 
+        SET is_booked = false 
+        WHERE id = $1
+      `, [appointment.slot_id]);
+
+      // A doctor-initiated move is implicitly confirmed; a patient move needs confirmation again
+      const newStatus = req.user.role === 'doctor' ? 'confirmed' : 'scheduled';
+
+      const updateResult = await client.query(`
+        UPDATE appointments
+        SET slot_id = $2,
+            appointment_date = $3,
+            appointment_time = $4,
+            duration_minutes = $5,
+            consultation_mode = $6,
+            status = $7,
+            -- A room only belongs to an online consultation
+            meeting_link = CASE WHEN $6::varchar = 'ONLINE' THEN meeting_link END,
+            video_provider = CASE WHEN $6::varchar = 'ONLINE' THEN video_provider END,
+            video_room = CASE WHEN $6::varchar = 'ONLINE' THEN video_room END,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+      `, [
+        appointmentId,
+        newSlot.id,
+        value.appointmentDate,
+        value.appointmentTime,
+        newSlot.duration_minutes,
+        consultationMode,
+        newStatus
+      ]);
+
+      await cancelPendingReminders(client, appointment.id);
+
+      if (newStatus === 'confirmed') {
+        await ensureMeetingRoom(client, updateResult.rows[0]);
+      }
+
+      await client.query(`
+        INSERT INTO appointment_reschedules (
+          appointment_id, previous_slot_id, previous_date, previous_time, previous_consultation_mode,
+          new_slot_id, new_date, new_time, new_consultation_mode, rescheduled_by, reason
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      `, [
+        appointmentId,
+        appointment.slot_id,
+        appointment.appointment_date,
+        appointment.appointment_time,
+        appointment.consultation_mode,
+        newSlot.id,
+        value.appointmentDate,
+        value.appointmentTime,
+        consultationMode,
+        req.user.id,
+        value.reason
+      ]);
+
+      // Notify the other party (both, when an admin moved it)
+      const newDate = new Date(value.appointmentDate).toLocaleDateString('fr-FR');
+      const recipients = [];
+
+      if (req.user.role !== 'patient') {
+        recipients.push([
+          appointment.patient_id,
+          `Votre rendez-vous avec Dr. ${appointment.doctor_first_name} ${appointment.doctor_last_name} a été déplacé au ${newDate} à ${value.appointmentTime}.`
+        ]);
+      }
+
+      if (req.user.role !== 'doctor') {
+        recipients.push([
+          appointment.doctor_user_id,
+          `Un rendez-vous a été déplacé au ${newDate} à ${value.appointmentTime}.`
+        ]);
+      }
+
+      for (const [userId, message] of recipients) {
+        await client.query(`
+          INSERT INTO notifications (user_id, type, title, message, related_appointment_id)
+          VALUES ($1, 'reschedule', 'Rendez-vous reprogrammé', $2, $3)
+        `, [userId, message, appointmentId]);
+      }
+
+      if (req.user.role === 'admin') {
+        await logAdminAction(client, req, {
+          action: 'appointment.reschedule',
+          targetType: 'appointment',
+          targetId: appointment.id,
+          details: {
+            previousDate: appointment.appointment_date,
+            previousTime: appointment.appointment_time,
+            appointmentDate: value.appointmentDate,
+            appointmentTime: value.appointmentTime,
+            reason: value.reason
+          }
+        });
+      }
+
+      const updated = updateResult.rows[0];
+
+      res.json({
+        message: 'Appointment rescheduled successfully',
+        data: {
+          id: updated.id,
+          appointmentDate: updated.appointment_date,
+          appointmentTime: updated.appointment_time,
+          consultationMode: updated.consultation_mode,
+          status: updated.status,
+          previous: {
+            appointmentDate: appointment.appointment_date,
+            appointmentTime: appointment.appointment_time,
+            consultationMode: appointment.consultation_mode
+          }
+        }
+      });
+    });
+  } catch (error) {
+    console.error('Reschedule appointment error:', error);
+
+    if (error.code === '23505') {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'Selected time slot is not available'
+      });
+    }
+
+    if (error.message.includes('overlapping')) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('not found') ||
+        error.message.includes('not available') ||
+        error.message.includes('not support') ||
+        error.message.includes('permission') ||
+        error.message.includes('Cannot reschedule')) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to reschedule appointment'
+    });
+  }
+});
+
 // Cancel appointment
 router.delete('/:id', authenticateToken, async (req, res) => {
   try {
@@ -461,10 +1078,22 @@ router.delete('/:id', authenticateToken, async (req, res) => {
     await transaction(async (client) => {
       // Get appointment details
       const appointmentResult = await client.query(`
-        SELECT a.*, d.user_id as doctor_user_id
+        SELECT
+          a.*,
+          d.user_id as doctor_user_id,
+          u_patient.first_name as patient_first_name,
+          u_patient.last_name as patient_last_name,
+          ${dependentColumns},
+          u_doctor.first_name as doctor_first_name,
+          u_doctor.last_name as doctor_last_name,
+          EXTRACT(EPOCH FROM (a.appointment_date + a.appointment_time) - LOCALTIMESTAMP) / 3600 as hours_before_start
         FROM appointments a
         JOIN doctors d ON a.doctor_id = d.id
+        JOIN users u_patient ON a.patient_id = u_patient.id
+        LEFT JOIN patient_dependents pd ON a.dependent_id = pd.id
+        JOIN users u_doctor ON d.user_id = u_doctor.id
         WHERE a.id = $1
+        FOR UPDATE OF a
       `, [appointmentId]);
 
       if (appointmentResult.rows.length === 0) {
@@ -502,9 +1131,34 @@ router.delete('/:id', authenticateToken, async (req, res) => {
         WHERE id = $1
       `, [appointment.slot_id]);
 
+      await cancelPendingReminders(client, appointmentId);
+
       // Create notifications
       const cancelledBy = req.user.role === 'patient' ? 'patient' : 'doctor';
-      
+
+      // Refund and charge the late fee according to the doctor's cancellation policy
+      const policy = await getAppointmentPolicy(client, appointment);
+      const assessment = assess(policy, {
+        event: 'cancellation',
+        consultationFee: appointment.consultation_fee,
+        hoursBeforeStart: parseFloat(appointment.hours_before_start),
+        cancelledBy: req.user.role
+      });
+
+      const { refund, fee } = await settleCancellation(client, appointmentId, {
+        type: 'late_cancellation_fee',
+        assessment
+      });
+
+      if (req.user.role === 'admin') {
+        await logAdminAction(client, req, {
+          action: 'appointment.cancel',
+          targetType: 'appointment',
+          targetId: appointment.id,
+          details: { previousStatus: appointment.status, refund }
+        });
+      }
+
       if (req.user.role === 'patient') {
         await client.query(`
           INSERT INTO notifications (user_id, type, title, message, related_appointment_id)
@@ -517,8 +1171,30 @@ router.delete('/:id', authenticateToken, async (req, res) => {
         `, [appointment.patient_id, appointmentId]);
       }
 
+      await enqueueEmail(client, {
+        userId: req.user.role === 'patient' ? appointment.doctor_user_id : appointment.patient_id,
+        template: 'appointment_cancelled',
+        data: {
+          cancelledBy,
+          doctorName: `Dr. ${appointment.doctor_first_name} ${appointment.doctor_last_name}`,
+          patientName: patientName(appointment),
+          appointmentDate: appointment.appointment_date,
+          appointmentTime: appointment.appointment_time
+        },
+        relatedAppointmentId: appointmentId
+      });
+
       res.json({
-        message: 'Appointment cancelled successfully'
+        message: 'Appointment cancelled successfully',
+        data: {
+          refund,
+          fee,
+          cancellationPolicy: {
+            ...formatPolicy(policy),
+            appliedRule: assessment.reason,
+            feePercent: assessment.feePercent
+          }
+        }
       });
     });
   } catch (error) {
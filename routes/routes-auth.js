@@ -0,0 +1,1256 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const Joi = require('joi');
+const rateLimit = require('express-rate-limit');
+const { query, transaction } = require('../config/database');
+const { authenticateToken, authenticatePendingTwoFactor } = require('../middleware/auth');
+const {
+  issueTokens,
+  createRefreshToken,
+  signAccessToken,
+  revokeFamily,
+  revokeAllForUser,
+  findRefreshToken
+} = require('../services/tokens');
+const {
+  TOKEN_TTL_MINUTES,
+  buildAppLink,
+  createAccountToken,
+  consumeAccountToken
+} = require('../services/account-tokens');
+const { enqueueEmail } = require('../services/mailer');
+const { SUPPORTED_LOCALES } = require('../services/email-templates');
+const { generateSecret, buildOtpauthUri } = require('../services/totp');
+const {
+  CHALLENGE_EXPIRES_IN,
+  ISSUER,
+  isTwoFactorRequired,
+  encryptSecret,
+  replaceRecoveryCodes,
+  countRecoveryCodes,
+  verifySecondFactor,
+  clearTwoFactor,
+  signChallengeToken,
+  verifyChallengeToken
+} = require('../services/two-factor');
+
+const router = express.Router();
+
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS) || 12;
+
+// Stricter limit on credential endpoints to slow down brute forcing
+const credentialsLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // Limit each IP to 10 attempts per windowMs
+  message: {
+    error: 'Too Many Requests',
+    message: 'Too many attempts, please try again later'
+  }
+});
+
+// Endpoints that send a link by email: limited per IP and per target address
+// so they cannot be used to flood a mailbox
+const emailLinkLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10, // Limit each IP to 10 requests per windowMs
+  message: {
+    error: 'Too Many Requests',
+    message: 'Too many requests, please try again later'
+  }
+});
+
+const emailLinkPerAddressLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3, // Limit each email address to 3 requests per windowMs
+  keyGenerator: (req) => typeof req.body.email === 'string'
+    ? `email:${req.body.email.trim().toLowerCase()}`
+    : req.ip,
+  message: {
+    error: 'Too Many Requests',
+    message: 'Too many requests for this address, please try again later'
+  }
+});
+
+// Second-factor codes are only 6 digits: also limit failed attempts per
+// account, whatever the IP (the account comes from the session or the login
+// challenge)
+const secondFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // Limit each account to 5 failed attempts per windowMs
+  skipSuccessfulRequests: true,
+  keyGenerator: (req) => {
+    const userId = req.user ? req.user.id : verifyChallengeToken(req.body.challengeToken);
+    return userId ? `user:${userId}` : req.ip;
+  },
+  message: {
+    error: 'Too Many Requests',
+    message: 'Too many two-factor attempts, please try again later'
+  }
+});
+
+// A TOTP code or, when the authenticator is lost, one of the recovery codes
+const secondFactorSchema = {
+  code: Joi.string().pattern(/^\d{6}$/)
+    .messages({ 'string.pattern.base': 'code must be a 6-digit code' }),
+  recoveryCode: Joi.string().max(20)
+};
+
+// Doctors always need a verified address to sign in; other roles only when
+// REQUIRE_EMAIL_VERIFICATION is on
+const requiresVerifiedEmail = (user) =>
+  user.role === 'doctor' || process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+const isBlockedUntilVerified = (user) => !user.email_verified_at && requiresVerifiedEmail(user);
+
+// Request context stored alongside refresh tokens
+const sessionContext = (req) => ({
+  userAgent: req.headers['user-agent'],
+  ipAddress: req.ip
+});
+
+const formatUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  emailVerified: Boolean(user.email_verified_at),
+  twoFactorEnabled: Boolean(user.two_factor_enabled_at),
+  firstName: user.first_name,
+  lastName: user.last_name,
+  phone: user.phone,
+  role: user.role,
+  preferredLanguage: user.preferred_language,
+  createdAt: user.created_at
+});
+
+// Queue the link confirming that the user owns their address
+const sendVerificationEmail = async (db, user) => {
+  const token = await createAccountToken(db, user.id, 'email_verification', { email: user.email });
+
+  await enqueueEmail(db, {
+    userId: user.id,
+    template: 'email_verification',
+    data: {
+      link: buildAppLink('/verify-email', token),
+      expiresInHours: Math.round(TOKEN_TTL_MINUTES.email_verification / 60)
+    }
+  });
+};
+
+// Store a new password hash and end every existing session: refresh tokens are
+// revoked and access tokens issued before now stop being accepted
+const replacePassword = async (client, userId, passwordHash) => {
+  await client.query(`
+    UPDATE users
+    SET password_hash = $2, password_changed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+  `, [userId, passwordHash]);
+
+  await revokeAllForUser(client, userId);
+
+  await enqueueEmail(client, {
+    userId,
+    template: 'password_changed'
+  });
+};
+
+// Register a new account (patients and doctors)
+router.post('/register', credentialsLimiter, async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      email: Joi.string().email().max(255).required(),
+      password: Joi.string().min(8).max(128).required(),
+      firstName: Joi.string().max(100).required(),
+      lastName: Joi.string().max(100).required(),
+      phone: Joi.string().max(20).optional(),
+      dateOfBirth: Joi.date().max('now').optional(),
+      gender: Joi.string().valid('male', 'female', 'other').optional(),
+      role: Joi.string().valid('patient', 'doctor').default('patient'),
+      preferredLanguage: Joi.string().valid(...SUPPORTED_LOCALES).default('fr')
+    });
+
+    const { error, value } = validationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const email = value.email.toLowerCase();
+    const passwordHash = await bcrypt.hash(value.password, BCRYPT_ROUNDS);
+
+    const result = await transaction(async (client) => {
+      const existing = await client.query('SELECT id FROM users WHERE email = $1', [email]);
+      if (existing.rows.length > 0) {
+        throw new Error('An account with this email already exists');
+      }
+
+      const userResult = await client.query(`
+        INSERT INTO users (
+          email, password_hash, first_name, last_name, phone, date_of_birth, gender, role, preferred_language
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING *
+      `, [
+        email,
+        passwordHash,
+        value.firstName,
+        value.lastName,
+        value.phone,
+        value.dateOfBirth,
+        value.gender,
+        value.role,
+        value.preferredLanguage
+      ]);
+
+      const user = userResult.rows[0];
+      await sendVerificationEmail(client, user);
+
+      // No session until the address is confirmed when verification is required
+      const tokens = isBlockedUntilVerified(user)
+        ? null
+        : await issueTokens(client, user, sessionContext(req));
+
+      return { user, tokens };
+    });
+
+    res.status(201).json({
+      message: result.tokens
+        ? 'Account created successfully'
+        : 'Account created successfully, confirm your email address to sign in',
+      data: {
+        user: formatUser(result.user),
+        ...result.tokens
+      }
+    });
+  } catch (error) {
+    console.error('Register error:', error);
+
+    // Unique violation from a concurrent registration with the same email
+    if (error.message.includes('already exists') || error.code === '23505') {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'An account with this email already exists'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to create account'
+    });
+  }
+});
+
+// Log in with email and password
+router.post('/login', credentialsLimiter, async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      email: Joi.string().email().required(),
+      password: Joi.string().required()
+    });
+
+    const { error, value } = validationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const userResult = await query(
+      'SELECT * FROM users WHERE email = $1',
+      [value.email.toLowerCase()]
+    );
+
+    const user = userResult.rows[0];
+    const passwordMatches = user && await bcrypt.compare(value.password, user.password_hash);
+
+    if (!passwordMatches) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Invalid email or password'
+      });
+    }
+
+    if (!user.is_active) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Account has been deactivated'
+      });
+    }
+
+    if (isBlockedUntilVerified(user)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Email address has not been verified'
+      });
+    }
+
+    // Second step: the client exchanges the challenge and a code at /2fa/verify
+    if (user.two_factor_enabled_at) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: signChallengeToken(user),
+          challengeExpiresIn: CHALLENGE_EXPIRES_IN
+        }
+      });
+    }
+
+    const tokens = await issueTokens({ query }, user, sessionContext(req));
+
+    res.json({
+      message: 'Logged in successfully',
+      data: {
+        user: formatUser(user),
+        // Doctors and admins can only enrol a second factor until they do
+        twoFactorSetupRequired: isTwoFactorRequired(user),
+        ...tokens
+      }
+    });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to log in'
+    });
+  }
+});
+
+// Exchange a refresh token for a new token pair (rotation)
+router.post('/refresh', async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      refreshToken: Joi.string().required()
+    });
+
+    const { error, value } = validationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const result = await transaction(async (client) => {
+      const stored = await findRefreshToken(client, value.refreshToken);
+
+      if (!stored) {
+        return { failure: 'Invalid refresh token' };
+      }
+
+      // A rotated token being presented again means it leaked: kill the whole session
+      if (stored.revoked_at) {
+        await revokeFamily(client, stored.family_id);
+        console.warn(`Refresh token reuse detected for user ${stored.user_id}, family ${stored.family_id}`);
+        return { failure: 'Refresh token has been revoked' };
+      }
+
+      if (new Date(stored.expires_at) <= new Date()) {
+        return { failure: 'Refresh token has expired' };
+      }
+
+      if (!stored.is_active) {
+        await revokeFamily(client, stored.family_id);
+        return { failure: 'Account has been deactivated' };
+      }
+
+      if (isBlockedUntilVerified(stored)) {
+        return { failure: 'Email address has not been verified' };
+      }
+
+      // The session keeps its second factor unless 2FA was reset since
+      const mfa = stored.mfa && Boolean(stored.two_factor_enabled_at);
+
+      const next = await createRefreshToken(client, stored.user_id, {
+        familyId: stored.family_id,
+        mfa,
+        ...sessionContext(req)
+      });
+
+      await client.query(`
+        UPDATE refresh_tokens
+        SET revoked_at = CURRENT_TIMESTAMP, replaced_by = $2
+        WHERE id = $1
+      `, [stored.id, next.id]);
+
+      return {
+        accessToken: signAccessToken({ id: stored.user_id, role: stored.role }, { mfa }),
+        refreshToken: next.token,
+        refreshTokenExpiresAt: next.expiresAt
+      };
+    });
+
+    if (result.failure) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: result.failure
+      });
+    }
+
+    res.json({
+      message: 'Token refreshed successfully',
+      data: {
+        accessToken: result.accessToken,
+        refreshToken: result.refreshToken,
+        refreshTokenExpiresAt: result.refreshTokenExpiresAt,
+        tokenType: 'Bearer',
+        expiresIn: process.env.JWT_EXPIRES_IN || '15m'
+      }
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to refresh token'
+    });
+  }
+});
+
+// Log out by revoking the session the refresh token belongs to
+router.post('/logout', async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      refreshToken: Joi.string().required()
+    });
+
+    const { error, value } = validationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    await transaction(async (client) => {
+      const stored = await findRefreshToken(client, value.refreshToken);
+      if (stored) {
+        await revokeFamily(client, stored.family_id);
+      }
+    });
+
+    // Same response whether or not the token existed
+    res.json({
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to log out'
+    });
+  }
+});
+
+// Confirm the account's email address with the emailed token
+router.post('/verify-email', credentialsLimiter, async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      token: Joi.string().hex().length(64).required()
+    });
+
+    const { error, value } = validationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const verified = await transaction(async (client) => {
+      const stored = await consumeAccountToken(client, value.token, 'email_verification');
+      if (!stored) {
+        return false;
+      }
+
+      // A link sent to a previous address verifies nothing
+      const updateResult = await client.query(`
+        UPDATE users
+        SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND email = $2
+      `, [stored.user_id, stored.email]);
+
+      return updateResult.rowCount > 0;
+    });
+
+    if (!verified) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Invalid or expired verification link'
+      });
+    }
+
+    res.json({
+      message: 'Email address verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to verify email address'
+    });
+  }
+});
+
+// Send a new verification link. Works without a session since unverified
+// accounts may not be able to sign in; the response never reveals whether the
+// address has an account.
+router.post('/verify-email/resend', emailLinkLimiter, emailLinkPerAddressLimiter, async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      email: Joi.string().email().required()
+    });
+
+    const { error, value } = validationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const userResult = await query(
+      'SELECT * FROM users WHERE email = $1 AND is_active = true AND email_verified_at IS NULL',
+      [value.email.toLowerCase()]
+    );
+
+    if (userResult.rows.length > 0) {
+      await transaction((client) => sendVerificationEmail(client, userResult.rows[0]));
+    }
+
+    res.status(202).json({
+      message: 'If this address needs verification, a new link has been sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to send verification link'
+    });
+  }
+});
+
+// Request a password reset link (same response whether or not the account exists)
+router.post('/password/forgot', emailLinkLimiter, emailLinkPerAddressLimiter, async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      email: Joi.string().email().required()
+    });
+
+    const { error, value } = validationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const userResult = await query(
+      'SELECT * FROM users WHERE email = $1 AND is_active = true',
+      [value.email.toLowerCase()]
+    );
+
+    if (userResult.rows.length > 0) {
+      const user = userResult.rows[0];
+
+      await transaction(async (client) => {
+        const token = await createAccountToken(client, user.id, 'password_reset', { email: user.email });
+
+        await enqueueEmail(client, {
+          userId: user.id,
+          template: 'password_reset',
+          data: {
+            link: buildAppLink('/reset-password', token),
+            expiresInMinutes: TOKEN_TTL_MINUTES.password_reset
+          }
+        });
+      });
+    }
+
+    res.status(202).json({
+      message: 'If an account exists for this address, a reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to send password reset link'
+    });
+  }
+});
+
+// Set a new password with a reset token; every session is signed out
+router.post('/password/reset', credentialsLimiter, async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      token: Joi.string().hex().length(64).required(),
+      newPassword: Joi.string().min(8).max(128).required()
+    });
+
+    const { error, value } = validationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const passwordHash = await bcrypt.hash(value.newPassword, BCRYPT_ROUNDS);
+
+    const reset = await transaction(async (client) => {
+      const stored = await consumeAccountToken(client, value.token, 'password_reset');
+      if (!stored) {
+        return false;
+      }
+
+      const userResult = await client.query(
+        'SELECT id FROM users WHERE id = $1 AND email = $2 AND is_active = true FOR UPDATE',
+        [stored.user_id, stored.email]
+      );
+      if (userResult.rows.length === 0) {
+        return false;
+      }
+
+      await replacePassword(client, stored.user_id, passwordHash);
+
+      // The link reached the mailbox, which is as good as a verification
+      await client.query(
+        'UPDATE users SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP) WHERE id = $1',
+        [stored.user_id]
+      );
+
+      return true;
+    });
+
+    if (!reset) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Invalid or expired reset link'
+      });
+    }
+
+    res.json({
+      message: 'Password reset successfully, please sign in again'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to reset password'
+    });
+  }
+});
+
+// Change password (signs out every other session)
+router.put('/password', authenticateToken, credentialsLimiter, async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      currentPassword: Joi.string().required(),
+      newPassword: Joi.string().min(8).max(128).invalid(Joi.ref('currentPassword')).required()
+        .messages({ 'any.invalid': 'New password must be different from the current one' })
+    });
+
+    const { error, value } = validationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const userResult = await query('SELECT * FROM users WHERE id = $1', [req.user.id]);
+    const user = userResult.rows[0];
+
+    if (!await bcrypt.compare(value.currentPassword, user.password_hash)) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Current password is incorrect'
+      });
+    }
+
+    const passwordHash = await bcrypt.hash(value.newPassword, BCRYPT_ROUNDS);
+
+    const tokens = await transaction(async (client) => {
+      await replacePassword(client, user.id, passwordHash);
+
+      // Keep the caller signed in with a fresh session
+      return issueTokens(client, user, { ...sessionContext(req), mfa: req.user.twoFactorVerified });
+    });
+
+    res.json({
+      message: 'Password changed successfully',
+      data: tokens
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to change password'
+    });
+  }
+});
+
+// Request an email change: the new address only replaces the current one once
+// confirmed through the link sent to it
+router.post('/email-change', authenticateToken, credentialsLimiter, async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      newEmail: Joi.string().email().max(255).required(),
+      currentPassword: Joi.string().required()
+    });
+
+    const { error, value } = validationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const newEmail = value.newEmail.toLowerCase();
+
+    const userResult = await query('SELECT * FROM users WHERE id = $1', [req.user.id]);
+    const user = userResult.rows[0];
+
+    if (!await bcrypt.compare(value.currentPassword, user.password_hash)) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Current password is incorrect'
+      });
+    }
+
+    if (newEmail === user.email) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'This is already your email address'
+      });
+    }
+
+    const existing = await query('SELECT id FROM users WHERE email = $1', [newEmail]);
+    if (existing.rows.length > 0) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'An account with this email already exists'
+      });
+    }
+
+    await transaction(async (client) => {
+      const token = await createAccountToken(client, user.id, 'email_change', { email: newEmail });
+
+      await enqueueEmail(client, {
+        userId: user.id,
+        template: 'email_change_confirm',
+        toEmail: newEmail,
+        data: {
+          link: buildAppLink('/confirm-email-change', token),
+          expiresInHours: Math.round(TOKEN_TTL_MINUTES.email_change / 60)
+        }
+      });
+    });
+
+    res.status(202).json({
+      message: 'A confirmation link has been sent to the new address'
+    });
+  } catch (error) {
+    console.error('Request email change error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to request email change'
+    });
+  }
+});
+
+// Confirm an email change with the emailed token (no session needed: the link
+// may be opened on another device)
+router.post('/email-change/confirm', credentialsLimiter, async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      token: Joi.string().hex().length(64).required()
+    });
+
+    const { error, value } = validationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const email = await transaction(async (client) => {
+      const stored = await consumeAccountToken(client, value.token, 'email_change');
+      if (!stored) {
+        throw new Error('Invalid or expired confirmation link');
+      }
+
+      const previousResult = await client.query(
+        'SELECT email FROM users WHERE id = $1 FOR UPDATE',
+        [stored.user_id]
+      );
+
+      // Opening the link proved the new address works
+      await client.query(`
+        UPDATE users
+        SET email = $2, email_verified_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [stored.user_id, stored.email]);
+
+      // Sessions opened under the previous address end with it
+      await revokeAllForUser(client, stored.user_id);
+
+      // Warn the previous address in case the change was not wanted
+      await enqueueEmail(client, {
+        userId: stored.user_id,
+        template: 'email_changed',
+        toEmail: previousResult.rows[0].email,
+        data: { newEmail: stored.email }
+      });
+
+      return stored.email;
+    });
+
+    res.json({
+      message: 'Email address changed successfully',
+      data: { email }
+    });
+  } catch (error) {
+    console.error('Confirm email change error:', error);
+
+    // The address was taken by another account since the request
+    if (error.code === '23505') {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'An account with this email already exists'
+      });
+    }
+
+    if (error.message.includes('Invalid or expired')) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to change email address'
+    });
+  }
+});
+
+// Second step of a login with 2FA: exchange the challenge and a code for tokens
+router.post('/2fa/verify', credentialsLimiter, secondFactorLimiter, async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      challengeToken: Joi.string().required(),
+      ...secondFactorSchema
+    }).xor('code', 'recoveryCode');
+
+    const { error, value } = validationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const userId = verifyChallengeToken(value.challengeToken);
+    if (!userId) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Invalid or expired two-factor challenge'
+      });
+    }
+
+    const result = await transaction(async (client) => {
+      const verified = await verifySecondFactor(client, userId, value);
+      if (!verified) {
+        return null;
+      }
+
+      const userResult = await client.query('SELECT * FROM users WHERE id = $1 AND is_active = true', [userId]);
+      if (userResult.rows.length === 0) {
+        return null;
+      }
+
+      const user = userResult.rows[0];
+      const tokens = await issueTokens(client, user, { ...sessionContext(req), mfa: true });
+
+      return { user, tokens, remainingRecoveryCodes: verified.remainingRecoveryCodes };
+    });
+
+    if (!result) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    res.json({
+      message: 'Logged in successfully',
+      data: {
+        user: formatUser(result.user),
+        ...result.tokens,
+        // Only when a recovery code was spent
+        remainingRecoveryCodes: result.remainingRecoveryCodes
+      }
+    });
+  } catch (error) {
+    console.error('Verify two-factor error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to verify two-factor code'
+    });
+  }
+});
+
+// Get the two-factor status of the authenticated user
+router.get('/2fa', authenticatePendingTwoFactor, async (req, res) => {
+  try {
+    const userResult = await query('SELECT role, two_factor_enabled_at FROM users WHERE id = $1', [req.user.id]);
+    const user = userResult.rows[0];
+    const enabled = Boolean(user.two_factor_enabled_at);
+
+    res.json({
+      data: {
+        enabled,
+        enabledAt: user.two_factor_enabled_at,
+        required: isTwoFactorRequired(user),
+        sessionVerified: req.user.twoFactorVerified,
+        remainingRecoveryCodes: enabled ? await countRecoveryCodes({ query }, req.user.id) : 0
+      }
+    });
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch two-factor status'
+    });
+  }
+});
+
+// Start enrolment: generate a secret for the authenticator app. It is only
+// used once confirmed with a code at /2fa/enable.
+router.post('/2fa/setup', authenticatePendingTwoFactor, credentialsLimiter, async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      currentPassword: Joi.string().required()
+    });
+
+    const { error, value } = validationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const userResult = await query('SELECT * FROM users WHERE id = $1', [req.user.id]);
+    const user = userResult.rows[0];
+
+    if (!await bcrypt.compare(value.currentPassword, user.password_hash)) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Current password is incorrect'
+      });
+    }
+
+    if (user.two_factor_enabled_at) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateSecret();
+
+    await query(`
+      UPDATE users
+      SET two_factor_secret = $2, two_factor_last_step = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [user.id, encryptSecret(secret)]);
+
+    // The client renders otpauthUri as a QR code; the secret is for manual entry
+    res.json({
+      message: 'Scan the QR code with an authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer: ISSUER })
+      }
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to start two-factor setup'
+    });
+  }
+});
+
+// Finish enrolment with a first code. Returns the recovery codes (shown once)
+// and a session that counts as verified.
+router.post('/2fa/enable', authenticatePendingTwoFactor, credentialsLimiter, secondFactorLimiter, async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      code: secondFactorSchema.code.required()
+    });
+
+    const { error, value } = validationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const result = await transaction(async (client) => {
+      const verified = await verifySecondFactor(client, req.user.id, { code: value.code, pending: true });
+      if (!verified) {
+        return null;
+      }
+
+      await client.query(
+        'UPDATE users SET two_factor_enabled_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [req.user.id]
+      );
+
+      const recoveryCodes = await replaceRecoveryCodes(client, req.user.id);
+
+      await enqueueEmail(client, {
+        userId: req.user.id,
+        template: 'two_factor_enabled'
+      });
+
+      const tokens = await issueTokens(client, req.user, { ...sessionContext(req), mfa: true });
+
+      return { recoveryCodes, tokens };
+    });
+
+    if (!result) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Invalid two-factor code or no setup in progress'
+      });
+    }
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      data: {
+        recoveryCodes: result.recoveryCodes,
+        ...result.tokens
+      }
+    });
+  } catch (error) {
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to enable two-factor authentication'
+    });
+  }
+});
+
+// Step up a session opened without the second factor (e.g. before enrolment).
+// The refresh token it replaces, when given, is revoked.
+router.post('/2fa/step-up', authenticatePendingTwoFactor, credentialsLimiter, secondFactorLimiter, async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      ...secondFactorSchema,
+      refreshToken: Joi.string().optional()
+    }).xor('code', 'recoveryCode');
+
+    const { error, value } = validationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const result = await transaction(async (client) => {
+      const verified = await verifySecondFactor(client, req.user.id, value);
+      if (!verified) {
+        return null;
+      }
+
+      if (value.refreshToken) {
+        const stored = await findRefreshToken(client, value.refreshToken);
+        if (stored && stored.user_id === req.user.id) {
+          await revokeFamily(client, stored.family_id);
+        }
+      }
+
+      const tokens = await issueTokens(client, req.user, { ...sessionContext(req), mfa: true });
+
+      return { tokens, remainingRecoveryCodes: verified.remainingRecoveryCodes };
+    });
+
+    if (!result) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    res.json({
+      message: 'Session verified successfully',
+      data: {
+        ...result.tokens,
+        remainingRecoveryCodes: result.remainingRecoveryCodes
+      }
+    });
+  } catch (error) {
+    console.error('Two-factor step-up error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to verify session'
+    });
+  }
+});
+
+// Replace the recovery codes (the previous ones stop working)
+router.post('/2fa/recovery-codes', authenticateToken, credentialsLimiter, secondFactorLimiter, async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      code: secondFactorSchema.code.required()
+    });
+
+    const { error, value } = validationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const recoveryCodes = await transaction(async (client) => {
+      const verified = await verifySecondFactor(client, req.user.id, { code: value.code });
+      if (!verified) {
+        return null;
+      }
+
+      return replaceRecoveryCodes(client, req.user.id);
+    });
+
+    if (!recoveryCodes) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    res.json({
+      message: 'Recovery codes regenerated',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to regenerate recovery codes'
+    });
+  }
+});
+
+// Turn 2FA off (only for accounts that do not require it)
+router.post('/2fa/disable', authenticateToken, credentialsLimiter, secondFactorLimiter, async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      currentPassword: Joi.string().required(),
+      code: secondFactorSchema.code.required()
+    });
+
+    const { error, value } = validationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    if (isTwoFactorRequired(req.user)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Two-factor authentication is mandatory for this account'
+      });
+    }
+
+    const userResult = await query('SELECT * FROM users WHERE id = $1', [req.user.id]);
+    const user = userResult.rows[0];
+
+    if (!await bcrypt.compare(value.currentPassword, user.password_hash)) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Current password is incorrect'
+      });
+    }
+
+    const disabled = await transaction(async (client) => {
+      const verified = await verifySecondFactor(client, user.id, { code: value.code });
+      if (!verified) {
+        return false;
+      }
+
+      await clearTwoFactor(client, user.id);
+
+      await enqueueEmail(client, {
+        userId: user.id,
+        template: 'two_factor_disabled'
+      });
+
+      return true;
+    });
+
+    if (!disabled) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    res.json({
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to disable two-factor authentication'
+    });
+  }
+});
+
+// Get the authenticated user's profile (also before a required second factor
+// is set up, so the client knows to ask for it)
+router.get('/me', authenticatePendingTwoFactor, async (req, res) => {
+  try {
+    const userResult = await query(`
+      SELECT
+        u.id, u.email, u.email_verified_at, u.first_name, u.last_name, u.phone, u.role,
+        u.preferred_language, u.created_at, u.two_factor_enabled_at,
+        d.id as doctor_id,
+        d.is_verified as doctor_is_verified
+      FROM users u
+      LEFT JOIN doctors d ON d.user_id = u.id
+      WHERE u.id = $1
+    `, [req.user.id]);
+
+    const user = userResult.rows[0];
+
+    res.json({
+      data: {
+        ...formatUser(user),
+        twoFactorSetupRequired: isTwoFactorRequired(user) && !user.two_factor_enabled_at,
+        doctor: user.doctor_id ? {
+          id: user.doctor_id,
+          isVerified: user.doctor_is_verified
+        } : null
+      }
+    });
+  } catch (error) {
+    console.error('Get current user error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch user profile'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const express = require('express');
+const { requireCronSecret } = require('../middleware/auth');
+const { jobs, runJob } = require('../services/jobs');
+
+const router = express.Router();
+
+// Run a scheduled job (Vercel cron issues GET requests)
+const handleJob = async (req, res) => {
+  const { job } = req.params;
+
+  if (!jobs[job]) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `Unknown job: ${job}`
+    });
+  }
+
+  try {
+    const result = await runJob(job);
+
+    res.json({
+      message: `Job ${job} completed`,
+      data: result
+    });
+  } catch (error) {
+    console.error(`Cron job ${job} error:`, error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: `Job ${job} failed`
+    });
+  }
+};
+
+router.get('/:job', requireCronSecret, handleJob);
+router.post('/:job', requireCronSecret, handleJob);
+
+module.exports = router;
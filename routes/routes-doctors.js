@@ -1,10 +1,49 @@
 const express = require('express');
 const Joi = require('joi');
 const { query, transaction } = require('../config/database');
-const { authenticateToken, requireDoctor, optionalAuth } = require('../middleware/auth');
+const { authenticateToken, authorize, requireDoctor, requireAdmin, optionalAuth } = require('../middleware/auth');
+const { uploadFiles, storeUpload, sendStoredFile } = require('../middleware/upload');
+const { DEFAULT_WEEKS_AHEAD, generateSlots, pruneOpenSlots, applyTimeOff } = require('../services/slots');
+const { getPolicy, formatPolicy } = require('../services/cancellation-policy');
+const { logAdminAction } = require('../services/admin-audit');
+const { highlightSql } = require('../services/search');
 
 const router = express.Router();
 
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE_LAT = 111.045;
+const DEFAULT_SEARCH_RADIUS_KM = 25;
+
+// Great-circle distance (haversine) from the point given by the two parameter
+// placeholders to the doctor's practice
+const distanceSql = (latParam, lngParam) => `
+  ${EARTH_RADIUS_KM} * 2 * ASIN(SQRT(
+    POWER(SIN(RADIANS(d.coordinates_lat - ${latParam}) / 2), 2) +
+    COS(RADIANS(${latParam})) * COS(RADIANS(d.coordinates_lat)) *
+    POWER(SIN(RADIANS(d.coordinates_lng - ${lngParam}) / 2), 2)
+  ))
+`;
+
+// Latitude/longitude box enclosing the search circle, so the coordinates index
+// narrows the candidates before the haversine check. lng bounds are null when
+// the box spans a pole or the antimeridian.
+const boundingBox = (lat, lng, radiusKm) => {
+  const latDelta = radiusKm / KM_PER_DEGREE_LAT;
+  const minLat = Math.max(lat - latDelta, -90);
+  const maxLat = Math.min(lat + latDelta, 90);
+
+  if (minLat === -90 || maxLat === 90) {
+    return { minLat, maxLat, minLng: null, maxLng: null };
+  }
+
+  const lngDelta = latDelta / Math.cos(lat * Math.PI / 180);
+  if (lng - lngDelta < -180 || lng + lngDelta > 180) {
+    return { minLat, maxLat, minLng: null, maxLng: null };
+  }
+
+  return { minLat, maxLat, minLng: lng - lngDelta, maxLng: lng + lngDelta };
+};
+
 // Get all doctors with filters
 router.get('/', optionalAuth, async (req, res) => {
   try {
@@ -27,13 +66,28 @@ router.get('/', optionalAuth, async (req, res) => {
       location: Joi.string().optional(),
       consultationMode: Joi.string().valid('ONLINE', 'OFFLINE').optional(),
       minRating: Joi.number().min(0).max(5).optional(),
-      maxFee: Joi.number().min(0).optional(),
+      minFee: Joi.number().min(0).optional(),
+      maxFee: Joi.number().min(0).optional()
+        .when('minFee', { is: Joi.exist(), then: Joi.number().min(Joi.ref('minFee')) }),
+      languages: Joi.array().items(Joi.string().trim().max(50)).single().max(10).optional(),
+      insurance: Joi.array().items(Joi.string().trim().max(100)).single().max(10).optional(),
+      gender: Joi.string().valid('male', 'female', 'other').optional(),
+      minExperience: Joi.number().integer().min(0).optional(),
+      verifiedOnly: Joi.boolean().default(true),
+      lat: Joi.number().min(-90).max(90).optional(),
+      lng: Joi.number().min(-180).max(180).optional(),
+      radiusKm: Joi.number().min(0.1).max(500).optional(),
+      availableFrom: Joi.date().iso().raw().optional(),
+      availableTo: Joi.date().iso().raw().optional()
+        .when('availableFrom', { is: Joi.exist(), then: Joi.date().iso().raw().min(Joi.ref('availableFrom')) }),
       page: Joi.number().integer().min(1).default(1),
       limit: Joi.number().integer().min(1).max(50).default(10),
-      sortBy: Joi.string().valid('rating', 'fee', 'experience', 'name').default('rating'),
+      sortBy: Joi.string().valid('rating', 'fee', 'experience', 'name', 'distance', 'availability', 'relevance').default('rating'),
       sortOrder: Joi.string().valid('asc', 'desc').default('desc'),
-      search: Joi.string().min(2).optional()
-    });
+      search: Joi.string().trim().min(2).max(200).optional()
+    })
+      .and('lat', 'lng')
+      .with('radiusKm', ['lat', 'lng']);
 
     const { error, value } = validationSchema.validate(req.query);
     if (error) {
@@ -48,14 +102,36 @@ router.get('/', optionalAuth, async (req, res) => {
       location: locationFilter,
       consultationMode: modeFilter,
       minRating: minRatingFilter,
+      minFee: minFeeFilter,
       maxFee: maxFeeFilter,
+      languages: languagesFilter,
+      insurance: insuranceFilter,
+      gender: genderFilter,
+      minExperience: minExperienceFilter,
+      verifiedOnly,
       page: pageNum,
       limit: pageLimit,
+      lat: latFilter,
+      lng: lngFilter,
+      radiusKm,
+      availableFrom,
+      availableTo,
       sortBy: sortField,
       sortOrder: sortDir,
       search: searchQuery
     } = value;
 
+    const geoSearch = latFilter !== undefined;
+
+    if (sortField === 'distance' && !geoSearch) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'sortBy=distance requires lat and lng'
+      });
+    }
+
+    const searchRadiusKm = radiusKm || DEFAULT_SEARCH_RADIUS_KM;
+
     // Build WHERE conditions
     let whereConditions = [];
     let queryParams = [];
@@ -65,6 +141,11 @@ router.get('/', optionalAuth, async (req, res) => {
     whereConditions.push('d.is_available = true');
     whereConditions.push('u.is_active = true');
 
+    // Unverified doctors are only listed to admins who ask for them
+    if (verifiedOnly || !req.user || req.user.role !== 'admin') {
+      whereConditions.push('d.is_verified = true');
+    }
+
     // Specialty filter
     if (specialtyFilter) {
       whereConditions.push(`s.name ILIKE $${paramIndex}`);
@@ -93,27 +174,151 @@ router.get('/', optionalAuth, async (req, res) => {
       paramIndex++;
     }
 
-    // Fee filter
-    if (maxFeeFilter) {
+    // Fee filters
+    if (minFeeFilter !== undefined) {
+      whereConditions.push(`d.consultation_fee >= $${paramIndex}`);
+      queryParams.push(minFeeFilter);
+      paramIndex++;
+    }
+
+    if (maxFeeFilter !== undefined) {
       whereConditions.push(`d.consultation_fee <= $${paramIndex}`);
       queryParams.push(maxFeeFilter);
       paramIndex++;
     }
 
-    // Search filter
+    // Language filter: speaks any of the requested languages
+    if (languagesFilter) {
+      whereConditions.push(`d.languages && $${paramIndex}::text[]`);
+      queryParams.push(languagesFilter);
+      paramIndex++;
+    }
+
+    // Insurance filter: accepts any of the requested insurers
+    if (insuranceFilter) {
+      whereConditions.push(`d.insurance_accepted && $${paramIndex}::text[]`);
+      queryParams.push(insuranceFilter);
+      paramIndex++;
+    }
+
+    // Gender filter
+    if (genderFilter) {
+      whereConditions.push(`u.gender = $${paramIndex}`);
+      queryParams.push(genderFilter);
+      paramIndex++;
+    }
+
+    // Experience filter
+    if (minExperienceFilter !== undefined) {
+      whereConditions.push(`d.experience_years >= $${paramIndex}`);
+      queryParams.push(minExperienceFilter);
+      paramIndex++;
+    }
+
+    // Distance filter: bounding box first (index-friendly), then exact haversine
+    let distanceExpression = null;
+    if (geoSearch) {
+      const box = boundingBox(latFilter, lngFilter, searchRadiusKm);
+
+      whereConditions.push(`d.coordinates_lat BETWEEN $${paramIndex} AND $${paramIndex + 1}`);
+      queryParams.push(box.minLat, box.maxLat);
+      paramIndex += 2;
+
+      if (box.minLng !== null) {
+        whereConditions.push(`d.coordinates_lng BETWEEN $${paramIndex} AND $${paramIndex + 1}`);
+        queryParams.push(box.minLng, box.maxLng);
+        paramIndex += 2;
+      }
+
+      distanceExpression = distanceSql(`$${paramIndex}`, `$${paramIndex + 1}`);
+      queryParams.push(latFilter, lngFilter);
+      paramIndex += 2;
+
+      whereConditions.push(`${distanceExpression} <= $${paramIndex}`);
+      queryParams.push(searchRadiusKm);
+      paramIndex++;
+    }
+
+    // Earliest open slot per doctor, in the requested window and mode. Doctors
+    // without one are filtered out when a window was asked for.
+    const slotConditions = [
+      'ts.doctor_id = d.id',
+      'ts.is_booked = false',
+      '(ts.slot_date + ts.slot_time) > LOCALTIMESTAMP'
+    ];
+
+    if (availableFrom) {
+      slotConditions.push(`ts.slot_date >= $${paramIndex}::date`);
+      queryParams.push(availableFrom);
+      paramIndex++;
+    }
+
+    if (availableTo) {
+      slotConditions.push(`ts.slot_date <= $${paramIndex}::date`);
+      queryParams.push(availableTo);
+      paramIndex++;
+    }
+
+    if (modeFilter) {
+      slotConditions.push(`(ts.consultation_mode IS NULL OR ts.consultation_mode = $${paramIndex})`);
+      queryParams.push(modeFilter);
+      paramIndex++;
+    }
+
+    const nextSlotJoin = `
+      LEFT JOIN LATERAL (
+        SELECT
+          to_char(ts.slot_date, 'YYYY-MM-DD') as slot_date,
+          to_char(ts.slot_time, 'HH24:MI') as slot_time,
+          ts.slot_date + ts.slot_time as starts_at,
+          ts.consultation_mode
+        FROM doctor_time_slots ts
+        WHERE ${slotConditions.join(' AND ')}
+        ORDER BY ts.slot_date, ts.slot_time
+        LIMIT 1
+      ) next_slot ON true
+    `;
+
+    if (availableFrom || availableTo) {
+      whereConditions.push('next_slot.starts_at IS NOT NULL');
+    }
+
+    // Search filter: accent-insensitive full-text search over the doctor's
+    // search document, or a fuzzy (trigram) match on name and specialties for typos
+    let relevanceExpression = null;
+    let snippetExpression = null;
     if (searchQuery) {
-      whereConditions.push(`(
-        LOWER(u.first_name || ' ' || u.last_name) LIKE $${paramIndex} OR
-        LOWER(d.sub_specialty) LIKE $${paramIndex} OR
-        LOWER(s.name) LIKE $${paramIndex}
-      )`);
-      queryParams.push(`%${searchQuery.toLowerCase()}%`);
+      const tsQuery = `websearch_to_tsquery('fr_unaccent', $${paramIndex})`;
+      const fuzzyQuery = `immutable_unaccent(lower($${paramIndex}))`;
+
+      whereConditions.push(`(d.search_vector @@ ${tsQuery} OR ${fuzzyQuery} <% d.search_text)`);
+      relevanceExpression = `ts_rank_cd(d.search_vector, ${tsQuery}) + word_similarity(${fuzzyQuery}, d.search_text)`;
+      // HTML-escaped profile text with the matches in <mark> tags
+      snippetExpression = highlightSql(
+        "concat_ws(' · ', u.first_name || ' ' || u.last_name, s.name, d.sub_specialty, d.qualifications, d.bio)",
+        tsQuery,
+        'MaxFragments=2, MaxWords=20, MinWords=8'
+      );
+      queryParams.push(searchQuery);
       paramIndex++;
     }
 
+    if (sortField === 'relevance' && !searchQuery) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'sortBy=relevance requires search'
+      });
+    }
+
+    // Searches are ranked by relevance unless another order was asked for
+    const effectiveSort = searchQuery && !req.query.sortBy ? 'relevance' : sortField;
+
     // Build ORDER BY clause
     let orderBy = '';
-    switch (sortField) {
+    switch (effectiveSort) {
+      case 'relevance':
+        orderBy = 'relevance DESC, d.rating DESC';
+        break;
       case 'rating':
         orderBy = `d.rating ${sortDir.toUpperCase()}, d.review_count DESC`;
         break;
@@ -126,6 +331,14 @@ router.get('/', optionalAuth, async (req, res) => {
       case 'name':
         orderBy = `u.first_name ${sortDir.toUpperCase()}, u.last_name ${sortDir.toUpperCase()}`;
         break;
+      case 'availability':
+        // Soonest first, doctors without an open slot last
+        orderBy = `next_slot.starts_at ${req.query.sortOrder ? sortDir.toUpperCase() : 'ASC'} NULLS LAST, d.rating DESC`;
+        break;
+      case 'distance':
+        // Nearest first unless a sort order was asked for explicitly
+        orderBy = `distance_km ${req.query.sortOrder ? sortDir.toUpperCase() : 'ASC'}, d.rating DESC`;
+        break;
       default:
         orderBy = 'd.rating DESC, d.review_count DESC';
     }
@@ -155,6 +368,11 @@ router.get('/', optionalAuth, async (req, res) => {
         d.insurance_accepted,
         d.consultation_modes,
         d.is_verified,
+        ${distanceExpression ? `${distanceExpression} as distance_km,` : ''}
+        ${relevanceExpression ? `${relevanceExpression} as relevance, ${snippetExpression} as search_snippet,` : ''}
+        next_slot.slot_date as next_slot_date,
+        next_slot.slot_time as next_slot_time,
+        next_slot.consultation_mode as next_slot_mode,
         (
           SELECT json_agg(
             json_build_object(
@@ -181,6 +399,7 @@ router.get('/', optionalAuth, async (req, res) => {
       FROM doctors d
       JOIN users u ON d.user_id = u.id
       JOIN specialties s ON d.specialty_id = s.id
+      ${nextSlotJoin}
       WHERE ${whereConditions.join(' AND ')}
       ORDER BY ${orderBy}
       LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
@@ -194,17 +413,57 @@ router.get('/', optionalAuth, async (req, res) => {
       FROM doctors d
       JOIN users u ON d.user_id = u.id
       JOIN specialties s ON d.specialty_id = s.id
+      ${nextSlotJoin}
       WHERE ${whereConditions.join(' AND ')}
     `;
 
     const countParams = queryParams.slice(0, -2); // Remove limit and offset
 
+    // Facet counts for the current filter set, for the filter sidebar
+    const facetsQuery = `
+      WITH filtered AS (
+        SELECT s.name as specialty, d.languages, d.insurance_accepted, d.consultation_modes
+        FROM doctors d
+        JOIN users u ON d.user_id = u.id
+        JOIN specialties s ON d.specialty_id = s.id
+        ${nextSlotJoin}
+        WHERE ${whereConditions.join(' AND ')}
+      )
+      SELECT 'specialties' as facet, specialty as value, COUNT(*) as count
+      FROM filtered
+      GROUP BY specialty
+      UNION ALL
+      SELECT 'languages', language, COUNT(*)
+      FROM filtered, unnest(filtered.languages) as language
+      GROUP BY language
+      UNION ALL
+      SELECT 'insurance', insurer, COUNT(*)
+      FROM filtered, unnest(filtered.insurance_accepted) as insurer
+      GROUP BY insurer
+      UNION ALL
+      SELECT 'consultationModes', mode, COUNT(*)
+      FROM filtered, unnest(filtered.consultation_modes) as mode
+      GROUP BY mode
+      ORDER BY facet, count DESC, value
+    `;
+
     // Execute queries
-    const [doctorsResult, countResult] = await Promise.all([
+    const [doctorsResult, countResult, facetsResult] = await Promise.all([
       query(doctorsQuery, queryParams),
-      query(countQuery, countParams)
+      query(countQuery, countParams),
+      query(facetsQuery, countParams)
     ]);
 
+    const facets = {
+      specialties: [],
+      languages: [],
+      insurance: [],
+      consultationModes: []
+    };
+    facetsResult.rows.forEach(row => {
+      facets[row.facet].push({ value: row.value, count: parseInt(row.count) });
+    });
+
     const doctors = doctorsResult.rows.map(doctor => ({
       id: doctor.id,
       name: `Dr. ${doctor.first_name} ${doctor.last_name}`,
@@ -226,6 +485,16 @@ router.get('/', optionalAuth, async (req, res) => {
       insuranceAccepted: doctor.insurance_accepted || [],
       consultationModes: doctor.consultation_modes || [],
       isVerified: doctor.is_verified,
+      distanceKm: doctor.distance_km !== undefined
+        ? Math.round(parseFloat(doctor.distance_km) * 10) / 10
+        : null,
+      relevance: doctor.relevance !== undefined ? parseFloat(doctor.relevance) : undefined,
+      searchSnippet: doctor.search_snippet,
+      nextAvailableSlot: doctor.next_slot_date ? {
+        date: doctor.next_slot_date,
+        time: doctor.next_slot_time,
+        consultationMode: doctor.next_slot_mode
+      } : null,
       education: doctor.education || [],
       certifications: doctor.certifications || []
     }));
@@ -244,12 +513,24 @@ router.get('/', optionalAuth, async (req, res) => {
           hasNextPage: pageNum < totalPages,
           hasPreviousPage: pageNum > 1
         },
+        facets,
         filters: {
           specialty: specialtyFilter,
           location: locationFilter,
           consultationMode: modeFilter,
           minRating: minRatingFilter,
+          minFee: minFeeFilter,
           maxFee: maxFeeFilter,
+          languages: languagesFilter,
+          insurance: insuranceFilter,
+          gender: genderFilter,
+          minExperience: minExperienceFilter,
+          verifiedOnly,
+          lat: latFilter,
+          lng: lngFilter,
+          radiusKm: geoSearch ? searchRadiusKm : undefined,
+          availableFrom,
+          availableTo,
           search: searchQuery
         }
       }
@@ -263,144 +544,125 @@ router.get('/', optionalAuth, async (req, res) => {
   }
 });
 
-// Get doctor by ID
-router.get('/:id', optionalAuth, async (req, res) => {
-  try {
-    const doctorId = req.params.id;
+// Education and certification rows submitted with an application
+const educationSchema = Joi.object({
+  degree: Joi.string().max(100).required(),
+  institution: Joi.string().max(200).required(),
+  yearCompleted: Joi.number().integer().min(1900).max(new Date().getFullYear()).optional()
+});
 
-    // Validate doctor ID
-    const idValidation = Joi.number().integer().positive().validate(doctorId);
-    if (idValidation.error) {
-      return res.status(400).json({
-        error: 'Validation Error',
-        message: 'Invalid doctor ID'
-      });
-    }
+const certificationSchema = Joi.object({
+  certification: Joi.string().max(200).required(),
+  issuingBody: Joi.string().max(200).optional(),
+  issueDate: Joi.date().optional(),
+  expiryDate: Joi.date().optional()
+});
 
-    const doctorResult = await query(`
-      SELECT 
-        d.*,
-        u.first_name,
-        u.last_name,
-        u.email,
-        u.phone,
-        s.name as specialty,
-        s.icon as specialty_icon,
-        (
-          SELECT json_agg(
-            json_build_object(
-              'degree', de.degree,
-              'institution', de.institution,
-              'year', de.year_completed
-            )
-          )
-          FROM doctor_education de
-          WHERE de.doctor_id = d.id
-        ) as education,
-        (
-          SELECT json_agg(
-            json_build_object(
-              'certification', dc.certification,
-              'issuingBody', dc.issuing_body,
-              'issueDate', dc.issue_date,
-              'expiryDate', dc.expiry_date
-            )
-          )
-          FROM doctor_certifications dc
-          WHERE dc.doctor_id = d.id
-        ) as certifications,
-        (
-          SELECT json_agg(
-            json_build_object(
-              'dayOfWeek', da.day_of_week,
-              'startTime', da.start_time,
-              'endTime', da.end_time,
-              'isAvailable', da.is_available
-            )
-          )
-          FROM doctor_availability da
-          WHERE da.doctor_id = d.id
-          ORDER BY da.day_of_week
-        ) as availability
-      FROM doctors d
-      JOIN users u ON d.user_id = u.id
-      JOIN specialties s ON d.specialty_id = s.id
-      WHERE d.id = $1 AND d.is_available = true AND u.is_active = true
-    `, [doctorId]);
+const formatApplication = (doctor) => ({
+  id: doctor.id,
+  userId: doctor.user_id,
+  name: doctor.first_name ? `Dr. ${doctor.first_name} ${doctor.last_name}` : undefined,
+  email: doctor.email,
+  licenseNumber: doctor.license_number,
+  specialtyId: doctor.specialty_id,
+  specialty: doctor.specialty,
+  subSpecialty: doctor.sub_specialty,
+  experienceYears: doctor.experience_years,
+  verificationStatus: doctor.verification_status,
+  isVerified: doctor.is_verified,
+  rejectionReason: doctor.rejection_reason,
+  submittedAt: doctor.submitted_at,
+  reviewedAt: doctor.reviewed_at,
+  education: doctor.education || [],
+  certifications: doctor.certifications || [],
+  documents: doctor.documents || []
+});
 
-    if (doctorResult.rows.length === 0) {
+// Application details shared by the doctor and admin views
+const applicationQuery = `
+  SELECT
+    d.*,
+    u.first_name,
+    u.last_name,
+    u.email,
+    s.name as specialty,
+    (
+      SELECT json_agg(
+        json_build_object(
+          'degree', de.degree,
+          'institution', de.institution,
+          'year', de.year_completed
+        )
+      )
+      FROM doctor_education de
+      WHERE de.doctor_id = d.id
+    ) as education,
+    (
+      SELECT json_agg(
+        json_build_object(
+          'certification', dc.certification,
+          'issuingBody', dc.issuing_body,
+          'issueDate', dc.issue_date,
+          'expiryDate', dc.expiry_date
+        )
+      )
+      FROM doctor_certifications dc
+      WHERE dc.doctor_id = d.id
+    ) as certifications,
+    (
+      SELECT json_agg(
+        json_build_object(
+          'id', dd.id,
+          'documentType', dd.document_type,
+          'originalName', dd.original_name,
+          'mimeType', dd.mime_type,
+          'sizeBytes', dd.size_bytes,
+          'uploadedAt', dd.created_at
+        ) ORDER BY dd.created_at
+      )
+      FROM doctor_documents dd
+      WHERE dd.doctor_id = d.id
+    ) as documents
+  FROM doctors d
+  JOIN users u ON d.user_id = u.id
+  LEFT JOIN specialties s ON d.specialty_id = s.id
+`;
+
+// Get own verification application (doctor accounts)
+router.get('/application', authenticateToken, authorize('doctor'), async (req, res) => {
+  try {
+    const result = await query(`${applicationQuery} WHERE d.user_id = $1`, [req.user.id]);
+
+    if (result.rows.length === 0) {
       return res.status(404).json({
         error: 'Not Found',
-        message: 'Doctor not found'
+        message: 'No application submitted yet'
       });
     }
 
-    const doctor = doctorResult.rows[0];
-
-    // Get available time slots for the next 7 days
-    const slotsResult = await query(`
-      SELECT 
-        slot_date,
-        slot_time,
-        duration_minutes,
-        consultation_mode,
-        is_booked
-      FROM doctor_time_slots
-      WHERE doctor_id = $1 
-        AND slot_date >= CURRENT_DATE 
-        AND slot_date <= CURRENT_DATE + INTERVAL '7 days'
-        AND is_booked = false
-      ORDER BY slot_date, slot_time
-      LIMIT 20
-    `, [doctorId]);
-
-    const availableSlots = slotsResult.rows.map(slot => `${slot.slot_date} ${slot.slot_time}`);
-
     res.json({
-      data: {
-        id: doctor.id,
-        name: `Dr. ${doctor.first_name} ${doctor.last_name}`,
-        email: doctor.email,
-        phone: doctor.phone,
-        specialty: doctor.specialty,
-        specialtyIcon: doctor.specialty_icon,
-        subSpecialty: doctor.sub_specialty,
-        experience: `${doctor.experience_years} ans`,
-        qualifications: doctor.qualifications,
-        bio: doctor.bio,
-        consultationFee: parseFloat(doctor.consultation_fee),
-        rating: parseFloat(doctor.rating),
-        reviewCount: doctor.review_count,
-        practiceAddress: doctor.practice_address,
-        coordinates: doctor.coordinates_lat && doctor.coordinates_lng ? {
-          lat: parseFloat(doctor.coordinates_lat),
-          lng: parseFloat(doctor.coordinates_lng)
-        } : null,
-        languages: doctor.languages || [],
-        insuranceAccepted: doctor.insurance_accepted || [],
-        consultationModes: doctor.consultation_modes || [],
-        isVerified: doctor.is_verified,
-        education: doctor.education || [],
-        certifications: doctor.certifications || [],
-        availability: doctor.availability || [],
-        availableSlots,
-        nextAvailable: availableSlots.length > 0 ? availableSlots[0] : null
-      }
+      data: formatApplication(result.rows[0])
     });
   } catch (error) {
-    console.error('Get doctor details error:', error);
+    console.error('Get doctor application error:', error);
     res.status(500).json({
       error: 'Internal Server Error',
-      message: 'Failed to fetch doctor details'
+      message: 'Failed to fetch application'
     });
   }
 });
 
-// Create or update doctor profile (for doctors only)
-router.post('/profile', authenticateToken, requireDoctor, async (req, res) => {
+// Submit or resubmit a verification application (doctor accounts)
+router.post('/application', authenticateToken, authorize('doctor'), async (req, res) => {
   try {
     const validationSchema = Joi.object({
+      licenseNumber: Joi.string().max(50).required(),
+      specialtyId: Joi.number().integer().positive().required(),
+      subSpecialty: Joi.string().max(100).optional(),
+      experienceYears: Joi.number().integer().min(0).max(80).optional(),
+      qualifications: Joi.string().max(1000).optional(),
       bio: Joi.string().max(500).optional(),
+      consultationFee: Joi.number().min(0).optional(),
       practiceAddress: Joi.string().max(200).optional(),
       coordinates: Joi.object({
         lat: Joi.number().min(-90).max(90).required(),
@@ -408,7 +670,9 @@ router.post('/profile', authenticateToken, requireDoctor, async (req, res) => {
       }).optional(),
       languages: Joi.array().items(Joi.string()).optional(),
       insuranceAccepted: Joi.array().items(Joi.string()).optional(),
-      consultationModes: Joi.array().items(Joi.string().valid('ONLINE', 'OFFLINE')).optional()
+      consultationModes: Joi.array().items(Joi.string().valid('ONLINE', 'OFFLINE')).min(1).default(['OFFLINE']),
+      education: Joi.array().items(educationSchema).max(20).default([]),
+      certifications: Joi.array().items(certificationSchema).max(20).default([])
     });
 
     const { error, value } = validationSchema.validate(req.body);
@@ -419,63 +683,1146 @@ router.post('/profile', authenticateToken, requireDoctor, async (req, res) => {
       });
     }
 
-    const updates = [];
-    const params = [];
-    let paramIndex = 1;
+    const doctorId = await transaction(async (client) => {
+      const specialtyResult = await client.query('SELECT id FROM specialties WHERE id = $1', [value.specialtyId]);
+      if (specialtyResult.rows.length === 0) {
+        throw new Error('Specialty not found');
+      }
 
-    if (value.bio !== undefined) {
-      updates.push(`bio = $${paramIndex}`);
-      params.push(value.bio);
-      paramIndex++;
-    }
+      const existingResult = await client.query(
+        'SELECT id, verification_status FROM doctors WHERE user_id = $1 FOR UPDATE',
+        [req.user.id]
+      );
+      const existing = existingResult.rows[0];
 
-    if (value.practiceAddress !== undefined) {
-      updates.push(`practice_address = $${paramIndex}`);
-      params.push(value.practiceAddress);
-      paramIndex++;
-    }
+      if (existing && existing.verification_status === 'approved') {
+        throw new Error('Application already approved, use the profile endpoint to update details');
+      }
 
-    if (value.coordinates) {
-      updates.push(`coordinates_lat = $${paramIndex}`);
-      params.push(value.coordinates.lat);
-      paramIndex++;
-      updates.push(`coordinates_lng = $${paramIndex}`);
-      params.push(value.coordinates.lng);
-      paramIndex++;
-    }
+      const fields = [
+        value.specialtyId,
+        value.subSpecialty,
+        value.licenseNumber,
+        value.experienceYears,
+        value.qualifications,
+        value.bio,
+        value.consultationFee,
+        value.practiceAddress,
+        value.coordinates ? value.coordinates.lat : null,
+        value.coordinates ? value.coordinates.lng : null,
+        value.languages,
+        value.insuranceAccepted,
+        value.consultationModes
+      ];
 
-    if (value.languages) {
-      updates.push(`languages = $${paramIndex}`);
-      params.push(value.languages);
-      paramIndex++;
-    }
+      let id;
+      if (existing) {
+        await client.query(`
+          UPDATE doctors
+          SET specialty_id = $1, sub_specialty = $2, license_number = $3, experience_years = $4,
+              qualifications = $5, bio = $6, consultation_fee = $7, practice_address = $8,
+              coordinates_lat = $9, coordinates_lng = $10, languages = $11,
+              insurance_accepted = $12, consultation_modes = $13,
+              verification_status = 'pending', is_verified = false, rejection_reason = NULL,
+              submitted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+          WHERE id = $14
+        `, [...fields, existing.id]);
+        id = existing.id;
 
-    if (value.insuranceAccepted) {
-      updates.push(`insurance_accepted = $${paramIndex}`);
-      params.push(value.insuranceAccepted);
-      paramIndex++;
-    }
+        // A resubmission replaces the previous education and certification rows
+        await client.query('DELETE FROM doctor_education WHERE doctor_id = $1', [id]);
+        await client.query('DELETE FROM doctor_certifications WHERE doctor_id = $1', [id]);
+      } else {
+        const insertResult = await client.query(`
+          INSERT INTO doctors (
+            specialty_id, sub_specialty, license_number, experience_years,
+            qualifications, bio, consultation_fee, practice_address,
+            coordinates_lat, coordinates_lng, languages,
+            insurance_accepted, consultation_modes, user_id,
+            verification_status, is_verified
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, 'pending', false)
+          RETURNING id
+        `, [...fields, req.user.id]);
+        id = insertResult.rows[0].id;
+      }
 
-    if (value.consultationModes) {
-      updates.push(`consultation_modes = $${paramIndex}`);
-      params.push(value.consultationModes);
-      paramIndex++;
+      for (const education of value.education) {
+        await client.query(`
+          INSERT INTO doctor_education (doctor_id, degree, institution, year_completed)
+          VALUES ($1, $2, $3, $4)
+        `, [id, education.degree, education.institution, education.yearCompleted]);
+      }
+
+      for (const certification of value.certifications) {
+        await client.query(`
+          INSERT INTO doctor_certifications (doctor_id, certification, issuing_body, issue_date, expiry_date)
+          VALUES ($1, $2, $3, $4, $5)
+        `, [id, certification.certification, certification.issuingBody, certification.issueDate, certification.expiryDate]);
+      }
+
+      return id;
+    });
+
+    const result = await query(`${applicationQuery} WHERE d.id = $1`, [doctorId]);
+
+    res.status(201).json({
+      message: 'Application submitted successfully',
+      data: formatApplication(result.rows[0])
+    });
+  } catch (error) {
+    console.error('Submit doctor application error:', error);
+
+    if (error.code === '23505') {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'This license number is already registered'
+      });
     }
 
-    if (updates.length === 0) {
+    if (error.message.includes('not found') || error.message.includes('already approved')) {
       return res.status(400).json({
         error: 'Bad Request',
-        message: 'No valid fields to update'
+        message: error.message
       });
     }
 
-    updates.push(`updated_at = CURRENT_TIMESTAMP`);
-    params.push(req.doctor.id);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to submit application'
+    });
+  }
+});
 
-    const updateQuery = `
-      UPDATE doctors 
-      SET ${updates.join(', ')}
-      WHERE id = $${paramIndex}
+// Upload supporting documents for a pending application (doctor accounts)
+router.post(
+  '/application/documents',
+  authenticateToken,
+  authorize('doctor'),
+  uploadFiles({ directory: 'doctor-documents', field: 'documents', maxCount: 5 }),
+  async (req, res) => {
+    try {
+      const validationSchema = Joi.object({
+        documentType: Joi.string().valid('license', 'diploma', 'certification', 'identity', 'other').required()
+      });
+
+      const { error, value } = validationSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: error.details[0].message
+        });
+      }
+
+      if (!req.files || req.files.length === 0) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'At least one document is required'
+        });
+      }
+
+      const doctorResult = await query(
+        'SELECT id, verification_status FROM doctors WHERE user_id = $1',
+        [req.user.id]
+      );
+
+      if (doctorResult.rows.length === 0) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'Submit an application before uploading documents'
+        });
+      }
+
+      const doctorId = doctorResult.rows[0].id;
+
+      const documents = await transaction(async (client) => {
+        const inserted = [];
+        for (const file of req.files) {
+          const result = await client.query(`
+            INSERT INTO doctor_documents (doctor_id, document_type, file_path, original_name, mime_type, size_bytes)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING id, document_type, original_name, mime_type, size_bytes, created_at
+          `, [doctorId, value.documentType, await storeUpload(client, file), file.originalname, file.mimetype, file.size]);
+          inserted.push(result.rows[0]);
+        }
+        return inserted;
+      });
+
+      res.status(201).json({
+        message: 'Documents uploaded successfully',
+        data: documents.map(document => ({
+          id: document.id,
+          documentType: document.document_type,
+          originalName: document.original_name,
+          mimeType: document.mime_type,
+          sizeBytes: document.size_bytes,
+          uploadedAt: document.created_at
+        }))
+      });
+    } catch (error) {
+      console.error('Upload doctor documents error:', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to upload documents'
+      });
+    }
+  }
+);
+
+// List verification applications (admins only)
+router.get('/applications', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      status: Joi.string().valid('pending', 'approved', 'rejected').default('pending'),
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(50).default(10)
+    });
+
+    const { error, value } = validationSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const offset = (value.page - 1) * value.limit;
+
+    const [applicationsResult, countResult] = await Promise.all([
+      query(`
+        ${applicationQuery}
+        WHERE d.verification_status = $1
+        ORDER BY d.submitted_at ASC
+        LIMIT $2 OFFSET $3
+      `, [value.status, value.limit, offset]),
+      query('SELECT COUNT(*) as total FROM doctors WHERE verification_status = $1', [value.status])
+    ]);
+
+    const total = parseInt(countResult.rows[0].total);
+    const totalPages = Math.ceil(total / value.limit);
+
+    res.json({
+      data: {
+        applications: applicationsResult.rows.map(formatApplication),
+        pagination: {
+          currentPage: value.page,
+          itemsPerPage: value.limit,
+          totalItems: total,
+          totalPages,
+          hasNextPage: value.page < totalPages,
+          hasPreviousPage: value.page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get doctor applications error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch applications'
+    });
+  }
+});
+
+// Get a single application (admins only)
+router.get('/applications/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const idValidation = Joi.number().integer().positive().validate(req.params.id);
+    if (idValidation.error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Invalid application ID'
+      });
+    }
+
+    const result = await query(`${applicationQuery} WHERE d.id = $1`, [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Application not found'
+      });
+    }
+
+    res.json({
+      data: formatApplication(result.rows[0])
+    });
+  } catch (error) {
+    console.error('Get doctor application details error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch application'
+    });
+  }
+});
+
+// Download a supporting document (admins only)
+router.get('/applications/:id/documents/:documentId', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const idsValidation = Joi.object({
+      id: Joi.number().integer().positive().required(),
+      documentId: Joi.number().integer().positive().required()
+    }).validate(req.params);
+    if (idsValidation.error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Invalid application or document ID'
+      });
+    }
+
+    const result = await query(
+      'SELECT file_path, original_name FROM doctor_documents WHERE id = $1 AND doctor_id = $2',
+      [req.params.documentId, req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Document not found'
+      });
+    }
+
+    const document = result.rows[0];
+    if (!await sendStoredFile(res, document.file_path, document.original_name)) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Document not found'
+      });
+    }
+  } catch (error) {
+    console.error('Download doctor document error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to download document'
+    });
+  }
+});
+
+// Approve or reject an application (admins only)
+router.put('/applications/:id/review', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      decision: Joi.string().valid('approve', 'reject').required(),
+      reason: Joi.string().max(1000).when('decision', {
+        is: 'reject',
+        then: Joi.required(),
+        otherwise: Joi.optional()
+      })
+    });
+
+    const { error, value } = validationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const approved = value.decision === 'approve';
+
+    const doctor = await transaction(async (client) => {
+      const doctorResult = await client.query(
+        'SELECT id, user_id, verification_status FROM doctors WHERE id = $1 FOR UPDATE',
+        [req.params.id]
+      );
+
+      if (doctorResult.rows.length === 0) {
+        throw new Error('Application not found');
+      }
+
+      if (doctorResult.rows[0].verification_status !== 'pending') {
+        throw new Error('Only pending applications can be reviewed');
+      }
+
+      const updateResult = await client.query(`
+        UPDATE doctors
+        SET verification_status = $2,
+            is_verified = $3,
+            rejection_reason = $4,
+            reviewed_at = CURRENT_TIMESTAMP,
+            reviewed_by = $5,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+      `, [
+        req.params.id,
+        approved ? 'approved' : 'rejected',
+        approved,
+        approved ? null : value.reason,
+        req.user.id
+      ]);
+
+      await client.query(`
+        INSERT INTO notifications (user_id, type, title, message)
+        VALUES ($1, 'verification', $2, $3)
+      `, [
+        doctorResult.rows[0].user_id,
+        approved ? 'Profil vérifié' : 'Vérification refusée',
+        approved
+          ? 'Votre profil médecin a été vérifié. Vous pouvez désormais recevoir des rendez-vous.'
+          : `Votre demande de vérification a été refusée : ${value.reason}`
+      ]);
+
+      await logAdminAction(client, req, {
+        action: approved ? 'doctor.approve' : 'doctor.reject',
+        targetType: 'doctor',
+        targetId: doctorResult.rows[0].id,
+        details: approved ? null : { reason: value.reason }
+      });
+
+      return updateResult.rows[0];
+    });
+
+    res.json({
+      message: approved ? 'Application approved' : 'Application rejected',
+      data: {
+        id: doctor.id,
+        verificationStatus: doctor.verification_status,
+        isVerified: doctor.is_verified,
+        rejectionReason: doctor.rejection_reason,
+        reviewedAt: doctor.reviewed_at
+      }
+    });
+  } catch (error) {
+    console.error('Review doctor application error:', error);
+
+    if (error.message.includes('not found') || error.message.includes('Only pending')) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to review application'
+    });
+  }
+});
+
+const timePattern = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const formatAvailability = (window) => ({
+  id: window.id,
+  dayOfWeek: window.day_of_week,
+  startTime: window.start_time,
+  endTime: window.end_time,
+  slotDurationMinutes: window.slot_duration_minutes,
+  consultationMode: window.consultation_mode,
+  isAvailable: window.is_available
+});
+
+// Get own weekly schedule (doctors only)
+router.get('/schedule', authenticateToken, requireDoctor, async (req, res) => {
+  try {
+    const result = await query(`
+      SELECT *
+      FROM doctor_availability
+      WHERE doctor_id = $1
+      ORDER BY day_of_week, start_time
+    `, [req.doctor.id]);
+
+    res.json({
+      data: result.rows.map(formatAvailability)
+    });
+  } catch (error) {
+    console.error('Get doctor schedule error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch schedule'
+    });
+  }
+});
+
+// Replace own weekly schedule and regenerate open slots (doctors only)
+router.put('/schedule', authenticateToken, requireDoctor, async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      availability: Joi.array().items(Joi.object({
+        dayOfWeek: Joi.number().integer().min(0).max(6).required(),
+        startTime: Joi.string().pattern(timePattern).required(),
+        endTime: Joi.string().pattern(timePattern).required(),
+        slotDurationMinutes: Joi.number().integer().min(10).max(240).default(30),
+        consultationMode: Joi.string().valid('ONLINE', 'OFFLINE').optional(),
+        isAvailable: Joi.boolean().default(true)
+      })).max(50).required(),
+      weeks: Joi.number().integer().min(1).max(12).default(DEFAULT_WEEKS_AHEAD)
+    });
+
+    const { error, value } = validationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    // Windows must be well-formed and must not overlap on the same day
+    const windows = [...value.availability].sort((a, b) =>
+      a.dayOfWeek - b.dayOfWeek || toMinutes(a.startTime) - toMinutes(b.startTime)
+    );
+
+    for (let i = 0; i < windows.length; i++) {
+      const window = windows[i];
+      if (toMinutes(window.endTime) - toMinutes(window.startTime) < window.slotDurationMinutes) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'Each window must be at least one slot long'
+        });
+      }
+
+      const previous = windows[i - 1];
+      if (previous && previous.dayOfWeek === window.dayOfWeek &&
+          toMinutes(window.startTime) < toMinutes(previous.endTime)) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'Availability windows must not overlap'
+        });
+      }
+    }
+
+    const result = await transaction(async (client) => {
+      const doctorResult = await client.query(
+        'SELECT consultation_modes FROM doctors WHERE id = $1 FOR UPDATE',
+        [req.doctor.id]
+      );
+      const doctorModes = doctorResult.rows[0].consultation_modes || [];
+
+      const unsupported = windows.find(window =>
+        window.consultationMode && !doctorModes.includes(window.consultationMode)
+      );
+      if (unsupported) {
+        throw new Error(`Doctor does not support ${unsupported.consultationMode} consultations`);
+      }
+
+      await client.query('DELETE FROM doctor_availability WHERE doctor_id = $1', [req.doctor.id]);
+
+      const inserted = [];
+      for (const window of windows) {
+        const insertResult = await client.query(`
+          INSERT INTO doctor_availability (
+            doctor_id, day_of_week, start_time, end_time,
+            slot_duration_minutes, consultation_mode, is_available
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+          RETURNING *
+        `, [
+          req.doctor.id,
+          window.dayOfWeek,
+          window.startTime,
+          window.endTime,
+          window.slotDurationMinutes,
+          window.consultationMode || null,
+          window.isAvailable
+        ]);
+        inserted.push(insertResult.rows[0]);
+      }
+
+      const removedSlots = await pruneOpenSlots(client, req.doctor.id);
+      const createdSlots = await generateSlots(client, { doctorId: req.doctor.id, weeks: value.weeks });
+
+      return { inserted, removedSlots, createdSlots };
+    });
+
+    res.json({
+      message: 'Schedule updated successfully',
+      data: {
+        availability: result.inserted.map(formatAvailability),
+        slots: {
+          removed: result.removedSlots,
+          created: result.createdSlots
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Update doctor schedule error:', error);
+
+    if (error.message.includes('not support')) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update schedule'
+    });
+  }
+});
+
+// Generate time slots from the weekly schedule (doctors only)
+router.post('/schedule/generate', authenticateToken, requireDoctor, async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      weeks: Joi.number().integer().min(1).max(12).default(DEFAULT_WEEKS_AHEAD)
+    });
+
+    const { error, value } = validationSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    if (!req.doctor.isVerified) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Doctor profile is pending verification'
+      });
+    }
+
+    const created = await generateSlots({ query }, { doctorId: req.doctor.id, weeks: value.weeks });
+
+    res.json({
+      message: 'Time slots generated successfully',
+      data: {
+        created,
+        weeks: value.weeks
+      }
+    });
+  } catch (error) {
+    console.error('Generate time slots error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to generate time slots'
+    });
+  }
+});
+
+const formatException = (exception) => ({
+  id: exception.id,
+  type: exception.exception_type,
+  startDate: exception.start_date,
+  endDate: exception.end_date,
+  startTime: exception.start_time,
+  endTime: exception.end_time,
+  slotDurationMinutes: exception.exception_type === 'extra' ? exception.slot_duration_minutes : undefined,
+  consultationMode: exception.consultation_mode,
+  reason: exception.reason
+});
+
+// List own upcoming schedule exceptions (doctors only)
+router.get('/schedule/exceptions', authenticateToken, requireDoctor, async (req, res) => {
+  try {
+    const result = await query(`
+      SELECT *
+      FROM doctor_schedule_exceptions
+      WHERE doctor_id = $1 AND end_date >= CURRENT_DATE
+      ORDER BY start_date, start_time
+    `, [req.doctor.id]);
+
+    res.json({
+      data: result.rows.map(formatException)
+    });
+  } catch (error) {
+    console.error('Get schedule exceptions error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch schedule exceptions'
+    });
+  }
+});
+
+// Add time off or an extra ad-hoc window (doctors only)
+router.post('/schedule/exceptions', authenticateToken, requireDoctor, async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      type: Joi.string().valid('unavailable', 'extra').required(),
+      startDate: Joi.date().min(new Date().toISOString().split('T')[0]).required(),
+      endDate: Joi.date().min(Joi.ref('startDate')).optional(),
+      // Time off may cover whole days; extra windows always need hours
+      startTime: Joi.string().pattern(timePattern).when('type', {
+        is: 'extra',
+        then: Joi.required(),
+        otherwise: Joi.optional()
+      }),
+      endTime: Joi.string().pattern(timePattern).when('startTime', {
+        is: Joi.exist(),
+        then: Joi.required(),
+        otherwise: Joi.forbidden()
+      }),
+      slotDurationMinutes: Joi.number().integer().min(10).max(240).default(30),
+      consultationMode: Joi.string().valid('ONLINE', 'OFFLINE').optional(),
+      reason: Joi.string().max(255).optional()
+    });
+
+    const { error, value } = validationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    if (value.startTime && toMinutes(value.endTime) <= toMinutes(value.startTime)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'endTime must be after startTime'
+      });
+    }
+
+    const result = await transaction(async (client) => {
+      const exceptionResult = await client.query(`
+        INSERT INTO doctor_schedule_exceptions (
+          doctor_id, exception_type, start_date, end_date, start_time, end_time,
+          slot_duration_minutes, consultation_mode, reason
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING *
+      `, [
+        req.doctor.id,
+        value.type,
+        value.startDate,
+        value.endDate || value.startDate,
+        value.startTime || null,
+        value.endTime || null,
+        value.slotDurationMinutes,
+        value.type === 'extra' ? value.consultationMode || null : null,
+        value.reason
+      ]);
+
+      const exception = exceptionResult.rows[0];
+
+      if (exception.exception_type === 'extra') {
+        const createdSlots = await generateSlots(client, { doctorId: req.doctor.id });
+        return { exception, createdSlots, removedSlots: 0, affectedAppointments: [] };
+      }
+
+      const { removedSlots, affectedAppointments } = await applyTimeOff(client, exception);
+
+      // Patients keep their appointment but are invited to move it
+      for (const appointment of affectedAppointments) {
+        const appointmentDate = new Date(appointment.appointment_date).toLocaleDateString('fr-FR');
+        await client.query(`
+          INSERT INTO notifications (user_id, type, title, message, related_appointment_id)
+          VALUES ($1, 'reschedule_required', 'Médecin indisponible', $2, $3)
+        `, [
+          appointment.patient_id,
+          `Votre médecin sera indisponible le ${appointmentDate} à ${appointment.appointment_time}. Merci de reprogrammer votre rendez-vous ou de l'annuler.`,
+          appointment.id
+        ]);
+      }
+
+      return { exception, createdSlots: 0, removedSlots, affectedAppointments };
+    });
+
+    res.status(201).json({
+      message: 'Schedule exception created successfully',
+      data: {
+        exception: formatException(result.exception),
+        slots: {
+          removed: result.removedSlots,
+          created: result.createdSlots
+        },
+        affectedAppointments: result.affectedAppointments.map(appointment => appointment.id)
+      }
+    });
+  } catch (error) {
+    console.error('Create schedule exception error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to create schedule exception'
+    });
+  }
+});
+
+// Delete a schedule exception and rebuild open slots (doctors only)
+router.delete('/schedule/exceptions/:exceptionId', authenticateToken, requireDoctor, async (req, res) => {
+  try {
+    const result = await transaction(async (client) => {
+      const deleteResult = await client.query(
+        'DELETE FROM doctor_schedule_exceptions WHERE id = $1 AND doctor_id = $2 RETURNING id',
+        [req.params.exceptionId, req.doctor.id]
+      );
+
+      if (deleteResult.rows.length === 0) {
+        throw new Error('Schedule exception not found');
+      }
+
+      const removedSlots = await pruneOpenSlots(client, req.doctor.id);
+      const createdSlots = await generateSlots(client, { doctorId: req.doctor.id });
+
+      return { removedSlots, createdSlots };
+    });
+
+    res.json({
+      message: 'Schedule exception deleted successfully',
+      data: {
+        slots: {
+          removed: result.removedSlots,
+          created: result.createdSlots
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Delete schedule exception error:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to delete schedule exception'
+    });
+  }
+});
+
+// Get own cancellation policy (doctors only)
+router.get('/cancellation-policy', authenticateToken, requireDoctor, async (req, res) => {
+  try {
+    const policy = await getPolicy({ query }, req.doctor.id);
+
+    res.json({
+      data: formatPolicy(policy)
+    });
+  } catch (error) {
+    console.error('Get cancellation policy error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch cancellation policy'
+    });
+  }
+});
+
+// Set own cancellation policy (doctors only)
+router.put('/cancellation-policy', authenticateToken, requireDoctor, async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      freeCancellationHours: Joi.number().integer().min(0).max(168).required(),
+      lateCancellationFeePercent: Joi.number().integer().min(0).max(100).required(),
+      noShowFeePercent: Joi.number().integer().min(0).max(100).required()
+    });
+
+    const { error, value } = validationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    // Only applies to appointments booked from now on: existing bookings keep the
+    // terms recorded on them
+    await query(`
+      INSERT INTO doctor_cancellation_policies (
+        doctor_id, free_cancellation_hours, late_cancellation_fee_percent, no_show_fee_percent
+      ) VALUES ($1, $2, $3, $4)
+      ON CONFLICT (doctor_id) DO UPDATE
+      SET free_cancellation_hours = EXCLUDED.free_cancellation_hours,
+          late_cancellation_fee_percent = EXCLUDED.late_cancellation_fee_percent,
+          no_show_fee_percent = EXCLUDED.no_show_fee_percent,
+          updated_at = CURRENT_TIMESTAMP
+    `, [
+      req.doctor.id,
+      value.freeCancellationHours,
+      value.lateCancellationFeePercent,
+      value.noShowFeePercent
+    ]);
+
+    res.json({
+      message: 'Cancellation policy updated successfully',
+      data: formatPolicy(await getPolicy({ query }, req.doctor.id))
+    });
+  } catch (error) {
+    console.error('Update cancellation policy error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update cancellation policy'
+    });
+  }
+});
+
+// Go back to the platform default policy (doctors only)
+router.delete('/cancellation-policy', authenticateToken, requireDoctor, async (req, res) => {
+  try {
+    await query('DELETE FROM doctor_cancellation_policies WHERE doctor_id = $1', [req.doctor.id]);
+
+    res.json({
+      message: 'Cancellation policy reset to platform default',
+      data: formatPolicy(await getPolicy({ query }, req.doctor.id))
+    });
+  } catch (error) {
+    console.error('Reset cancellation policy error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to reset cancellation policy'
+    });
+  }
+});
+
+// Get a doctor's cancellation policy, shown to patients before booking
+router.get('/:id/cancellation-policy', async (req, res) => {
+  try {
+    const idValidation = Joi.number().integer().positive().validate(req.params.id);
+    if (idValidation.error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Invalid doctor ID'
+      });
+    }
+
+    const doctorResult = await query(
+      'SELECT id FROM doctors WHERE id = $1 AND is_verified = true',
+      [req.params.id]
+    );
+
+    if (doctorResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Doctor not found'
+      });
+    }
+
+    const policy = await getPolicy({ query }, doctorResult.rows[0].id);
+
+    res.json({
+      data: formatPolicy(policy)
+    });
+  } catch (error) {
+    console.error('Get doctor cancellation policy error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch cancellation policy'
+    });
+  }
+});
+
+// Get doctor by ID
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const doctorId = req.params.id;
+
+    // Validate doctor ID
+    const idValidation = Joi.number().integer().positive().validate(doctorId);
+    if (idValidation.error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Invalid doctor ID'
+      });
+    }
+
+    const doctorResult = await query(`
+      SELECT 
+        d.*,
+        u.first_name,
+        u.last_name,
+        u.email,
+        u.phone,
+        s.name as specialty,
+        s.icon as specialty_icon,
+        (
+          SELECT json_agg(
+            json_build_object(
+              'degree', de.degree,
+              'institution', de.institution,
+              'year', de.year_completed
+            )
+          )
+          FROM doctor_education de
+          WHERE de.doctor_id = d.id
+        ) as education,
+        (
+          SELECT json_agg(
+            json_build_object(
+              'certification', dc.certification,
+              'issuingBody', dc.issuing_body,
+              'issueDate', dc.issue_date,
+              'expiryDate', dc.expiry_date
+            )
+          )
+          FROM doctor_certifications dc
+          WHERE dc.doctor_id = d.id
+        ) as certifications,
+        (
+          SELECT json_agg(
+            json_build_object(
+              'dayOfWeek', da.day_of_week,
+              'startTime', da.start_time,
+              'endTime', da.end_time,
+              'isAvailable', da.is_available
+            ) ORDER BY da.day_of_week, da.start_time
+          )
+          FROM doctor_availability da
+          WHERE da.doctor_id = d.id
+        ) as availability,
+        (
+          SELECT json_agg(
+            json_build_object(
+              'type', dse.exception_type,
+              'startDate', dse.start_date,
+              'endDate', dse.end_date,
+              'startTime', dse.start_time,
+              'endTime', dse.end_time
+            ) ORDER BY dse.start_date, dse.start_time
+          )
+          FROM doctor_schedule_exceptions dse
+          WHERE dse.doctor_id = d.id AND dse.end_date >= CURRENT_DATE
+        ) as schedule_exceptions
+      FROM doctors d
+      JOIN users u ON d.user_id = u.id
+      JOIN specialties s ON d.specialty_id = s.id
+      WHERE d.id = $1 AND d.is_available = true AND d.is_verified = true AND u.is_active = true
+    `, [doctorId]);
+
+    if (doctorResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Doctor not found'
+      });
+    }
+
+    const doctor = doctorResult.rows[0];
+
+    // Get available time slots for the next 7 days
+    const slotsResult = await query(`
+      SELECT 
+        slot_date,
+        slot_time,
+        duration_minutes,
+        consultation_mode,
+        is_booked
+      FROM doctor_time_slots
+      WHERE doctor_id = $1 
+        AND slot_date >= CURRENT_DATE 
+        AND slot_date <= CURRENT_DATE + INTERVAL '7 days'
+        AND is_booked = false
+      ORDER BY slot_date, slot_time
+      LIMIT 20
+    `, [doctorId]);
+
+    const availableSlots = slotsResult.rows.map(slot => `${slot.slot_date} ${slot.slot_time}`);
+
+    const cancellationPolicy = await getPolicy({ query }, doctor.id);
+
+    res.json({
+      data: {
+        id: doctor.id,
+        name: `Dr. ${doctor.first_name} ${doctor.last_name}`,
+        email: doctor.email,
+        phone: doctor.phone,
+        specialty: doctor.specialty,
+        specialtyIcon: doctor.specialty_icon,
+        subSpecialty: doctor.sub_specialty,
+        experience: `${doctor.experience_years} ans`,
+        qualifications: doctor.qualifications,
+        bio: doctor.bio,
+        consultationFee: parseFloat(doctor.consultation_fee),
+        rating: parseFloat(doctor.rating),
+        reviewCount: doctor.review_count,
+        practiceAddress: doctor.practice_address,
+        coordinates: doctor.coordinates_lat && doctor.coordinates_lng ? {
+          lat: parseFloat(doctor.coordinates_lat),
+          lng: parseFloat(doctor.coordinates_lng)
+        } : null,
+        languages: doctor.languages || [],
+        insuranceAccepted: doctor.insurance_accepted || [],
+        consultationModes: doctor.consultation_modes || [],
+        isVerified: doctor.is_verified,
+        education: doctor.education || [],
+        certifications: doctor.certifications || [],
+        availability: doctor.availability || [],
+        scheduleExceptions: doctor.schedule_exceptions || [],
+        cancellationPolicy: formatPolicy(cancellationPolicy),
+        availableSlots,
+        nextAvailable: availableSlots.length > 0 ? availableSlots[0] : null
+      }
+    });
+  } catch (error) {
+    console.error('Get doctor details error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch doctor details'
+    });
+  }
+});
+
+// Create or update doctor profile (for doctors only)
+router.post('/profile', authenticateToken, requireDoctor, async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      bio: Joi.string().max(500).optional(),
+      practiceAddress: Joi.string().max(200).optional(),
+      coordinates: Joi.object({
+        lat: Joi.number().min(-90).max(90).required(),
+        lng: Joi.number().min(-180).max(180).required()
+      }).optional(),
+      languages: Joi.array().items(Joi.string()).optional(),
+      insuranceAccepted: Joi.array().items(Joi.string()).optional(),
+      consultationModes: Joi.array().items(Joi.string().valid('ONLINE', 'OFFLINE')).optional()
+    });
+
+    const { error, value } = validationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const updates = [];
+    const params = [];
+    let paramIndex = 1;
+
+    if (value.bio !== undefined) {
+      updates.push(`bio = $${paramIndex}`);
+      params.push(value.bio);
+      paramIndex++;
+    }
+
+    if (value.practiceAddress !== undefined) {
+      updates.push(`practice_address = $${paramIndex}`);
+      params.push(value.practiceAddress);
+      paramIndex++;
+    }
+
+    if (value.coordinates) {
+      updates.push(`coordinates_lat = $${paramIndex}`);
+      params.push(value.coordinates.lat);
+      paramIndex++;
+      updates.push(`coordinates_lng = $${paramIndex}`);
+      params.push(value.coordinates.lng);
+      paramIndex++;
+    }
+
+    if (value.languages) {
+      updates.push(`languages = $${paramIndex}`);
+      params.push(value.languages);
+      paramIndex++;
+    }
+
+    if (value.insuranceAccepted) {
+      updates.push(`insurance_accepted = $${paramIndex}`);
+      params.push(value.insuranceAccepted);
+      paramIndex++;
+    }
+
+    if (value.consultationModes) {
+      updates.push(`consultation_modes = $${paramIndex}`);
+      params.push(value.consultationModes);
+      paramIndex++;
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'No valid fields to update'
+      });
+    }
+
+    updates.push(`updated_at = CURRENT_TIMESTAMP`);
+    params.push(req.doctor.id);
+
+    const updateQuery = `
+      UPDATE doctors 
+      SET ${updates.join(', ')}
+      WHERE id = $${paramIndex}
       RETURNING *
     `;
 
@@ -483,7 +1830,12 @@ router.post('/profile', authenticateToken, requireDoctor, async (req, res) => {
 
     res.json({
       message: 'Doctor profile updated successfully',
-      data: result.rows[0]
+      data: {
+        ...result.rows[0],
+        // Internal search columns
+        search_vector: undefined,
+        search_text: undefined
+      }
     });
   } catch (error) {
     console.error('Update doctor profile error:', error);
@@ -0,0 +1,620 @@
+const express = require('express');
+const Joi = require('joi');
+const { query, transaction } = require('../config/database');
+const { authenticateToken, requireDoctor, requirePatient } = require('../middleware/auth');
+const { getRecordAccess } = require('../services/medical-records');
+const { recordAccess } = require('../services/access-audit');
+const { dependentColumns, dependentSummary } = require('../services/dependents');
+
+const router = express.Router();
+
+const recordFields = {
+  diagnosis: Joi.string().max(5000).optional(),
+  symptoms: Joi.string().max(5000).optional(),
+  treatmentPlan: Joi.string().max(5000).optional(),
+  medications: Joi.string().max(5000).optional(),
+  followUpDate: Joi.date().optional().allow(null)
+};
+
+const recordQuery = `
+  SELECT
+    mr.*,
+    a.appointment_date,
+    a.appointment_time,
+    u_doctor.first_name as doctor_first_name,
+    u_doctor.last_name as doctor_last_name,
+    s.name as specialty,
+    ${dependentColumns}
+  FROM medical_records mr
+  LEFT JOIN patient_dependents pd ON mr.dependent_id = pd.id
+  JOIN doctors d ON mr.doctor_id = d.id
+  JOIN users u_doctor ON d.user_id = u_doctor.id
+  LEFT JOIN specialties s ON d.specialty_id = s.id
+  LEFT JOIN appointments a ON mr.appointment_id = a.id
+`;
+
+const formatRecord = (record) => ({
+  id: record.id,
+  patientId: record.patient_id,
+  dependent: dependentSummary(record),
+  doctorId: record.doctor_id,
+  doctorName: `Dr. ${record.doctor_first_name} ${record.doctor_last_name}`,
+  specialty: record.specialty,
+  appointmentId: record.appointment_id,
+  appointmentDate: record.appointment_date,
+  appointmentTime: record.appointment_time,
+  diagnosis: record.diagnosis,
+  symptoms: record.symptoms,
+  treatmentPlan: record.treatment_plan,
+  medications: record.medications,
+  followUpDate: record.follow_up_date,
+  version: record.current_version,
+  createdAt: record.created_at,
+  updatedAt: record.updated_at
+});
+
+// Load a record and check the caller may read it
+const loadAccessibleRecord = async (user, recordId) => {
+  const recordResult = await query(`${recordQuery} WHERE mr.id = $1`, [recordId]);
+
+  if (recordResult.rows.length === 0) {
+    throw new Error('Medical record not found');
+  }
+
+  const record = recordResult.rows[0];
+  const access = await getRecordAccess({ query }, user, record.patient_id, record.dependent_id);
+
+  if (!access.allowed || (access.scope === 'authored' && record.doctor_id !== access.doctorId)) {
+    throw new Error('You do not have permission to view this medical record');
+  }
+
+  return record;
+};
+
+// Record a read of a record by someone other than its patient
+const recordView = async (req, record, action) => {
+  if (req.user.id !== record.patient_id) {
+    await recordAccess(req, {
+      patientId: record.patient_id,
+      action,
+      resourceType: 'medical_record',
+      resourceId: record.id
+    });
+  }
+};
+
+// Create a record for an appointment the doctor handled (doctors only)
+router.post('/', authenticateToken, requireDoctor, async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      appointmentId: Joi.number().integer().positive().required(),
+      ...recordFields
+    }).or('diagnosis', 'symptoms', 'treatmentPlan', 'medications');
+
+    const { error, value } = validationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const recordId = await transaction(async (client) => {
+      const appointmentResult = await client.query(
+        'SELECT id, patient_id, dependent_id, doctor_id, status FROM appointments WHERE id = $1',
+        [value.appointmentId]
+      );
+
+      if (appointmentResult.rows.length === 0) {
+        throw new Error('Appointment not found');
+      }
+
+      const appointment = appointmentResult.rows[0];
+
+      if (appointment.doctor_id !== req.doctor.id) {
+        throw new Error('You do not have permission to document this appointment');
+      }
+
+      if (!['confirmed', 'completed'].includes(appointment.status)) {
+        throw new Error('Cannot create a record for an appointment with current status');
+      }
+
+      const recordResult = await client.query(`
+        INSERT INTO medical_records (
+          patient_id, dependent_id, doctor_id, appointment_id, diagnosis, symptoms,
+          treatment_plan, medications, follow_up_date, current_version
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 1)
+        RETURNING *
+      `, [
+        appointment.patient_id,
+        appointment.dependent_id,
+        req.doctor.id,
+        appointment.id,
+        value.diagnosis,
+        value.symptoms,
+        value.treatmentPlan,
+        value.medications,
+        value.followUpDate
+      ]);
+
+      const record = recordResult.rows[0];
+
+      await client.query(`
+        INSERT INTO medical_record_versions (
+          record_id, version, diagnosis, symptoms, treatment_plan,
+          medications, follow_up_date, amended_by
+        ) VALUES ($1, 1, $2, $3, $4, $5, $6, $7)
+      `, [
+        record.id,
+        record.diagnosis,
+        record.symptoms,
+        record.treatment_plan,
+        record.medications,
+        record.follow_up_date,
+        req.user.id
+      ]);
+
+      await recordAccess(req, {
+        patientId: record.patient_id,
+        action: 'medical_record.create',
+        resourceType: 'medical_record',
+        resourceId: record.id,
+        changes: { version: { before: null, after: 1 } }
+      }, client);
+
+      return record.id;
+    });
+
+    const result = await query(`${recordQuery} WHERE mr.id = $1`, [recordId]);
+
+    res.status(201).json({
+      message: 'Medical record created successfully',
+      data: formatRecord(result.rows[0])
+    });
+  } catch (error) {
+    console.error('Create medical record error:', error);
+
+    // UNIQUE(appointment_id)
+    if (error.code === '23505') {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'A medical record already exists for this appointment, amend it instead'
+      });
+    }
+
+    if (error.message.includes('not found') ||
+        error.message.includes('permission') ||
+        error.message.includes('Cannot create')) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to create medical record'
+    });
+  }
+});
+
+// Amend a record as a new version (authoring doctor only)
+router.put('/:id', authenticateToken, requireDoctor, async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      ...recordFields,
+      amendmentReason: Joi.string().max(1000).required()
+    }).or('diagnosis', 'symptoms', 'treatmentPlan', 'medications', 'followUpDate');
+
+    const { error, value } = validationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    await transaction(async (client) => {
+      const recordResult = await client.query(
+        'SELECT * FROM medical_records WHERE id = $1 FOR UPDATE',
+        [req.params.id]
+      );
+
+      if (recordResult.rows.length === 0) {
+        throw new Error('Medical record not found');
+      }
+
+      const current = recordResult.rows[0];
+
+      if (current.doctor_id !== req.doctor.id) {
+        throw new Error('You do not have permission to amend this medical record');
+      }
+
+      // Unspecified fields carry over from the current version
+      const next = {
+        diagnosis: value.diagnosis !== undefined ? value.diagnosis : current.diagnosis,
+        symptoms: value.symptoms !== undefined ? value.symptoms : current.symptoms,
+        treatmentPlan: value.treatmentPlan !== undefined ? value.treatmentPlan : current.treatment_plan,
+        medications: value.medications !== undefined ? value.medications : current.medications,
+        followUpDate: value.followUpDate !== undefined ? value.followUpDate : current.follow_up_date
+      };
+      const version = current.current_version + 1;
+
+      await client.query(`
+        INSERT INTO medical_record_versions (
+          record_id, version, diagnosis, symptoms, treatment_plan,
+          medications, follow_up_date, amended_by, amendment_reason
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      `, [
+        current.id,
+        version,
+        next.diagnosis,
+        next.symptoms,
+        next.treatmentPlan,
+        next.medications,
+        next.followUpDate,
+        req.user.id,
+        value.amendmentReason
+      ]);
+
+      await client.query(`
+        UPDATE medical_records
+        SET diagnosis = $2,
+            symptoms = $3,
+            treatment_plan = $4,
+            medications = $5,
+            follow_up_date = $6,
+            current_version = $7,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [
+        current.id,
+        next.diagnosis,
+        next.symptoms,
+        next.treatmentPlan,
+        next.medications,
+        next.followUpDate,
+        version
+      ]);
+
+      // Field names only: the medical content itself stays in medical_record_versions
+      await recordAccess(req, {
+        patientId: current.patient_id,
+        action: 'medical_record.amend',
+        resourceType: 'medical_record',
+        resourceId: current.id,
+        changes: {
+          version: { before: current.current_version, after: version },
+          amendedFields: Object.keys(next).filter(field => value[field] !== undefined)
+        }
+      }, client);
+    });
+
+    const result = await query(`${recordQuery} WHERE mr.id = $1`, [req.params.id]);
+
+    res.json({
+      message: 'Medical record amended successfully',
+      data: formatRecord(result.rows[0])
+    });
+  } catch (error) {
+    console.error('Amend medical record error:', error);
+
+    if (error.message.includes('not found') || error.message.includes('permission')) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to amend medical record'
+    });
+  }
+});
+
+// Get own medical history, dependents included (patients only)
+router.get('/', authenticateToken, requirePatient, async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      dependentId: Joi.number().integer().positive().optional()
+    });
+
+    const { error, value } = validationSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const result = await query(`
+      ${recordQuery}
+      WHERE mr.patient_id = $1 AND ($2::integer IS NULL OR mr.dependent_id = $2)
+      ORDER BY mr.created_at DESC
+    `, [req.user.id, value.dependentId]);
+
+    res.json({
+      data: result.rows.map(formatRecord)
+    });
+  } catch (error) {
+    console.error('Get medical history error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch medical history'
+    });
+  }
+});
+
+// Manage consents granted to doctors (patients only)
+router.get('/consents', authenticateToken, requirePatient, async (req, res) => {
+  try {
+    const result = await query(`
+      SELECT
+        c.*,
+        u.first_name as doctor_first_name,
+        u.last_name as doctor_last_name,
+        ${dependentColumns}
+      FROM medical_record_consents c
+      JOIN doctors d ON c.doctor_id = d.id
+      JOIN users u ON d.user_id = u.id
+      LEFT JOIN patient_dependents pd ON c.dependent_id = pd.id
+      WHERE c.patient_id = $1
+        AND c.revoked_at IS NULL
+        AND (c.expires_at IS NULL OR c.expires_at > CURRENT_TIMESTAMP)
+      ORDER BY c.created_at DESC
+    `, [req.user.id]);
+
+    res.json({
+      data: result.rows.map(consent => ({
+        id: consent.id,
+        doctorId: consent.doctor_id,
+        doctorName: `Dr. ${consent.doctor_first_name} ${consent.doctor_last_name}`,
+        dependent: dependentSummary(consent),
+        expiresAt: consent.expires_at,
+        createdAt: consent.created_at
+      }))
+    });
+  } catch (error) {
+    console.error('Get consents error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch consents'
+    });
+  }
+});
+
+router.post('/consents', authenticateToken, requirePatient, async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      doctorId: Joi.number().integer().positive().required(),
+      // Grant access to a dependent's records instead of the guardian's own
+      dependentId: Joi.number().integer().positive().optional(),
+      expiresAt: Joi.date().min('now').optional()
+    });
+
+    const { error, value } = validationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const doctorResult = await query('SELECT id FROM doctors WHERE id = $1', [value.doctorId]);
+    if (doctorResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Doctor not found'
+      });
+    }
+
+    if (value.dependentId) {
+      const dependentResult = await query(
+        'SELECT id FROM patient_dependents WHERE id = $1 AND guardian_id = $2 AND is_active = true',
+        [value.dependentId, req.user.id]
+      );
+      if (dependentResult.rows.length === 0) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'Dependent not found'
+        });
+      }
+    }
+
+    const result = await query(`
+      INSERT INTO medical_record_consents (patient_id, dependent_id, doctor_id, expires_at)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `, [req.user.id, value.dependentId, value.doctorId, value.expiresAt]);
+
+    res.status(201).json({
+      message: 'Consent granted successfully',
+      data: {
+        id: result.rows[0].id,
+        doctorId: result.rows[0].doctor_id,
+        dependentId: result.rows[0].dependent_id,
+        expiresAt: result.rows[0].expires_at,
+        createdAt: result.rows[0].created_at
+      }
+    });
+  } catch (error) {
+    console.error('Grant consent error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to grant consent'
+    });
+  }
+});
+
+router.delete('/consents/:consentId', authenticateToken, requirePatient, async (req, res) => {
+  try {
+    const result = await query(`
+      UPDATE medical_record_consents
+      SET revoked_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND patient_id = $2 AND revoked_at IS NULL
+    `, [req.params.consentId, req.user.id]);
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Consent not found'
+      });
+    }
+
+    res.json({
+      message: 'Consent revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke consent error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to revoke consent'
+    });
+  }
+});
+
+// Get a patient's medical history (the patient, or a doctor with access).
+// ?dependentId= selects the history of one of the account's dependents.
+router.get('/patient/:patientId', authenticateToken, async (req, res) => {
+  try {
+    const idValidation = Joi.number().integer().positive().validate(req.params.patientId);
+    if (idValidation.error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Invalid patient ID'
+      });
+    }
+
+    const dependentValidation = Joi.number().integer().positive().optional().validate(req.query.dependentId);
+    if (dependentValidation.error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Invalid dependent ID'
+      });
+    }
+
+    const dependentId = dependentValidation.value || null;
+    const access = await getRecordAccess({ query }, req.user, req.params.patientId, dependentId);
+
+    if (!access.allowed) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You do not have permission to view these medical records'
+      });
+    }
+
+    const result = await query(`
+      ${recordQuery}
+      WHERE mr.patient_id = $1
+        AND mr.dependent_id IS NOT DISTINCT FROM $3
+        AND ($2::integer IS NULL OR mr.doctor_id = $2)
+      ORDER BY mr.created_at DESC
+    `, [req.params.patientId, access.scope === 'authored' ? access.doctorId : null, dependentId]);
+
+    if (req.user.id !== parseInt(req.params.patientId)) {
+      await recordAccess(req, {
+        patientId: parseInt(req.params.patientId),
+        action: 'medical_record.list',
+        resourceType: 'medical_record',
+        resourceId: null
+      });
+    }
+
+    res.json({
+      data: result.rows.map(formatRecord)
+    });
+  } catch (error) {
+    console.error('Get patient medical records error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch medical records'
+    });
+  }
+});
+
+// Get a single record
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const record = await loadAccessibleRecord(req.user, req.params.id);
+    await recordView(req, record, 'medical_record.view');
+
+    res.json({
+      data: formatRecord(record)
+    });
+  } catch (error) {
+    console.error('Get medical record error:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('permission')) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch medical record'
+    });
+  }
+});
+
+// Get the amendment history of a record
+router.get('/:id/versions', authenticateToken, async (req, res) => {
+  try {
+    const record = await loadAccessibleRecord(req.user, req.params.id);
+    await recordView(req, record, 'medical_record.view_versions');
+
+    const result = await query(`
+      SELECT v.*, u.first_name as author_first_name, u.last_name as author_last_name
+      FROM medical_record_versions v
+      JOIN users u ON v.amended_by = u.id
+      WHERE v.record_id = $1
+      ORDER BY v.version DESC
+    `, [req.params.id]);
+
+    res.json({
+      data: result.rows.map(version => ({
+        version: version.version,
+        diagnosis: version.diagnosis,
+        symptoms: version.symptoms,
+        treatmentPlan: version.treatment_plan,
+        medications: version.medications,
+        followUpDate: version.follow_up_date,
+        amendedBy: `${version.author_first_name} ${version.author_last_name}`,
+        amendmentReason: version.amendment_reason,
+        createdAt: version.created_at
+      }))
+    });
+  } catch (error) {
+    console.error('Get medical record versions error:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('permission')) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch medical record history'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,377 @@
+const express = require('express');
+const Joi = require('joi');
+const { query, transaction } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { uploadFiles, storeUpload, sendStoredFile } = require('../middleware/upload');
+const { publish, subscribe } = require('../services/messaging');
+
+const router = express.Router();
+
+// Keep-alive comment interval for SSE streams (proxies drop idle connections)
+const STREAM_HEARTBEAT_MS = 25000;
+
+const messageQuery = `
+  SELECT
+    m.*,
+    u.first_name as sender_first_name,
+    u.last_name as sender_last_name,
+    u.role as sender_role,
+    (
+      SELECT json_agg(
+        json_build_object(
+          'id', ma.id,
+          'originalName', ma.original_name,
+          'mimeType', ma.mime_type,
+          'sizeBytes', ma.size_bytes
+        ) ORDER BY ma.id
+      )
+      FROM appointment_message_attachments ma
+      WHERE ma.message_id = m.id
+    ) as attachments
+  FROM appointment_messages m
+  JOIN users u ON m.sender_id = u.id
+`;
+
+const formatMessage = (message) => ({
+  id: message.id,
+  appointmentId: message.appointment_id,
+  senderId: message.sender_id,
+  senderName: message.sender_role === 'doctor'
+    ? `Dr. ${message.sender_first_name} ${message.sender_last_name}`
+    : `${message.sender_first_name} ${message.sender_last_name}`,
+  senderRole: message.sender_role,
+  body: message.body,
+  attachments: message.attachments || [],
+  readAt: message.read_at,
+  createdAt: message.created_at
+});
+
+// Same rules as GET /api/appointments/:id: the patient, the doctor and admins
+// can read a thread; only the patient and the doctor can write to it
+const loadThread = async (user, appointmentId) => {
+  const idValidation = Joi.number().integer().positive().validate(appointmentId);
+  if (idValidation.error) {
+    throw new Error('Appointment not found');
+  }
+
+  const result = await query(`
+    SELECT a.id, a.patient_id, a.status, d.user_id as doctor_user_id
+    FROM appointments a
+    JOIN doctors d ON a.doctor_id = d.id
+    WHERE a.id = $1
+  `, [appointmentId]);
+
+  if (result.rows.length === 0) {
+    throw new Error('Appointment not found');
+  }
+
+  const appointment = result.rows[0];
+  const isParticipant =
+    (user.role === 'patient' && appointment.patient_id === user.id) ||
+    (user.role === 'doctor' && appointment.doctor_user_id === user.id);
+
+  if (!isParticipant && user.role !== 'admin') {
+    throw new Error('You do not have permission to view this conversation');
+  }
+
+  return {
+    appointment,
+    isParticipant,
+    recipientId: appointment.patient_id === user.id ? appointment.doctor_user_id : appointment.patient_id
+  };
+};
+
+const handleThreadError = (res, error, fallbackMessage) => {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: error.message
+    });
+  }
+
+  if (error.message.includes('permission')) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    error: 'Internal Server Error',
+    message: fallbackMessage
+  });
+};
+
+// List messages of an appointment; poll with ?after=<last id> as the REST fallback to the stream
+router.get('/appointment/:appointmentId', authenticateToken, async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      after: Joi.number().integer().min(0).optional(),
+      limit: Joi.number().integer().min(1).max(100).default(50)
+    });
+
+    const { error, value } = validationSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const { appointment } = await loadThread(req.user, req.params.appointmentId);
+
+    let result;
+    if (value.after !== undefined) {
+      result = await query(`
+        ${messageQuery}
+        WHERE m.appointment_id = $1 AND m.id > $2
+        ORDER BY m.id
+        LIMIT $3
+      `, [appointment.id, value.after, value.limit]);
+    } else {
+      // Latest page, returned oldest first
+      result = await query(`
+        SELECT * FROM (
+          ${messageQuery}
+          WHERE m.appointment_id = $1
+          ORDER BY m.id DESC
+          LIMIT $2
+        ) latest
+        ORDER BY id
+      `, [appointment.id, value.limit]);
+    }
+
+    const unreadResult = await query(`
+      SELECT COUNT(*) as unread
+      FROM appointment_messages
+      WHERE appointment_id = $1 AND sender_id <> $2 AND read_at IS NULL
+    `, [appointment.id, req.user.id]);
+
+    res.json({
+      data: {
+        messages: result.rows.map(formatMessage),
+        unreadCount: parseInt(unreadResult.rows[0].unread)
+      }
+    });
+  } catch (error) {
+    console.error('Get messages error:', error);
+    handleThreadError(res, error, 'Failed to fetch messages');
+  }
+});
+
+// Send a message with optional attachments (multipart, field "attachments")
+router.post(
+  '/appointment/:appointmentId',
+  authenticateToken,
+  uploadFiles({ directory: 'message-attachments', field: 'attachments', maxCount: 5 }),
+  async (req, res) => {
+    try {
+      const validationSchema = Joi.object({
+        body: Joi.string().trim().max(5000).allow('').optional()
+      });
+
+      const { error, value } = validationSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: error.details[0].message
+        });
+      }
+
+      const files = req.files || [];
+      if (!value.body && files.length === 0) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'A message needs text or at least one attachment'
+        });
+      }
+
+      const thread = await loadThread(req.user, req.params.appointmentId);
+
+      if (!thread.isParticipant) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'Only the patient and the doctor can send messages'
+        });
+      }
+
+      if (thread.appointment.status === 'cancelled') {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'Cannot send messages for a cancelled appointment'
+        });
+      }
+
+      const messageId = await transaction(async (client) => {
+        const messageResult = await client.query(`
+          INSERT INTO appointment_messages (appointment_id, sender_id, body)
+          VALUES ($1, $2, $3)
+          RETURNING id
+        `, [thread.appointment.id, req.user.id, value.body || null]);
+
+        const id = messageResult.rows[0].id;
+
+        for (const file of files) {
+          await client.query(`
+            INSERT INTO appointment_message_attachments (message_id, file_path, original_name, mime_type, size_bytes)
+            VALUES ($1, $2, $3, $4, $5)
+          `, [id, await storeUpload(client, file), file.originalname, file.mimetype, file.size]);
+        }
+
+        await client.query(`
+          INSERT INTO notifications (user_id, type, title, message, related_appointment_id)
+          VALUES ($1, 'message', 'Nouveau message', $2, $3)
+        `, [
+          thread.recipientId,
+          `Nouveau message de ${req.user.role === 'doctor' ? 'Dr. ' : ''}${req.user.firstName} ${req.user.lastName}.`,
+          thread.appointment.id
+        ]);
+
+        return id;
+      });
+
+      const result = await query(`${messageQuery} WHERE m.id = $1`, [messageId]);
+      const message = formatMessage(result.rows[0]);
+
+      publish(thread.appointment.id, { type: 'message', data: message });
+
+      res.status(201).json({
+        message: 'Message sent successfully',
+        data: message
+      });
+    } catch (error) {
+      console.error('Send message error:', error);
+      handleThreadError(res, error, 'Failed to send message');
+    }
+  }
+);
+
+// Mark received messages as read, up to a message ID or all of them (read receipts)
+router.put('/appointment/:appointmentId/read', authenticateToken, async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      upToMessageId: Joi.number().integer().positive().optional()
+    });
+
+    const { error, value } = validationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const thread = await loadThread(req.user, req.params.appointmentId);
+
+    // Admins reading a thread never produce receipts
+    if (!thread.isParticipant) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only the patient and the doctor can mark messages as read'
+      });
+    }
+
+    const result = await query(`
+      UPDATE appointment_messages
+      SET read_at = CURRENT_TIMESTAMP
+      WHERE appointment_id = $1
+        AND sender_id <> $2
+        AND read_at IS NULL
+        AND ($3::integer IS NULL OR id <= $3)
+      RETURNING id, read_at
+    `, [thread.appointment.id, req.user.id, value.upToMessageId || null]);
+
+    if (result.rows.length > 0) {
+      publish(thread.appointment.id, {
+        type: 'read',
+        data: {
+          readerId: req.user.id,
+          messageIds: result.rows.map(row => row.id),
+          readAt: result.rows[0].read_at
+        }
+      });
+    }
+
+    res.json({
+      message: 'Messages marked as read',
+      data: {
+        updatedCount: result.rows.length
+      }
+    });
+  } catch (error) {
+    console.error('Mark messages read error:', error);
+    handleThreadError(res, error, 'Failed to mark messages as read');
+  }
+});
+
+// Live stream of new messages and read receipts (Server-Sent Events)
+router.get('/appointment/:appointmentId/stream', authenticateToken, async (req, res) => {
+  try {
+    const { appointment } = await loadThread(req.user, req.params.appointmentId);
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+
+    const unsubscribe = subscribe(appointment.id, (event) => {
+      const id = event.type === 'message' ? `id: ${event.data.id}\n` : '';
+      res.write(`${id}event: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    });
+
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), STREAM_HEARTBEAT_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  } catch (error) {
+    console.error('Message stream error:', error);
+    handleThreadError(res, error, 'Failed to open message stream');
+  }
+});
+
+// Download an attachment
+router.get('/attachments/:attachmentId', authenticateToken, async (req, res) => {
+  try {
+    const idValidation = Joi.number().integer().positive().validate(req.params.attachmentId);
+    if (idValidation.error) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Attachment not found'
+      });
+    }
+
+    const result = await query(`
+      SELECT ma.file_path, ma.original_name, m.appointment_id
+      FROM appointment_message_attachments ma
+      JOIN appointment_messages m ON ma.message_id = m.id
+      WHERE ma.id = $1
+    `, [req.params.attachmentId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Attachment not found'
+      });
+    }
+
+    const attachment = result.rows[0];
+    await loadThread(req.user, attachment.appointment_id);
+
+    if (!await sendStoredFile(res, attachment.file_path, attachment.original_name)) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Attachment not found'
+      });
+    }
+  } catch (error) {
+    console.error('Download attachment error:', error);
+    handleThreadError(res, error, 'Failed to download attachment');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,257 @@
+const express = require('express');
+const Joi = require('joi');
+const { query } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+const formatNotification = (notification) => ({
+  id: notification.id,
+  type: notification.type,
+  title: notification.title,
+  message: notification.message,
+  isRead: notification.is_read,
+  relatedAppointmentId: notification.related_appointment_id,
+  createdAt: notification.created_at
+});
+
+// Get current user's notifications
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      type: Joi.string().max(50).optional(),
+      relatedAppointmentId: Joi.number().integer().positive().optional(),
+      unreadOnly: Joi.boolean().default(false),
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(50).default(20)
+    });
+
+    const { error, value } = validationSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    let whereConditions = ['n.user_id = $1'];
+    let queryParams = [req.user.id];
+    let paramIndex = 2;
+
+    // Type filter
+    if (value.type) {
+      whereConditions.push(`n.type = $${paramIndex}`);
+      queryParams.push(value.type);
+      paramIndex++;
+    }
+
+    // Appointment filter
+    if (value.relatedAppointmentId) {
+      whereConditions.push(`n.related_appointment_id = $${paramIndex}`);
+      queryParams.push(value.relatedAppointmentId);
+      paramIndex++;
+    }
+
+    // Unread filter
+    if (value.unreadOnly) {
+      whereConditions.push('n.is_read = false');
+    }
+
+    const offset = (value.page - 1) * value.limit;
+
+    // Notifications about a dependent's appointment say who it was for
+    const notificationsQuery = `
+      SELECT
+        n.*,
+        a.dependent_id,
+        pd.first_name as dependent_first_name,
+        pd.last_name as dependent_last_name
+      FROM notifications n
+      LEFT JOIN appointments a ON n.related_appointment_id = a.id
+      LEFT JOIN patient_dependents pd ON a.dependent_id = pd.id
+      WHERE ${whereConditions.join(' AND ')}
+      ORDER BY n.created_at DESC, n.id DESC
+      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+    `;
+
+    queryParams.push(value.limit, offset);
+
+    const countQuery = `
+      SELECT COUNT(*) as total
+      FROM notifications n
+      WHERE ${whereConditions.join(' AND ')}
+    `;
+
+    const countParams = queryParams.slice(0, -2); // Remove limit and offset
+
+    const [notificationsResult, countResult, unreadResult] = await Promise.all([
+      query(notificationsQuery, queryParams),
+      query(countQuery, countParams),
+      query('SELECT COUNT(*) as unread FROM notifications WHERE user_id = $1 AND is_read = false', [req.user.id])
+    ]);
+
+    const total = parseInt(countResult.rows[0].total);
+    const totalPages = Math.ceil(total / value.limit);
+
+    res.json({
+      data: {
+        notifications: notificationsResult.rows.map(notification => ({
+          ...formatNotification(notification),
+          dependent: notification.dependent_id ? {
+            id: notification.dependent_id,
+            firstName: notification.dependent_first_name,
+            lastName: notification.dependent_last_name
+          } : null
+        })),
+        unreadCount: parseInt(unreadResult.rows[0].unread),
+        pagination: {
+          currentPage: value.page,
+          itemsPerPage: value.limit,
+          totalItems: total,
+          totalPages,
+          hasNextPage: value.page < totalPages,
+          hasPreviousPage: value.page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch notifications'
+    });
+  }
+});
+
+// Get unread count (badge)
+router.get('/unread-count', authenticateToken, async (req, res) => {
+  try {
+    const result = await query(
+      'SELECT COUNT(*) as unread FROM notifications WHERE user_id = $1 AND is_read = false',
+      [req.user.id]
+    );
+
+    res.json({
+      data: {
+        unreadCount: parseInt(result.rows[0].unread)
+      }
+    });
+  } catch (error) {
+    console.error('Get unread notifications count error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch unread count'
+    });
+  }
+});
+
+// Mark all notifications as read, optionally of one type
+router.put('/read-all', authenticateToken, async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      type: Joi.string().max(50).optional()
+    });
+
+    const { error, value } = validationSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const result = await query(`
+      UPDATE notifications
+      SET is_read = true
+      WHERE user_id = $1 AND is_read = false AND ($2::varchar IS NULL OR type = $2)
+    `, [req.user.id, value.type || null]);
+
+    res.json({
+      message: 'Notifications marked as read',
+      data: {
+        updated: result.rowCount
+      }
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update notifications'
+    });
+  }
+});
+
+// Mark one notification as read
+router.put('/:id/read', authenticateToken, async (req, res) => {
+  try {
+    const idValidation = Joi.number().integer().positive().validate(req.params.id);
+    if (idValidation.error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Invalid notification ID'
+      });
+    }
+
+    const result = await query(`
+      UPDATE notifications
+      SET is_read = true
+      WHERE id = $1 AND user_id = $2
+      RETURNING *
+    `, [req.params.id, req.user.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Notification not found'
+      });
+    }
+
+    res.json({
+      message: 'Notification marked as read',
+      data: formatNotification(result.rows[0])
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update notification'
+    });
+  }
+});
+
+// Delete a notification
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const idValidation = Joi.number().integer().positive().validate(req.params.id);
+    if (idValidation.error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Invalid notification ID'
+      });
+    }
+
+    const result = await query(
+      'DELETE FROM notifications WHERE id = $1 AND user_id = $2',
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Notification not found'
+      });
+    }
+
+    res.json({
+      message: 'Notification deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete notification error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to delete notification'
+    });
+  }
+});
+
+module.exports = router;
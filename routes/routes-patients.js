@@ -0,0 +1,333 @@
+const express = require('express');
+const Joi = require('joi');
+const { query } = require('../config/database');
+const { authenticateToken, requirePatient } = require('../middleware/auth');
+const { SUPPORTED_LOCALES } = require('../services/email-templates');
+const { RELATIONSHIPS, formatDependent, findDependent } = require('../services/dependents');
+
+const router = express.Router();
+
+router.use(authenticateToken, requirePatient);
+
+// Request field -> users column
+const PROFILE_COLUMNS = {
+  firstName: 'first_name',
+  lastName: 'last_name',
+  phone: 'phone',
+  dateOfBirth: 'date_of_birth',
+  gender: 'gender',
+  address: 'address',
+  preferredLanguage: 'preferred_language'
+};
+
+// Request field -> patient_dependents column
+const DEPENDENT_COLUMNS = {
+  firstName: 'first_name',
+  lastName: 'last_name',
+  dateOfBirth: 'date_of_birth',
+  gender: 'gender',
+  relationship: 'relationship'
+};
+
+// Build "column = $n" assignments for the fields present in a validated body
+const buildAssignments = (columns, value) => {
+  const updates = [];
+  const params = [];
+
+  Object.entries(columns).forEach(([field, column]) => {
+    if (value[field] !== undefined) {
+      params.push(value[field]);
+      updates.push(`${column} = $${params.length}`);
+    }
+  });
+
+  return { updates, params };
+};
+
+const formatProfile = (user) => ({
+  id: user.id,
+  email: user.email,
+  firstName: user.first_name,
+  lastName: user.last_name,
+  phone: user.phone,
+  dateOfBirth: user.date_of_birth,
+  gender: user.gender,
+  address: user.address,
+  preferredLanguage: user.preferred_language,
+  pendingEmailChange: user.pending_email ? {
+    newEmail: user.pending_email,
+    expiresAt: user.pending_email_expires_at
+  } : null,
+  createdAt: user.created_at,
+  updatedAt: user.updated_at
+});
+
+const profileQuery = `
+  SELECT
+    u.*,
+    t.email as pending_email,
+    t.expires_at as pending_email_expires_at
+  FROM users u
+  LEFT JOIN LATERAL (
+    SELECT email, expires_at
+    FROM account_tokens
+    WHERE user_id = u.id
+      AND purpose = 'email_change'
+      AND used_at IS NULL
+      AND expires_at > CURRENT_TIMESTAMP
+    ORDER BY created_at DESC
+    LIMIT 1
+  ) t ON true
+  WHERE u.id = $1
+`;
+
+// Get own profile
+router.get('/me', async (req, res) => {
+  try {
+    const result = await query(profileQuery, [req.user.id]);
+
+    res.json({
+      data: formatProfile(result.rows[0])
+    });
+  } catch (error) {
+    console.error('Get patient profile error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch profile'
+    });
+  }
+});
+
+// Update own profile (email and password have their own endpoints under /api/auth)
+router.put('/me', async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      firstName: Joi.string().max(100).optional(),
+      lastName: Joi.string().max(100).optional(),
+      phone: Joi.string().max(20).optional().allow(null),
+      dateOfBirth: Joi.date().max('now').optional().allow(null),
+      gender: Joi.string().valid('male', 'female', 'other').optional().allow(null),
+      address: Joi.string().max(500).optional().allow(null),
+      preferredLanguage: Joi.string().valid(...SUPPORTED_LOCALES).optional()
+    }).min(1);
+
+    const { error, value } = validationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const { updates, params } = buildAssignments(PROFILE_COLUMNS, value);
+
+    await query(`
+      UPDATE users
+      SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $${params.length + 1}
+    `, [...params, req.user.id]);
+
+    const result = await query(profileQuery, [req.user.id]);
+
+    res.json({
+      message: 'Profile updated successfully',
+      data: formatProfile(result.rows[0])
+    });
+  } catch (error) {
+    console.error('Update patient profile error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update profile'
+    });
+  }
+});
+
+const dependentSchema = {
+  firstName: Joi.string().max(100),
+  lastName: Joi.string().max(100),
+  dateOfBirth: Joi.date().max('now'),
+  gender: Joi.string().valid('male', 'female', 'other').allow(null),
+  relationship: Joi.string().valid(...RELATIONSHIPS)
+};
+
+// List own dependents
+router.get('/me/dependents', async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      includeInactive: Joi.boolean().default(false)
+    });
+
+    const { error, value } = validationSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const result = await query(`
+      SELECT *
+      FROM patient_dependents
+      WHERE guardian_id = $1 AND ($2::boolean OR is_active = true)
+      ORDER BY date_of_birth, id
+    `, [req.user.id, value.includeInactive]);
+
+    res.json({
+      data: result.rows.map(formatDependent)
+    });
+  } catch (error) {
+    console.error('Get dependents error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch dependents'
+    });
+  }
+});
+
+// Add a dependent
+router.post('/me/dependents', async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      firstName: dependentSchema.firstName.required(),
+      lastName: dependentSchema.lastName.required(),
+      dateOfBirth: dependentSchema.dateOfBirth.required(),
+      gender: dependentSchema.gender.optional(),
+      relationship: dependentSchema.relationship.required()
+    });
+
+    const { error, value } = validationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const result = await query(`
+      INSERT INTO patient_dependents (guardian_id, first_name, last_name, date_of_birth, gender, relationship)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [req.user.id, value.firstName, value.lastName, value.dateOfBirth, value.gender, value.relationship]);
+
+    res.status(201).json({
+      message: 'Dependent added successfully',
+      data: formatDependent(result.rows[0])
+    });
+  } catch (error) {
+    console.error('Add dependent error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to add dependent'
+    });
+  }
+});
+
+// Update a dependent
+router.put('/me/dependents/:dependentId', async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      firstName: dependentSchema.firstName.optional(),
+      lastName: dependentSchema.lastName.optional(),
+      dateOfBirth: dependentSchema.dateOfBirth.optional(),
+      gender: dependentSchema.gender.optional(),
+      relationship: dependentSchema.relationship.optional()
+    }).min(1);
+
+    const idValidation = Joi.number().integer().positive().validate(req.params.dependentId);
+    if (idValidation.error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Invalid dependent ID'
+      });
+    }
+
+    const { error, value } = validationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const { updates, params } = buildAssignments(DEPENDENT_COLUMNS, value);
+
+    const result = await query(`
+      UPDATE patient_dependents
+      SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $${params.length + 1} AND guardian_id = $${params.length + 2} AND is_active = true
+      RETURNING *
+    `, [...params, req.params.dependentId, req.user.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Dependent not found'
+      });
+    }
+
+    res.json({
+      message: 'Dependent updated successfully',
+      data: formatDependent(result.rows[0])
+    });
+  } catch (error) {
+    console.error('Update dependent error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update dependent'
+    });
+  }
+});
+
+// Remove a dependent. The row is only deactivated so past appointments,
+// records and prescriptions keep naming the right person.
+router.delete('/me/dependents/:dependentId', async (req, res) => {
+  try {
+    const idValidation = Joi.number().integer().positive().validate(req.params.dependentId);
+    if (idValidation.error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Invalid dependent ID'
+      });
+    }
+
+    const dependent = await findDependent({ query }, req.user.id, req.params.dependentId);
+
+    const upcomingResult = await query(`
+      SELECT COUNT(*) as total
+      FROM appointments
+      WHERE dependent_id = $1 AND status IN ('scheduled', 'confirmed')
+    `, [dependent.id]);
+
+    if (parseInt(upcomingResult.rows[0].total) > 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Cancel the upcoming appointments of this dependent first'
+      });
+    }
+
+    await query(
+      'UPDATE patient_dependents SET is_active = false, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [dependent.id]
+    );
+
+    res.json({
+      message: 'Dependent removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove dependent error:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to remove dependent'
+    });
+  }
+});
+
+module.exports = router;
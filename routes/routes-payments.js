@@ -0,0 +1,218 @@
+const express = require('express');
+const Joi = require('joi');
+const { query, transaction } = require('../config/database');
+const { authenticateToken, requirePatient } = require('../middleware/auth');
+const {
+  getWebhookProvider,
+  recordAppointmentPayment,
+  openPaymentIntent,
+  cancelPendingPayments,
+  openOutstandingFee,
+  handleWebhookEvent
+} = require('../services/payments');
+
+const router = express.Router();
+
+const formatPayment = (payment) => ({
+  id: payment.id,
+  appointmentId: payment.appointment_id,
+  amount: parseFloat(payment.amount),
+  currency: payment.currency,
+  paymentType: payment.payment_type,
+  paymentMethod: payment.payment_method,
+  paymentStatus: payment.payment_status,
+  provider: payment.provider,
+  refundedAmount: parseFloat(payment.refunded_amount || 0),
+  createdAt: payment.created_at,
+  updatedAt: payment.updated_at
+});
+
+// Provider webhooks (signature-verified, processed once per event)
+router.post('/webhook/:provider', async (req, res) => {
+  let provider;
+  try {
+    provider = getWebhookProvider(req.params.provider);
+  } catch (error) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: error.message
+    });
+  }
+
+  let event;
+  try {
+    event = provider.parseWebhook(req.rawBody || Buffer.from(''), req.headers);
+  } catch (error) {
+    console.warn(`Rejected ${provider.name} webhook:`, error.message);
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'Invalid webhook signature'
+    });
+  }
+
+  try {
+    const result = await transaction((client) => handleWebhookEvent(client, provider.name, event));
+
+    res.json({
+      received: true,
+      duplicate: result.duplicate
+    });
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    // A 5xx makes the provider retry later
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to process webhook'
+    });
+  }
+});
+
+// Get payments of an appointment (patient, doctor or admin)
+router.get('/appointment/:appointmentId', authenticateToken, async (req, res) => {
+  try {
+    const appointmentResult = await query(`
+      SELECT a.id, a.patient_id, a.payment_status, d.user_id as doctor_user_id
+      FROM appointments a
+      JOIN doctors d ON a.doctor_id = d.id
+      WHERE a.id = $1
+    `, [req.params.appointmentId]);
+
+    if (appointmentResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Appointment not found'
+      });
+    }
+
+    const appointment = appointmentResult.rows[0];
+
+    const hasAccess =
+      (req.user.role === 'patient' && appointment.patient_id === req.user.id) ||
+      (req.user.role === 'doctor' && appointment.doctor_user_id === req.user.id) ||
+      req.user.role === 'admin';
+
+    if (!hasAccess) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You do not have permission to view these payments'
+      });
+    }
+
+    const paymentsResult = await query(
+      'SELECT * FROM payments WHERE appointment_id = $1 ORDER BY created_at DESC',
+      [appointment.id]
+    );
+
+    res.json({
+      data: {
+        paymentStatus: appointment.payment_status,
+        payments: paymentsResult.rows.map(formatPayment)
+      }
+    });
+  } catch (error) {
+    console.error('Get appointment payments error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch payments'
+    });
+  }
+});
+
+// Open a new payment intent for an unpaid appointment, or for the cancellation
+// or no-show fee it owes (patients only)
+router.post('/appointment/:appointmentId/intent', authenticateToken, requirePatient, async (req, res) => {
+  try {
+    const pendingPayment = await transaction(async (client) => {
+      const appointmentResult = await client.query(
+        'SELECT * FROM appointments WHERE id = $1 FOR UPDATE',
+        [req.params.appointmentId]
+      );
+
+      if (appointmentResult.rows.length === 0) {
+        throw new Error('Appointment not found');
+      }
+
+      const appointment = appointmentResult.rows[0];
+
+      if (appointment.patient_id !== req.user.id) {
+        throw new Error('You do not have permission to pay for this appointment');
+      }
+
+      const fee = await openOutstandingFee(client, appointment.id);
+      if (fee) {
+        return fee;
+      }
+
+      if (appointment.payment_status !== 'pending' ||
+          !['scheduled', 'confirmed'].includes(appointment.status) ||
+          !(parseFloat(appointment.consultation_fee) > 0)) {
+        throw new Error('Appointment does not require payment');
+      }
+
+      // Supersede payments that were never completed (their intents are
+      // cancelled at the provider so only the new one can be paid)
+      await cancelPendingPayments(client, appointment.id);
+
+      return recordAppointmentPayment(client, appointment);
+    });
+
+    // The provider is called once the payment is recorded and committed
+    const payment = await openPaymentIntent(pendingPayment);
+
+    res.status(201).json({
+      message: 'Payment intent created successfully',
+      data: payment
+    });
+  } catch (error) {
+    console.error('Create payment intent error:', error);
+
+    if (error.message.includes('not found') ||
+        error.message.includes('permission') ||
+        error.message.includes('does not require')) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to create payment intent'
+    });
+  }
+});
+
+// Simulate a successful mock payment (local development only)
+if (process.env.NODE_ENV !== 'production') {
+  router.post('/mock/:transactionId/confirm', authenticateToken, async (req, res) => {
+    try {
+      const validationSchema = Joi.string().pattern(/^mock_pi_/).required();
+      if (validationSchema.validate(req.params.transactionId).error) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'Invalid mock transaction ID'
+        });
+      }
+
+      const result = await transaction((client) => handleWebhookEvent(client, 'mock', {
+        eventId: `mock_evt_${req.params.transactionId}`,
+        type: 'payment.succeeded',
+        transactionId: req.params.transactionId,
+        raw: { simulated: true }
+      }));
+
+      res.json({
+        message: 'Mock payment confirmed',
+        data: result
+      });
+    } catch (error) {
+      console.error('Confirm mock payment error:', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to confirm mock payment'
+      });
+    }
+  });
+}
+
+module.exports = router;
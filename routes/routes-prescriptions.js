@@ -0,0 +1,408 @@
+const express = require('express');
+const Joi = require('joi');
+const { v4: uuidv4 } = require('uuid');
+const { query, transaction } = require('../config/database');
+const { authenticateToken, requireDoctor } = require('../middleware/auth');
+const { hashContent, sign, verify } = require('../services/prescriptions');
+const { renderPrescriptionPdf } = require('../services/prescription-pdf');
+const { recordAccess } = require('../services/access-audit');
+
+const router = express.Router();
+
+const prescriptionQuery = `
+  SELECT
+    p.*,
+    d.practice_address,
+    d.user_id as doctor_user_id,
+    s.name as specialty,
+    u_doctor.first_name as doctor_first_name,
+    u_doctor.last_name as doctor_last_name,
+    -- The person treated: the dependent copied onto the prescription when issued
+    COALESCE(p.dependent_first_name, u_patient.first_name) as patient_first_name,
+    COALESCE(p.dependent_last_name, u_patient.last_name) as patient_last_name
+  FROM prescriptions p
+  JOIN doctors d ON p.doctor_id = d.id
+  JOIN users u_doctor ON d.user_id = u_doctor.id
+  JOIN users u_patient ON p.patient_id = u_patient.id
+  LEFT JOIN specialties s ON d.specialty_id = s.id
+`;
+
+const loadItems = async (prescriptionId) => {
+  const result = await query(
+    'SELECT * FROM prescription_items WHERE prescription_id = $1 ORDER BY position',
+    [prescriptionId]
+  );
+  return result.rows;
+};
+
+const formatPrescription = (prescription, items) => ({
+  id: prescription.public_id,
+  appointmentId: prescription.appointment_id,
+  doctorName: `Dr. ${prescription.doctor_first_name} ${prescription.doctor_last_name}`,
+  patientName: `${prescription.patient_first_name} ${prescription.patient_last_name}`,
+  dependentId: prescription.dependent_id,
+  notes: prescription.notes,
+  items: items ? items.map(item => ({
+    medication: item.medication,
+    dosage: item.dosage,
+    frequency: item.frequency,
+    duration: item.duration,
+    quantity: item.quantity,
+    instructions: item.instructions
+  })) : undefined,
+  contentHash: prescription.content_hash,
+  issuedAt: prescription.issued_at,
+  revokedAt: prescription.revoked_at
+});
+
+// Load a prescription by public ID if the caller is its patient or prescriber
+const loadOwnPrescription = async (user, publicId) => {
+  const idValidation = Joi.string().guid().validate(publicId);
+  if (idValidation.error) {
+    throw new Error('Prescription not found');
+  }
+
+  const result = await query(`${prescriptionQuery} WHERE p.public_id = $1`, [publicId]);
+
+  if (result.rows.length === 0) {
+    throw new Error('Prescription not found');
+  }
+
+  const prescription = result.rows[0];
+  const hasAccess =
+    (user.role === 'patient' && prescription.patient_id === user.id) ||
+    (user.role === 'doctor' && prescription.doctor_user_id === user.id);
+
+  if (!hasAccess) {
+    throw new Error('You do not have permission to view this prescription');
+  }
+
+  return prescription;
+};
+
+// Trace reads by anyone other than the patient
+const recordView = (req, prescription, action) => {
+  if (req.user.id === prescription.patient_id) {
+    return null;
+  }
+
+  return recordAccess(req, {
+    patientId: prescription.patient_id,
+    action,
+    resourceType: 'prescription',
+    resourceId: prescription.id
+  });
+};
+
+const handleLoadError = (res, error, fallbackMessage) => {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: error.message
+    });
+  }
+
+  if (error.message.includes('permission')) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    error: 'Internal Server Error',
+    message: fallbackMessage
+  });
+};
+
+// Public integrity check: reveals validity, never the content
+router.get('/verify/:publicId', async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      publicId: Joi.string().guid().required(),
+      hash: Joi.string().hex().length(64).optional()
+    });
+
+    const { error, value } = validationSchema.validate({ ...req.query, publicId: req.params.publicId });
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const result = await query(`${prescriptionQuery} WHERE p.public_id = $1`, [value.publicId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Prescription not found'
+      });
+    }
+
+    const prescription = result.rows[0];
+    const check = verify(prescription, await loadItems(prescription.id));
+
+    res.json({
+      data: {
+        id: prescription.public_id,
+        valid: check.hashMatches && check.signatureValid && !prescription.revoked_at,
+        integrityVerified: check.hashMatches && check.signatureValid,
+        // Only meaningful when the pharmacist supplies the hash printed on the document
+        documentMatches: value.hash ? value.hash === prescription.content_hash : undefined,
+        revoked: Boolean(prescription.revoked_at),
+        issuedAt: prescription.issued_at,
+        prescriber: `Dr. ${prescription.doctor_first_name} ${prescription.doctor_last_name}`
+      }
+    });
+  } catch (error) {
+    console.error('Verify prescription error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to verify prescription'
+    });
+  }
+});
+
+// Issue a prescription for an appointment (doctors only)
+router.post('/', authenticateToken, requireDoctor, async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      appointmentId: Joi.number().integer().positive().required(),
+      notes: Joi.string().max(1000).optional(),
+      items: Joi.array().items(Joi.object({
+        medication: Joi.string().max(200).required(),
+        dosage: Joi.string().max(100).required(),
+        frequency: Joi.string().max(100).required(),
+        duration: Joi.string().max(100).required(),
+        quantity: Joi.string().max(50).optional(),
+        instructions: Joi.string().max(500).optional()
+      })).min(1).max(20).required()
+    });
+
+    const { error, value } = validationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    if (!req.doctor.isVerified) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Doctor profile is pending verification'
+      });
+    }
+
+    const publicId = await transaction(async (client) => {
+      const appointmentResult = await client.query(`
+        SELECT
+          a.id, a.patient_id, a.doctor_id, a.status, a.dependent_id, d.license_number,
+          pd.first_name as dependent_first_name,
+          pd.last_name as dependent_last_name,
+          to_char(pd.date_of_birth, 'YYYY-MM-DD') as dependent_date_of_birth
+        FROM appointments a
+        JOIN doctors d ON a.doctor_id = d.id
+        LEFT JOIN patient_dependents pd ON a.dependent_id = pd.id
+        WHERE a.id = $1
+      `, [value.appointmentId]);
+
+      if (appointmentResult.rows.length === 0) {
+        throw new Error('Appointment not found');
+      }
+
+      const appointment = appointmentResult.rows[0];
+
+      if (appointment.doctor_id !== req.doctor.id) {
+        throw new Error('You do not have permission to prescribe for this appointment');
+      }
+
+      if (!['confirmed', 'completed'].includes(appointment.status)) {
+        throw new Error('Cannot prescribe for an appointment with current status');
+      }
+
+      const prescription = {
+        public_id: uuidv4(),
+        doctor_id: req.doctor.id,
+        license_number: appointment.license_number,
+        patient_id: appointment.patient_id,
+        dependent_id: appointment.dependent_id,
+        dependent_first_name: appointment.dependent_first_name,
+        dependent_last_name: appointment.dependent_last_name,
+        dependent_date_of_birth: appointment.dependent_date_of_birth,
+        appointment_id: appointment.id,
+        // Set here rather than by the database so the signed value round-trips exactly
+        issued_at: new Date(),
+        notes: value.notes
+      };
+
+      const contentHash = hashContent(prescription, value.items);
+      const signature = sign(contentHash, req.doctor.id);
+
+      const insertResult = await client.query(`
+        INSERT INTO prescriptions (
+          public_id, appointment_id, patient_id, dependent_id, dependent_first_name,
+          dependent_last_name, dependent_date_of_birth, doctor_id, license_number, notes, content_hash,
+          signature, issued_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+        RETURNING id
+      `, [
+        prescription.public_id,
+        prescription.appointment_id,
+        prescription.patient_id,
+        prescription.dependent_id,
+        prescription.dependent_first_name,
+        prescription.dependent_last_name,
+        prescription.dependent_date_of_birth,
+        prescription.doctor_id,
+        prescription.license_number,
+        prescription.notes,
+        contentHash,
+        signature,
+        prescription.issued_at
+      ]);
+
+      for (const [index, item] of value.items.entries()) {
+        await client.query(`
+          INSERT INTO prescription_items (
+            prescription_id, position, medication, dosage, frequency, duration, quantity, instructions
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        `, [
+          insertResult.rows[0].id,
+          index + 1,
+          item.medication,
+          item.dosage,
+          item.frequency,
+          item.duration,
+          item.quantity,
+          item.instructions
+        ]);
+      }
+
+      await client.query(`
+        INSERT INTO notifications (user_id, type, title, message, related_appointment_id)
+        VALUES ($1, 'prescription', 'Nouvelle ordonnance', 'Une ordonnance est disponible pour votre consultation.', $2)
+      `, [appointment.patient_id, appointment.id]);
+
+      return prescription.public_id;
+    });
+
+    const result = await query(`${prescriptionQuery} WHERE p.public_id = $1`, [publicId]);
+    const prescription = result.rows[0];
+
+    res.status(201).json({
+      message: 'Prescription issued successfully',
+      data: formatPrescription(prescription, await loadItems(prescription.id))
+    });
+  } catch (error) {
+    console.error('Create prescription error:', error);
+
+    if (error.message.includes('not found') ||
+        error.message.includes('permission') ||
+        error.message.includes('Cannot prescribe')) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to issue prescription'
+    });
+  }
+});
+
+// List own prescriptions (patient: received, doctor: issued)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    let condition;
+    if (req.user.role === 'patient') {
+      condition = 'p.patient_id = $1';
+    } else if (req.user.role === 'doctor') {
+      condition = 'd.user_id = $1';
+    } else {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Patient or doctor access required'
+      });
+    }
+
+    const result = await query(`
+      ${prescriptionQuery}
+      WHERE ${condition}
+      ORDER BY p.issued_at DESC
+    `, [req.user.id]);
+
+    res.json({
+      data: result.rows.map(prescription => formatPrescription(prescription))
+    });
+  } catch (error) {
+    console.error('Get prescriptions error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch prescriptions'
+    });
+  }
+});
+
+// Get a prescription with its items
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const prescription = await loadOwnPrescription(req.user, req.params.id);
+    await recordView(req, prescription, 'prescription.view');
+
+    res.json({
+      data: formatPrescription(prescription, await loadItems(prescription.id))
+    });
+  } catch (error) {
+    console.error('Get prescription error:', error);
+    handleLoadError(res, error, 'Failed to fetch prescription');
+  }
+});
+
+// Download a prescription as PDF
+router.get('/:id/pdf', authenticateToken, async (req, res) => {
+  try {
+    const prescription = await loadOwnPrescription(req.user, req.params.id);
+    const items = await loadItems(prescription.id);
+    await recordView(req, prescription, 'prescription.download');
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="ordonnance-${prescription.public_id}.pdf"`);
+
+    renderPrescriptionPdf(prescription, items, res);
+  } catch (error) {
+    console.error('Download prescription error:', error);
+    handleLoadError(res, error, 'Failed to generate prescription PDF');
+  }
+});
+
+// Revoke an issued prescription (prescribing doctor only)
+router.put('/:id/revoke', authenticateToken, requireDoctor, async (req, res) => {
+  try {
+    const prescription = await loadOwnPrescription(req.user, req.params.id);
+
+    if (prescription.revoked_at) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Prescription is already revoked'
+      });
+    }
+
+    await query(
+      'UPDATE prescriptions SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [prescription.id]
+    );
+
+    res.json({
+      message: 'Prescription revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke prescription error:', error);
+    handleLoadError(res, error, 'Failed to revoke prescription');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,365 @@
+const express = require('express');
+const Joi = require('joi');
+const { query, transaction } = require('../config/database');
+const { authenticateToken, requirePatient, requireDoctor, requireAdmin, optionalAuth } = require('../middleware/auth');
+const { refreshDoctorRating } = require('../services/reviews');
+const { logAdminAction } = require('../services/admin-audit');
+
+const router = express.Router();
+
+// How long a patient may edit a review after posting it
+const EDIT_WINDOW_HOURS = parseInt(process.env.REVIEW_EDIT_WINDOW_HOURS) || 48;
+
+const formatReview = (review) => ({
+  id: review.id,
+  doctorId: review.doctor_id,
+  appointmentId: review.appointment_id,
+  patientName: review.patient_first_name
+    ? `${review.patient_first_name} ${review.patient_last_name.charAt(0)}.`
+    : undefined,
+  rating: review.rating,
+  reviewText: review.review_text,
+  doctorReply: review.doctor_reply,
+  doctorRepliedAt: review.doctor_replied_at,
+  isHidden: review.is_hidden,
+  createdAt: review.created_at,
+  updatedAt: review.updated_at
+});
+
+// Create review for a completed appointment (patients only)
+router.post('/', authenticateToken, requirePatient, async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      appointmentId: Joi.number().integer().positive().required(),
+      rating: Joi.number().integer().min(1).max(5).required(),
+      reviewText: Joi.string().max(2000).optional()
+    });
+
+    const { error, value } = validationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const review = await transaction(async (client) => {
+      const appointmentResult = await client.query(
+        'SELECT id, patient_id, doctor_id, status FROM appointments WHERE id = $1',
+        [value.appointmentId]
+      );
+
+      if (appointmentResult.rows.length === 0) {
+        throw new Error('Appointment not found');
+      }
+
+      const appointment = appointmentResult.rows[0];
+
+      if (appointment.patient_id !== req.user.id) {
+        throw new Error('You can only review your own appointments');
+      }
+
+      if (appointment.status !== 'completed') {
+        throw new Error('Only completed appointments can be reviewed');
+      }
+
+      const reviewResult = await client.query(`
+        INSERT INTO reviews (patient_id, doctor_id, appointment_id, rating, review_text)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *
+      `, [req.user.id, appointment.doctor_id, appointment.id, value.rating, value.reviewText]);
+
+      await refreshDoctorRating(client, appointment.doctor_id);
+
+      return reviewResult.rows[0];
+    });
+
+    res.status(201).json({
+      message: 'Review submitted successfully',
+      data: formatReview(review)
+    });
+  } catch (error) {
+    console.error('Create review error:', error);
+
+    // UNIQUE(appointment_id)
+    if (error.code === '23505') {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'This appointment has already been reviewed'
+      });
+    }
+
+    if (error.message.includes('not found') ||
+        error.message.includes('your own') ||
+        error.message.includes('Only completed')) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to submit review'
+    });
+  }
+});
+
+// List visible reviews for a doctor
+router.get('/doctor/:doctorId', optionalAuth, async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      doctorId: Joi.number().integer().positive().required(),
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(50).default(10)
+    });
+
+    const { error, value } = validationSchema.validate({ ...req.query, doctorId: req.params.doctorId });
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const offset = (value.page - 1) * value.limit;
+
+    const [reviewsResult, countResult] = await Promise.all([
+      query(`
+        SELECT r.*, u.first_name as patient_first_name, u.last_name as patient_last_name
+        FROM reviews r
+        JOIN users u ON r.patient_id = u.id
+        WHERE r.doctor_id = $1 AND r.is_hidden = false
+        ORDER BY r.created_at DESC
+        LIMIT $2 OFFSET $3
+      `, [value.doctorId, value.limit, offset]),
+      query(
+        'SELECT COUNT(*) as total FROM reviews WHERE doctor_id = $1 AND is_hidden = false',
+        [value.doctorId]
+      )
+    ]);
+
+    const total = parseInt(countResult.rows[0].total);
+    const totalPages = Math.ceil(total / value.limit);
+
+    res.json({
+      data: {
+        reviews: reviewsResult.rows.map(formatReview),
+        pagination: {
+          currentPage: value.page,
+          itemsPerPage: value.limit,
+          totalItems: total,
+          totalPages,
+          hasNextPage: value.page < totalPages,
+          hasPreviousPage: value.page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get doctor reviews error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch reviews'
+    });
+  }
+});
+
+// Edit own review within the edit window (patients only)
+router.put('/:id', authenticateToken, requirePatient, async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      rating: Joi.number().integer().min(1).max(5).optional(),
+      reviewText: Joi.string().max(2000).allow('').optional()
+    }).or('rating', 'reviewText');
+
+    const { error, value } = validationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const review = await transaction(async (client) => {
+      const reviewResult = await client.query(`
+        SELECT *, created_at < CURRENT_TIMESTAMP - make_interval(hours => $2) as edit_window_closed
+        FROM reviews
+        WHERE id = $1
+        FOR UPDATE
+      `, [req.params.id, EDIT_WINDOW_HOURS]);
+
+      if (reviewResult.rows.length === 0) {
+        throw new Error('Review not found');
+      }
+
+      const existing = reviewResult.rows[0];
+
+      if (existing.patient_id !== req.user.id) {
+        throw new Error('You can only edit your own reviews');
+      }
+
+      if (existing.edit_window_closed) {
+        throw new Error(`Reviews can only be edited within ${EDIT_WINDOW_HOURS} hours`);
+      }
+
+      const updateResult = await client.query(`
+        UPDATE reviews
+        SET rating = COALESCE($2, rating),
+            review_text = COALESCE($3, review_text),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+      `, [existing.id, value.rating, value.reviewText]);
+
+      if (value.rating !== undefined) {
+        await refreshDoctorRating(client, existing.doctor_id);
+      }
+
+      return updateResult.rows[0];
+    });
+
+    res.json({
+      message: 'Review updated successfully',
+      data: formatReview(review)
+    });
+  } catch (error) {
+    console.error('Update review error:', error);
+
+    if (error.message.includes('not found') ||
+        error.message.includes('your own') ||
+        error.message.includes('within')) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update review'
+    });
+  }
+});
+
+// Reply to a review (doctors only)
+router.put('/:id/reply', authenticateToken, requireDoctor, async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      reply: Joi.string().max(1000).required()
+    });
+
+    const { error, value } = validationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const result = await query(`
+      UPDATE reviews
+      SET doctor_reply = $3, doctor_replied_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND doctor_id = $2
+      RETURNING *
+    `, [req.params.id, req.doctor.id, value.reply]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Review not found'
+      });
+    }
+
+    const review = result.rows[0];
+
+    await query(`
+      INSERT INTO notifications (user_id, type, title, message, related_appointment_id)
+      VALUES ($1, 'review_reply', 'Réponse à votre avis', 'Le médecin a répondu à votre avis.', $2)
+    `, [review.patient_id, review.appointment_id]);
+
+    res.json({
+      message: 'Reply saved successfully',
+      data: formatReview(review)
+    });
+  } catch (error) {
+    console.error('Reply to review error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to save reply'
+    });
+  }
+});
+
+// Hide or restore a review (admins only)
+router.put('/:id/moderation', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const validationSchema = Joi.object({
+      isHidden: Joi.boolean().required(),
+      reason: Joi.string().max(255).when('isHidden', {
+        is: true,
+        then: Joi.required(),
+        otherwise: Joi.optional()
+      })
+    });
+
+    const { error, value } = validationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const review = await transaction(async (client) => {
+      const updateResult = await client.query(`
+        UPDATE reviews
+        SET is_hidden = $2,
+            hidden_reason = $3,
+            moderated_by = $4,
+            moderated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+      `, [req.params.id, value.isHidden, value.isHidden ? value.reason : null, req.user.id]);
+
+      if (updateResult.rows.length === 0) {
+        throw new Error('Review not found');
+      }
+
+      await refreshDoctorRating(client, updateResult.rows[0].doctor_id);
+
+      await logAdminAction(client, req, {
+        action: value.isHidden ? 'review.hide' : 'review.restore',
+        targetType: 'review',
+        targetId: updateResult.rows[0].id,
+        details: value.isHidden ? { reason: value.reason } : null
+      });
+
+      return updateResult.rows[0];
+    });
+
+    res.json({
+      message: value.isHidden ? 'Review hidden' : 'Review restored',
+      data: {
+        ...formatReview(review),
+        hiddenReason: review.hidden_reason,
+        moderatedAt: review.moderated_at
+      }
+    });
+  } catch (error) {
+    console.error('Moderate review error:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to moderate review'
+    });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const Joi = require('joi');
 const { query } = require('../config/database');
 const { optionalAuth } = require('../middleware/auth');
+const { highlightSql } = require('../services/search');
 
 const router = express.Router();
 
@@ -13,7 +14,7 @@ router.get('/', optionalAuth, async (req, res) => {
         s.*,
         COUNT(d.id) as doctor_count
       FROM specialties s
-      LEFT JOIN doctors d ON s.id = d.specialty_id AND d.is_available = true
+      LEFT JOIN doctors d ON s.id = d.specialty_id AND d.is_available = true AND d.is_verified = true
       GROUP BY s.id
       ORDER BY s.name
     `);
@@ -38,6 +39,63 @@ router.get('/', optionalAuth, async (req, res) => {
   }
 });
 
+// Search specialties
+router.get('/search', optionalAuth, async (req, res) => {
+  try {
+    const { q } = req.query;
+
+    if (!q || q.trim().length < 2) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Search query must be at least 2 characters long'
+      });
+    }
+
+    // Accent-insensitive full-text match on name and description, or a fuzzy
+    // (trigram) match on the name to tolerate typos
+    const specialtiesResult = await query(`
+      SELECT 
+        s.*,
+        COUNT(d.id) as doctor_count,
+        ts_rank_cd(s.search_vector, websearch_to_tsquery('fr_unaccent', $1))
+          + similarity(immutable_unaccent(lower($1)), immutable_unaccent(lower(s.name))) as relevance,
+        ${highlightSql('s.name', "websearch_to_tsquery('fr_unaccent', $1)", 'HighlightAll=true')} as name_highlight,
+        ${highlightSql("coalesce(s.description, '')", "websearch_to_tsquery('fr_unaccent', $1)", 'MaxWords=20, MinWords=8')} as description_snippet
+      FROM specialties s
+      LEFT JOIN doctors d ON s.id = d.specialty_id AND d.is_available = true AND d.is_verified = true
+      WHERE s.search_vector @@ websearch_to_tsquery('fr_unaccent', $1)
+        OR immutable_unaccent(lower($1)) % immutable_unaccent(lower(s.name))
+      GROUP BY s.id
+      ORDER BY relevance DESC, s.name
+      LIMIT 10
+    `, [q.trim().slice(0, 200)]);
+
+    const specialties = specialtiesResult.rows.map(specialty => ({
+      id: specialty.id,
+      name: specialty.name,
+      icon: specialty.icon,
+      description: specialty.description,
+      count: parseInt(specialty.doctor_count) || 0,
+      relevance: parseFloat(specialty.relevance),
+      highlight: {
+        name: specialty.name_highlight,
+        description: specialty.description_snippet
+      }
+    }));
+
+    res.json({
+      data: specialties,
+      query: q.trim()
+    });
+  } catch (error) {
+    console.error('Search specialties error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to search specialties'
+    });
+  }
+});
+
 // Get specialty by ID with doctors
 router.get('/:id', optionalAuth, async (req, res) => {
   try {
@@ -81,7 +139,7 @@ router.get('/:id', optionalAuth, async (req, res) => {
         d.is_available
       FROM doctors d
       JOIN users u ON d.user_id = u.id
-      WHERE d.specialty_id = $1 AND d.is_available = true AND u.is_active = true
+      WHERE d.specialty_id = $1 AND d.is_available = true AND d.is_verified = true AND u.is_active = true
       ORDER BY d.rating DESC, d.review_count DESC
     `, [specialtyId]);
 
@@ -120,51 +178,4 @@ router.get('/:id', optionalAuth, async (req, res) => {
   }
 });
 
-// Search specialties
-router.get('/search', optionalAuth, async (req, res) => {
-  try {
-    const { q } = req.query;
-
-    if (!q || q.trim().length < 2) {
-      return res.status(400).json({
-        error: 'Validation Error',
-        message: 'Search query must be at least 2 characters long'
-      });
-    }
-
-    const searchQuery = `%${q.trim().toLowerCase()}%`;
-
-    const specialtiesResult = await query(`
-      SELECT 
-        s.*,
-        COUNT(d.id) as doctor_count
-      FROM specialties s
-      LEFT JOIN doctors d ON s.id = d.specialty_id AND d.is_available = true
-      WHERE LOWER(s.name) LIKE $1 OR LOWER(s.description) LIKE $1
-      GROUP BY s.id
-      ORDER BY s.name
-      LIMIT 10
-    `, [searchQuery]);
-
-    const specialties = specialtiesResult.rows.map(specialty => ({
-      id: specialty.id,
-      name: specialty.name,
-      icon: specialty.icon,
-      description: specialty.description,
-      count: parseInt(specialty.doctor_count) || 0
-    }));
-
-    res.json({
-      data: specialties,
-      query: q.trim()
-    });
-  } catch (error) {
-    console.error('Search specialties error:', error);
-    res.status(500).json({
-      error: 'Internal Server Error',
-      message: 'Failed to search specialties'
-    });
-  }
-});
-
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,190 @@
+const express = require('express');
+const Joi = require('joi');
+const { query } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { joinWindowColumns, createJoinUrl } = require('../services/video');
+
+const router = express.Router();
+
+// Load an online appointment for one of its two participants (admins can only
+// read the event trail, never join)
+const loadRoomAppointment = async (user, appointmentId) => {
+  const idValidation = Joi.number().integer().positive().validate(appointmentId);
+  if (idValidation.error) {
+    throw new Error('Appointment not found');
+  }
+
+  const result = await query(`
+    SELECT
+      a.*,
+      d.user_id as doctor_user_id,
+      ${joinWindowColumns}
+    FROM appointments a
+    JOIN doctors d ON a.doctor_id = d.id
+    WHERE a.id = $1
+  `, [appointmentId]);
+
+  if (result.rows.length === 0) {
+    throw new Error('Appointment not found');
+  }
+
+  const appointment = result.rows[0];
+  const isPatient = user.role === 'patient' && appointment.patient_id === user.id;
+  const isDoctor = user.role === 'doctor' && appointment.doctor_user_id === user.id;
+
+  return { appointment, isParticipant: isPatient || isDoctor, isDoctor };
+};
+
+const recordEvent = (req, appointmentId, eventType) => query(`
+  INSERT INTO appointment_video_events (appointment_id, user_id, event_type, ip_address, user_agent)
+  VALUES ($1, $2, $3, $4, $5)
+`, [appointmentId, req.user.id, eventType, req.ip, (req.headers['user-agent'] || '').slice(0, 500)]);
+
+// Get a personal join link and record the join (participants, within the join window)
+router.post('/appointment/:appointmentId/join', authenticateToken, async (req, res) => {
+  try {
+    const { appointment, isParticipant, isDoctor } = await loadRoomAppointment(req.user, req.params.appointmentId);
+
+    if (!isParticipant) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only the patient and the doctor can join this consultation'
+      });
+    }
+
+    if (appointment.status !== 'confirmed' || appointment.consultation_mode !== 'ONLINE' || !appointment.video_room) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'No video room is available for this appointment'
+      });
+    }
+
+    if (!appointment.join_window_open) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'The consultation room is not open yet or already closed',
+        joinWindow: {
+          opensAt: appointment.join_opens_at,
+          closesAt: appointment.join_closes_at
+        }
+      });
+    }
+
+    const joinUrl = createJoinUrl(appointment, {
+      userId: req.user.id,
+      name: isDoctor ? `Dr. ${req.user.firstName} ${req.user.lastName}` : `${req.user.firstName} ${req.user.lastName}`,
+      email: req.user.email,
+      moderator: isDoctor
+    });
+
+    await recordEvent(req, appointment.id, 'join');
+
+    res.json({
+      data: {
+        joinUrl,
+        provider: appointment.video_provider,
+        expiresAt: appointment.join_closes_at
+      }
+    });
+  } catch (error) {
+    console.error('Join video room error:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to join video room'
+    });
+  }
+});
+
+// Record leaving the room (participants)
+router.post('/appointment/:appointmentId/leave', authenticateToken, async (req, res) => {
+  try {
+    const { appointment, isParticipant } = await loadRoomAppointment(req.user, req.params.appointmentId);
+
+    if (!isParticipant) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only the patient and the doctor can leave this consultation'
+      });
+    }
+
+    await recordEvent(req, appointment.id, 'leave');
+
+    res.json({
+      message: 'Leave recorded'
+    });
+  } catch (error) {
+    console.error('Leave video room error:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to record leave'
+    });
+  }
+});
+
+// Join/leave trail of an appointment (participants and admins)
+router.get('/appointment/:appointmentId/events', authenticateToken, async (req, res) => {
+  try {
+    const { appointment, isParticipant } = await loadRoomAppointment(req.user, req.params.appointmentId);
+
+    if (!isParticipant && req.user.role !== 'admin') {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You do not have permission to view these events'
+      });
+    }
+
+    const result = await query(`
+      SELECT ve.*, u.first_name, u.last_name, u.role
+      FROM appointment_video_events ve
+      JOIN users u ON ve.user_id = u.id
+      WHERE ve.appointment_id = $1
+      ORDER BY ve.created_at
+    `, [appointment.id]);
+
+    res.json({
+      data: result.rows.map(event => ({
+        id: event.id,
+        eventType: event.event_type,
+        userId: event.user_id,
+        userName: `${event.first_name} ${event.last_name}`,
+        role: event.role,
+        // Network details are only kept for admins resolving disputes
+        ipAddress: req.user.role === 'admin' ? event.ip_address : undefined,
+        userAgent: req.user.role === 'admin' ? event.user_agent : undefined,
+        createdAt: event.created_at
+      }))
+    });
+  } catch (error) {
+    console.error('Get video events error:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch video events'
+    });
+  }
+});
+
+module.exports = router;
@@ -5,6 +5,7 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
+const { requestId } = require('./middleware/request-id');
 
 const app = express();
 
@@ -12,6 +13,7 @@ const app = express();
 // 🔐 Security Middleware
 // ====================
 app.use(helmet()); // Adds security headers
+app.use(requestId); // Correlates logs and audit entries
 
 // Limit repeated requests to public APIs
 const limiter = rateLimit({
@@ -44,22 +46,47 @@ app.use(
   })
 );
 
-// Middleware to parse JSON requests
-app.use(express.json());
+// Middleware to parse JSON requests (raw body kept for webhook signature checks)
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // ====================
 // 📂 Routes
 // ====================
-const authRouter = require('./routes/auth'); // Authentication routes
-const doctorsRouter = require('./routes/doctors');
-const appointmentsRouter = require('./routes/appointments');
-const specialtiesRouter = require('./routes/specialties');
-// You can add: notifications, reviews, payments when ready
+const authRouter = require('./routes/routes-auth'); // Authentication routes
+const patientsRouter = require('./routes/routes-patients'); // Patient profile and dependents
+const doctorsRouter = require('./routes/routes-doctors');
+const appointmentsRouter = require('./routes/routes-appointments');
+const specialtiesRouter = require('./routes/routes-specialties');
+const reviewsRouter = require('./routes/routes-reviews');
+const notificationsRouter = require('./routes/routes-notifications');
+const medicalRecordsRouter = require('./routes/routes-medical-records');
+const prescriptionsRouter = require('./routes/routes-prescriptions');
+const paymentsRouter = require('./routes/routes-payments');
+const videoRouter = require('./routes/routes-video');
+const messagesRouter = require('./routes/routes-messages');
+const accessLogRouter = require('./routes/routes-access-log'); // Patient data access trail
+const adminRouter = require('./routes/routes-admin'); // Back-office
+const cronRouter = require('./routes/routes-cron'); // Scheduled jobs
 
 app.use('/api/auth', authRouter);
+app.use('/api/patients', patientsRouter);
 app.use('/api/doctors', doctorsRouter);
 app.use('/api/appointments', appointmentsRouter);
 app.use('/api/specialties', specialtiesRouter);
+app.use('/api/reviews', reviewsRouter);
+app.use('/api/notifications', notificationsRouter);
+app.use('/api/medical-records', medicalRecordsRouter);
+app.use('/api/prescriptions', prescriptionsRouter);
+app.use('/api/payments', paymentsRouter);
+app.use('/api/video', videoRouter);
+app.use('/api/messages', messagesRouter);
+app.use('/api/access-log', accessLogRouter);
+app.use('/api/admin', adminRouter);
+app.use('/api/cron', cronRouter);
 
 // ====================
 // 🩺 Health Check Route
@@ -81,6 +108,11 @@ if (process.env.NODE_ENV !== 'production') {
   app.listen(PORT, () => {
     console.log(`✅ Server running locally on port ${PORT}`);
   });
+
+  // Vercel cron drives scheduled jobs in production; run them in-process locally
+  if (process.env.DISABLE_SCHEDULER !== 'true') {
+    require('./services/jobs').startScheduler();
+  }
 }
 
 module.exports = app; // This export is required for Vercel serverless deployment
@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const { transaction } = require('../config/database');
+
+// Chain origin: the previous hash of the very first entry
+const GENESIS_HASH = '0'.repeat(64);
+
+// Arbitrary application-wide key serializing appends to the chain
+const CHAIN_LOCK_KEY = 7322001;
+
+// JSONB does not keep key order, so nested objects are hashed with sorted keys
+const sortKeys = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(sortKeys);
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.keys(value).sort().reduce((sorted, key) => {
+      sorted[key] = sortKeys(value[key]);
+      return sorted;
+    }, {});
+  }
+  return value;
+};
+
+// Fixed field order so an entry always hashes to the same value
+const canonicalize = (entry) => JSON.stringify({
+  patientId: entry.patient_id,
+  actorId: entry.actor_id,
+  actorRole: entry.actor_role,
+  action: entry.action,
+  resourceType: entry.resource_type,
+  resourceId: entry.resource_id,
+  changes: entry.changes ? sortKeys(entry.changes) : null,
+  ipAddress: entry.ip_address || null,
+  requestId: entry.request_id || null,
+  createdAt: new Date(entry.created_at).toISOString(),
+  previousHash: entry.previous_hash
+});
+
+const hashEntry = (entry) =>
+  crypto.createHash('sha256').update(canonicalize(entry)).digest('hex');
+
+const append = async (client, entry) => {
+  // One writer at a time, so every entry links to the one committed before it
+  await client.query('SELECT pg_advisory_xact_lock($1)', [CHAIN_LOCK_KEY]);
+
+  const lastResult = await client.query(
+    'SELECT hash FROM access_audit_log ORDER BY id DESC LIMIT 1'
+  );
+
+  const row = {
+    ...entry,
+    created_at: new Date(),
+    previous_hash: lastResult.rows.length > 0 ? lastResult.rows[0].hash : GENESIS_HASH
+  };
+  row.hash = hashEntry(row);
+
+  await client.query(`
+    INSERT INTO access_audit_log (
+      patient_id, actor_id, actor_role, action, resource_type, resource_id,
+      changes, ip_address, request_id, created_at, previous_hash, hash
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+  `, [
+    row.patient_id,
+    row.actor_id,
+    row.actor_role,
+    row.action,
+    row.resource_type,
+    row.resource_id,
+    row.changes ? JSON.stringify(row.changes) : null,
+    row.ip_address,
+    row.request_id,
+    row.created_at,
+    row.previous_hash,
+    row.hash
+  ]);
+};
+
+// Record access to, or a change of, a patient's data.
+//   action: e.g. 'appointment.view', 'appointment.status_change'
+//   changes: { field: { before, after } } for modifications
+// Pass the transaction client to make the entry part of the change it
+// describes, as the last write of that transaction: appends are serialized by
+// a lock held until commit. Reads are recorded in a transaction of their own.
+const recordAccess = (req, { patientId, action, resourceType, resourceId, changes = null }, client = null) => {
+  const entry = {
+    patient_id: patientId,
+    actor_id: req.user.id,
+    actor_role: req.user.role,
+    action,
+    resource_type: resourceType,
+    resource_id: resourceId,
+    changes,
+    ip_address: req.ip,
+    request_id: req.id
+  };
+
+  return client ? append(client, entry) : transaction((own) => append(own, entry));
+};
+
+// Walk the chain in order and report the first entry whose link or hash does
+// not match
+const verifyChain = async (db, { batchSize = 1000 } = {}) => {
+  let previousHash = GENESIS_HASH;
+  let lastId = 0;
+  let checked = 0;
+
+  for (;;) {
+    const result = await db.query(`
+      SELECT *
+      FROM access_audit_log
+      WHERE id > $1
+      ORDER BY id
+      LIMIT $2
+    `, [lastId, batchSize]);
+
+    for (const row of result.rows) {
+      if (row.previous_hash !== previousHash || hashEntry(row) !== row.hash) {
+        return { valid: false, checked, brokenAtId: row.id };
+      }
+
+      previousHash = row.hash;
+      lastId = row.id;
+      checked++;
+    }
+
+    if (result.rows.length < batchSize) {
+      return { valid: true, checked, brokenAtId: null };
+    }
+  }
+};
+
+module.exports = {
+  recordAccess,
+  verifyChain
+};
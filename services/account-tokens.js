@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+const { hashToken } = require('./tokens');
+
+// Lifetime of each kind of emailed link, in minutes
+const TOKEN_TTL_MINUTES = {
+  email_verification: parseInt(process.env.EMAIL_VERIFICATION_TOKEN_TTL_MINUTES) || 48 * 60,
+  password_reset: parseInt(process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES) || 60,
+  email_change: parseInt(process.env.EMAIL_CHANGE_TOKEN_TTL_MINUTES) || 24 * 60
+};
+
+// Link to a page of the frontend carrying a token
+const buildAppLink = (pathname, token) =>
+  `${process.env.APP_URL || ''}${pathname}?token=${encodeURIComponent(token)}`;
+
+// Create a single-use token for a user, replacing any unused one for the same
+// purpose so only the latest link works. `email` is the address the link is
+// sent to; redeeming checks it is still the right one. Returns the raw token.
+const createAccountToken = async (db, userId, purpose, { email }) => {
+  if (!TOKEN_TTL_MINUTES[purpose]) {
+    throw new Error(`Unknown account token purpose: ${purpose}`);
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await db.query(
+    'DELETE FROM account_tokens WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL',
+    [userId, purpose]
+  );
+
+  await db.query(`
+    INSERT INTO account_tokens (user_id, purpose, token_hash, email, expires_at)
+    VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + make_interval(mins => $5))
+  `, [userId, purpose, hashToken(token), email, TOKEN_TTL_MINUTES[purpose]]);
+
+  return token;
+};
+
+// Mark a token used and return its row, or null when it is unknown, expired or
+// already used. The conditional update makes concurrent redemptions safe.
+const consumeAccountToken = async (db, token, purpose) => {
+  const result = await db.query(`
+    UPDATE account_tokens
+    SET used_at = CURRENT_TIMESTAMP
+    WHERE token_hash = $1
+      AND purpose = $2
+      AND used_at IS NULL
+      AND expires_at > CURRENT_TIMESTAMP
+    RETURNING *
+  `, [hashToken(token), purpose]);
+
+  return result.rows[0] || null;
+};
+
+module.exports = {
+  TOKEN_TTL_MINUTES,
+  buildAppLink,
+  createAccountToken,
+  consumeAccountToken
+};
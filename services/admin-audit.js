@@ -0,0 +1,20 @@
+// Record an admin action. Call with the transaction client when the action
+// runs in one, so the entry commits (or rolls back) with it.
+//   action: e.g. 'user.deactivate', 'specialty.merge'
+//   targetType/targetId: what the action was applied to
+//   details: extra context (previous values, reason), stored as JSON
+const logAdminAction = (db, req, { action, targetType, targetId = null, details = null }) => db.query(`
+  INSERT INTO admin_audit_log (admin_id, action, target_type, target_id, details, ip_address)
+  VALUES ($1, $2, $3, $4, $5, $6)
+`, [
+  req.user.id,
+  action,
+  targetType,
+  targetId,
+  details ? JSON.stringify(details) : null,
+  req.ip
+]);
+
+module.exports = {
+  logAdminAction
+};
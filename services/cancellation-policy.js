@@ -0,0 +1,85 @@
+const envInt = (name, fallback) =>
+  process.env[name] !== undefined && process.env[name] !== '' ? parseInt(process.env[name]) : fallback;
+
+// Platform default, used for doctors without their own policy
+const PLATFORM_POLICY = {
+  freeCancellationHours: envInt('CANCELLATION_FREE_HOURS', 24),
+  lateCancellationFeePercent: envInt('CANCELLATION_LATE_FEE_PERCENT', 50),
+  noShowFeePercent: envInt('NO_SHOW_FEE_PERCENT', 100),
+  source: 'platform'
+};
+
+// Effective policy for a doctor
+const getPolicy = async (db, doctorId) => {
+  const result = await db.query(
+    'SELECT * FROM doctor_cancellation_policies WHERE doctor_id = $1',
+    [doctorId]
+  );
+
+  if (result.rows.length === 0) {
+    return { ...PLATFORM_POLICY };
+  }
+
+  const policy = result.rows[0];
+  return {
+    freeCancellationHours: policy.free_cancellation_hours,
+    lateCancellationFeePercent: policy.late_cancellation_fee_percent,
+    noShowFeePercent: policy.no_show_fee_percent,
+    source: 'doctor'
+  };
+};
+
+// Policy an appointment is assessed against: the terms the patient booked
+// under, so later changes by the doctor never apply to existing bookings.
+// Appointments booked before terms were recorded fall back to the current policy.
+const getAppointmentPolicy = async (db, appointment) => {
+  if (appointment.cancellation_policy) {
+    return { ...appointment.cancellation_policy };
+  }
+
+  return getPolicy(db, appointment.doctor_id);
+};
+
+// Work out the fee owed for a cancellation or a no-show.
+//   event: 'cancellation' or 'no_show'
+//   cancelledBy: 'patient', 'doctor' or 'admin' (cancellations only)
+// Doctors and admins cancelling never cost the patient anything.
+const assess = (policy, { event, consultationFee, hoursBeforeStart, cancelledBy }) => {
+  const fee = parseFloat(consultationFee) || 0;
+  let feePercent = 0;
+  let reason = 'free_cancellation';
+
+  if (event === 'no_show') {
+    feePercent = policy.noShowFeePercent;
+    reason = 'no_show';
+  } else if (cancelledBy !== 'patient') {
+    reason = 'cancelled_by_provider';
+  } else if (hoursBeforeStart < policy.freeCancellationHours) {
+    feePercent = policy.lateCancellationFeePercent;
+    reason = 'late_cancellation';
+  }
+
+  const feeAmount = Math.round(fee * feePercent) / 100;
+
+  return {
+    reason,
+    feePercent,
+    feeAmount,
+    refundAmount: Math.round((fee - feeAmount) * 100) / 100
+  };
+};
+
+const formatPolicy = (policy) => ({
+  freeCancellationHours: policy.freeCancellationHours,
+  lateCancellationFeePercent: policy.lateCancellationFeePercent,
+  noShowFeePercent: policy.noShowFeePercent,
+  source: policy.source
+});
+
+module.exports = {
+  PLATFORM_POLICY,
+  getPolicy,
+  getAppointmentPolicy,
+  assess,
+  formatPolicy
+};
@@ -0,0 +1,60 @@
+// Dependents are family members without an account. Everything booked for them
+// stays under the guardian's patient_id (so every existing ownership check goes
+// through the guardian) and carries a dependent_id saying who it is for.
+
+const RELATIONSHIPS = ['child', 'spouse', 'parent', 'sibling', 'other'];
+
+// Columns describing the dependent; join patient_dependents as `pd`
+const dependentColumns = `
+  pd.first_name as dependent_first_name,
+  pd.last_name as dependent_last_name,
+  pd.date_of_birth as dependent_date_of_birth,
+  pd.relationship as dependent_relationship`;
+
+const formatDependent = (dependent) => ({
+  id: dependent.id,
+  firstName: dependent.first_name,
+  lastName: dependent.last_name,
+  dateOfBirth: dependent.date_of_birth,
+  gender: dependent.gender,
+  relationship: dependent.relationship,
+  isActive: dependent.is_active,
+  createdAt: dependent.created_at
+});
+
+// Dependent summary of a row selected with dependentColumns, null for the account holder
+const dependentSummary = (row) => row.dependent_id ? {
+  id: row.dependent_id,
+  firstName: row.dependent_first_name,
+  lastName: row.dependent_last_name,
+  dateOfBirth: row.dependent_date_of_birth,
+  relationship: row.dependent_relationship
+} : null;
+
+// Name of the person actually seen: the dependent if any, else the account holder
+const patientName = (row) => row.dependent_id
+  ? `${row.dependent_first_name} ${row.dependent_last_name}`
+  : `${row.patient_first_name} ${row.patient_last_name}`;
+
+// Load an active dependent of the guardian, throwing when there is none
+const findDependent = async (db, guardianId, dependentId) => {
+  const result = await db.query(
+    'SELECT * FROM patient_dependents WHERE id = $1 AND guardian_id = $2 AND is_active = true',
+    [dependentId, guardianId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error('Dependent not found');
+  }
+
+  return result.rows[0];
+};
+
+module.exports = {
+  RELATIONSHIPS,
+  dependentColumns,
+  formatDependent,
+  dependentSummary,
+  patientName,
+  findDependent
+};
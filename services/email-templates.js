@@ -0,0 +1,315 @@
+const SUPPORTED_LOCALES = ['fr', 'en'];
+const DEFAULT_LOCALE = 'fr';
+
+const DATE_LOCALES = {
+  fr: 'fr-FR',
+  en: 'en-GB'
+};
+
+const MODE_LABELS = {
+  fr: { ONLINE: 'en ligne', OFFLINE: 'au cabinet' },
+  en: { ONLINE: 'online', OFFLINE: 'in person' }
+};
+
+const STATUS_LINES = {
+  fr: {
+    confirmed: 'Votre rendez-vous a été confirmé par le médecin.',
+    completed: 'Votre consultation a été marquée comme terminée.',
+    cancelled: 'Votre rendez-vous a été annulé par le médecin.',
+    no_show: 'Vous avez manqué votre rendez-vous.'
+  },
+  en: {
+    confirmed: 'Your appointment has been confirmed by the doctor.',
+    completed: 'Your consultation has been marked as completed.',
+    cancelled: 'Your appointment has been cancelled by the doctor.',
+    no_show: 'You missed your appointment.'
+  }
+};
+
+// Each template returns a subject and the body paragraphs for a locale
+const templates = {
+  appointment_booked: {
+    fr: (d) => ({
+      subject: `Rendez-vous enregistré avec ${d.doctorName}`,
+      lines: [
+        `Votre rendez-vous avec ${d.doctorName} le ${d.date} à ${d.time} (${d.mode}) a bien été enregistré.`,
+        d.dependentName ? `Patient : ${d.dependentName}` : null,
+        d.reasonForVisit ? `Motif : ${d.reasonForVisit}` : null
+      ]
+    }),
+    en: (d) => ({
+      subject: `Appointment booked with ${d.doctorName}`,
+      lines: [
+        `Your appointment with ${d.doctorName} on ${d.date} at ${d.time} (${d.mode}) has been booked.`,
+        d.dependentName ? `Patient: ${d.dependentName}` : null,
+        d.reasonForVisit ? `Reason: ${d.reasonForVisit}` : null
+      ]
+    })
+  },
+
+  appointment_new: {
+    fr: (d) => ({
+      subject: `Nouveau rendez-vous le ${d.date} à ${d.time}`,
+      lines: [`Vous avez un nouveau rendez-vous avec ${d.patientName} le ${d.date} à ${d.time} (${d.mode}).`]
+    }),
+    en: (d) => ({
+      subject: `New appointment on ${d.date} at ${d.time}`,
+      lines: [`You have a new appointment with ${d.patientName} on ${d.date} at ${d.time} (${d.mode}).`]
+    })
+  },
+
+  appointment_status: {
+    fr: (d) => ({
+      subject: 'Mise à jour de votre rendez-vous',
+      lines: [STATUS_LINES.fr[d.status], `Rendez-vous du ${d.date} à ${d.time} avec ${d.doctorName}.`]
+    }),
+    en: (d) => ({
+      subject: 'Your appointment was updated',
+      lines: [STATUS_LINES.en[d.status], `Appointment on ${d.date} at ${d.time} with ${d.doctorName}.`]
+    })
+  },
+
+  appointment_cancelled: {
+    fr: (d) => ({
+      subject: `Rendez-vous du ${d.date} annulé`,
+      lines: [
+        d.cancelledBy === 'patient'
+          ? `${d.patientName} a annulé son rendez-vous du ${d.date} à ${d.time}.`
+          : `Votre rendez-vous avec ${d.doctorName} du ${d.date} à ${d.time} a été annulé.`
+      ]
+    }),
+    en: (d) => ({
+      subject: `Appointment on ${d.date} cancelled`,
+      lines: [
+        d.cancelledBy === 'patient'
+          ? `${d.patientName} cancelled their appointment on ${d.date} at ${d.time}.`
+          : `Your appointment with ${d.doctorName} on ${d.date} at ${d.time} has been cancelled.`
+      ]
+    })
+  },
+
+  appointment_reminder: {
+    fr: (d) => ({
+      subject: `Rappel : rendez-vous le ${d.date} à ${d.time}`,
+      lines: [
+        `Nous vous rappelons votre rendez-vous avec ${d.doctorName} le ${d.date} à ${d.time} (${d.mode}).`,
+        d.dependentName ? `Patient : ${d.dependentName}` : null,
+        d.practiceAddress && d.consultationMode === 'OFFLINE' ? `Adresse : ${d.practiceAddress}` : null
+      ]
+    }),
+    en: (d) => ({
+      subject: `Reminder: appointment on ${d.date} at ${d.time}`,
+      lines: [
+        `This is a reminder of your appointment with ${d.doctorName} on ${d.date} at ${d.time} (${d.mode}).`,
+        d.dependentName ? `Patient: ${d.dependentName}` : null,
+        d.practiceAddress && d.consultationMode === 'OFFLINE' ? `Address: ${d.practiceAddress}` : null
+      ]
+    })
+  },
+
+  email_verification: {
+    fr: (d) => ({
+      subject: 'Confirmez votre adresse e-mail',
+      lines: [
+        'Merci de votre inscription. Pour confirmer votre adresse e-mail, ouvrez le lien suivant :',
+        d.link,
+        `Ce lien expire dans ${d.expiresInHours} h.`
+      ]
+    }),
+    en: (d) => ({
+      subject: 'Confirm your email address',
+      lines: [
+        'Thank you for signing up. To confirm your email address, open the following link:',
+        d.link,
+        `This link expires in ${d.expiresInHours} h.`
+      ]
+    })
+  },
+
+  password_reset: {
+    fr: (d) => ({
+      subject: 'Réinitialisation de votre mot de passe',
+      lines: [
+        'Pour choisir un nouveau mot de passe, ouvrez le lien suivant :',
+        d.link,
+        `Ce lien expire dans ${d.expiresInMinutes} minutes et ne peut servir qu'une fois. Si vous n'avez rien demandé, ignorez ce message.`
+      ]
+    }),
+    en: (d) => ({
+      subject: 'Reset your password',
+      lines: [
+        'To choose a new password, open the following link:',
+        d.link,
+        `This link expires in ${d.expiresInMinutes} minutes and can only be used once. If you did not ask for it, ignore this message.`
+      ]
+    })
+  },
+
+  password_changed: {
+    fr: () => ({
+      subject: 'Mot de passe modifié',
+      lines: [
+        "Le mot de passe de votre compte vient d'être modifié et toutes vos sessions ont été fermées.",
+        "Si vous n'êtes pas à l'origine de ce changement, réinitialisez votre mot de passe immédiatement."
+      ]
+    }),
+    en: () => ({
+      subject: 'Password changed',
+      lines: [
+        'The password of your account was just changed and all your sessions were signed out.',
+        'If you did not make this change, reset your password immediately.'
+      ]
+    })
+  },
+
+  email_change_confirm: {
+    fr: (d) => ({
+      subject: 'Confirmez votre nouvelle adresse e-mail',
+      lines: [
+        'Pour utiliser cette adresse pour votre compte, ouvrez le lien suivant :',
+        d.link,
+        `Ce lien expire dans ${d.expiresInHours} h. Si vous n'êtes pas à l'origine de cette demande, ignorez ce message.`
+      ]
+    }),
+    en: (d) => ({
+      subject: 'Confirm your new email address',
+      lines: [
+        'To use this address for your account, open the following link:',
+        d.link,
+        `This link expires in ${d.expiresInHours} h. If you did not request this change, ignore this message.`
+      ]
+    })
+  },
+
+  email_changed: {
+    fr: (d) => ({
+      subject: 'Adresse e-mail modifiée',
+      lines: [
+        `L'adresse e-mail de votre compte a été remplacée par ${d.newEmail}.`,
+        "Si vous n'êtes pas à l'origine de ce changement, contactez-nous immédiatement."
+      ]
+    }),
+    en: (d) => ({
+      subject: 'Email address changed',
+      lines: [
+        `The email address of your account was changed to ${d.newEmail}.`,
+        'If you did not make this change, contact us immediately.'
+      ]
+    })
+  },
+
+  two_factor_enabled: {
+    fr: () => ({
+      subject: 'Double authentification activée',
+      lines: [
+        'La double authentification est désormais activée sur votre compte.',
+        "Conservez vos codes de secours en lieu sûr : ils permettent de vous connecter si vous perdez l'accès à votre application d'authentification.",
+        "Si vous n'êtes pas à l'origine de ce changement, contactez-nous immédiatement."
+      ]
+    }),
+    en: () => ({
+      subject: 'Two-factor authentication enabled',
+      lines: [
+        'Two-factor authentication is now enabled on your account.',
+        'Keep your recovery codes somewhere safe: they let you sign in if you lose access to your authenticator app.',
+        'If you did not make this change, contact us immediately.'
+      ]
+    })
+  },
+
+  two_factor_disabled: {
+    fr: () => ({
+      subject: 'Double authentification désactivée',
+      lines: [
+        'La double authentification a été désactivée sur votre compte.',
+        "Si vous n'êtes pas à l'origine de ce changement, changez votre mot de passe et contactez-nous immédiatement."
+      ]
+    }),
+    en: () => ({
+      subject: 'Two-factor authentication disabled',
+      lines: [
+        'Two-factor authentication was disabled on your account.',
+        'If you did not make this change, change your password and contact us immediately.'
+      ]
+    })
+  },
+
+  two_factor_reset: {
+    fr: () => ({
+      subject: 'Double authentification réinitialisée',
+      lines: [
+        'Un administrateur a réinitialisé la double authentification de votre compte et toutes vos sessions ont été fermées.',
+        "À votre prochaine connexion, configurez de nouveau votre application d'authentification.",
+        "Si vous n'avez pas demandé cette réinitialisation, contactez-nous immédiatement."
+      ]
+    }),
+    en: () => ({
+      subject: 'Two-factor authentication reset',
+      lines: [
+        'An administrator reset the two-factor authentication of your account and all your sessions were signed out.',
+        'Set up your authenticator app again the next time you sign in.',
+        'If you did not ask for this reset, contact us immediately.'
+      ]
+    })
+  }
+};
+
+const GREETINGS = {
+  fr: (name) => `Bonjour ${name},`,
+  en: (name) => `Hello ${name},`
+};
+
+const FOOTERS = {
+  fr: 'Ceci est un message automatique, merci de ne pas y répondre.',
+  en: 'This is an automated message, please do not reply.'
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Normalize appointment fields into display strings for the locale
+const formatData = (locale, data) => ({
+  ...data,
+  date: data.appointmentDate
+    ? new Date(data.appointmentDate).toLocaleDateString(DATE_LOCALES[locale])
+    : undefined,
+  time: data.appointmentTime ? String(data.appointmentTime).substring(0, 5) : undefined,
+  mode: data.consultationMode ? MODE_LABELS[locale][data.consultationMode] : undefined
+});
+
+// Render a template into { subject, text, html }
+const renderEmail = (template, locale, data) => {
+  if (!templates[template]) {
+    throw new Error(`Unknown email template: ${template}`);
+  }
+
+  const lang = SUPPORTED_LOCALES.includes(locale) ? locale : DEFAULT_LOCALE;
+  const { subject, lines } = templates[template][lang](formatData(lang, data));
+
+  const paragraphs = [
+    GREETINGS[lang](data.recipientName),
+    ...lines.filter(Boolean)
+  ];
+
+  const text = `${paragraphs.join('\n\n')}\n\n--\n${FOOTERS[lang]}`;
+
+  const html = `<!DOCTYPE html>
+<html lang="${lang}">
+  <body style="font-family: Arial, sans-serif; color: #1f2933; line-height: 1.5;">
+    ${paragraphs.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`).join('\n    ')}
+    <hr style="border: none; border-top: 1px solid #e4e7eb;">
+    <p style="font-size: 12px; color: #7b8794;">${escapeHtml(FOOTERS[lang])}</p>
+  </body>
+</html>`;
+
+  return { subject, text, html, locale: lang };
+};
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  renderEmail
+};
@@ -0,0 +1,55 @@
+const { query } = require('../config/database');
+const { generateSlots } = require('./slots');
+const { processOutbox } = require('./mailer');
+const { sendDueReminders } = require('./reminders');
+const { processPaymentOutbox } = require('./payments');
+
+const HOUR = 60 * 60 * 1000;
+
+// Scheduled jobs, run by Vercel cron through /api/cron/:job in production
+// and by an in-process timer during local development
+const jobs = {
+  'generate-slots': {
+    intervalMs: 24 * HOUR,
+    run: async () => ({ created: await generateSlots({ query }) })
+  },
+  'send-reminders': {
+    intervalMs: 5 * 60 * 1000,
+    run: () => sendDueReminders()
+  },
+  'send-emails': {
+    intervalMs: 60 * 1000,
+    run: () => processOutbox()
+  },
+  'process-payments': {
+    intervalMs: 60 * 1000,
+    run: () => processPaymentOutbox()
+  }
+};
+
+const runJob = async (name) => {
+  const job = jobs[name];
+  if (!job) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+
+  const start = Date.now();
+  const result = await job.run();
+  console.log(`⏱️  Job ${name} finished in ${Date.now() - start}ms`, result);
+  return result;
+};
+
+// Start in-process timers (local development only)
+const startScheduler = () => {
+  Object.entries(jobs).forEach(([name, job]) => {
+    const tick = () => runJob(name).catch(error => console.error(`❌ Job ${name} failed:`, error));
+    tick();
+    setInterval(tick, job.intervalMs).unref();
+  });
+};
+
+module.exports = {
+  jobs,
+  runJob,
+  startScheduler
+};
@@ -0,0 +1,144 @@
+const nodemailer = require('nodemailer');
+const { transaction } = require('../config/database');
+const { renderEmail } = require('./email-templates');
+
+const MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 5;
+const BASE_BACKOFF_MINUTES = 2;
+const MAX_BACKOFF_MINUTES = 6 * 60;
+
+let transporter;
+
+const usesJsonTransport = () => process.env.EMAIL_TRANSPORT === 'json';
+
+// SMTP from env, or nodemailer's JSON transport when EMAIL_TRANSPORT=json
+// (local development and tests). A missing SMTP host is an error: messages
+// must never be marked sent without going anywhere.
+const getTransporter = () => {
+  if (transporter) {
+    return transporter;
+  }
+
+  if (usesJsonTransport()) {
+    transporter = nodemailer.createTransport({ jsonTransport: true });
+  } else {
+    if (!process.env.EMAIL_HOST) {
+      throw new Error('EMAIL_HOST is not configured (set EMAIL_TRANSPORT=json to log emails instead)');
+    }
+
+    transporter = nodemailer.createTransport({
+      host: process.env.EMAIL_HOST,
+      port: parseInt(process.env.EMAIL_PORT) || 587,
+      secure: process.env.EMAIL_SECURE === 'true',
+      auth: process.env.EMAIL_USER ? {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASS
+      } : undefined
+    });
+  }
+
+  return transporter;
+};
+
+// Render a template for a user and queue it in the outbox.
+// Pass the transaction client so the email is only queued if the change commits.
+// `toEmail` overrides the address on file (e.g. confirming a new address).
+const enqueueEmail = async (db, { userId, template, data = {}, relatedAppointmentId = null, toEmail = null }) => {
+  const userResult = await db.query(
+    'SELECT email, first_name, preferred_language FROM users WHERE id = $1',
+    [userId]
+  );
+
+  if (userResult.rows.length === 0) {
+    return null;
+  }
+
+  const user = userResult.rows[0];
+  const email = renderEmail(template, user.preferred_language, {
+    recipientName: user.first_name,
+    ...data
+  });
+
+  const result = await db.query(`
+    INSERT INTO email_outbox (
+      user_id, to_email, template, locale, subject, html_body, text_body, related_appointment_id
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING id
+  `, [userId, toEmail || user.email, template, email.locale, email.subject, email.html, email.text, relatedAppointmentId]);
+
+  return result.rows[0].id;
+};
+
+// Exponential backoff: 2, 4, 8... minutes, capped
+const backoffMinutes = (attempts) =>
+  Math.min(BASE_BACKOFF_MINUTES * Math.pow(2, attempts - 1), MAX_BACKOFF_MINUTES);
+
+// Deliver due outbox messages. Rows are claimed with SKIP LOCKED so
+// overlapping runs never send the same message twice.
+const processOutbox = async ({ batchSize = 20 } = {}) => {
+  // Fails the whole run on a missing configuration instead of burning attempts
+  const mailTransport = getTransporter();
+
+  return transaction(async (client) => {
+    const dueResult = await client.query(`
+      SELECT *
+      FROM email_outbox
+      WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+      ORDER BY next_attempt_at
+      LIMIT $1
+      FOR UPDATE SKIP LOCKED
+    `, [batchSize]);
+
+    const stats = { sent: 0, retried: 0, failed: 0 };
+
+    for (const email of dueResult.rows) {
+      try {
+        const info = await mailTransport.sendMail({
+          from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+          to: email.to_email,
+          subject: email.subject,
+          text: email.text_body,
+          html: email.html_body
+        });
+
+        if (usesJsonTransport()) {
+          console.log(`✉️  Email ${email.id} (json transport):`, info.message);
+        }
+
+        await client.query(`
+          UPDATE email_outbox
+          SET status = 'sent', attempts = attempts + 1, sent_at = CURRENT_TIMESTAMP, last_error = NULL
+          WHERE id = $1
+        `, [email.id]);
+        stats.sent++;
+      } catch (error) {
+        const attempts = email.attempts + 1;
+        const exhausted = attempts >= MAX_ATTEMPTS;
+
+        console.error(`❌ Email ${email.id} delivery failed (attempt ${attempts}):`, error.message);
+
+        await client.query(`
+          UPDATE email_outbox
+          SET status = $2,
+              attempts = $3,
+              last_error = $4,
+              next_attempt_at = CURRENT_TIMESTAMP + make_interval(mins => $5)
+          WHERE id = $1
+        `, [email.id, exhausted ? 'failed' : 'pending', attempts, error.message, backoffMinutes(attempts)]);
+
+        if (exhausted) {
+          stats.failed++;
+        } else {
+          stats.retried++;
+        }
+      }
+    }
+
+    return stats;
+  });
+};
+
+module.exports = {
+  getTransporter,
+  enqueueEmail,
+  processOutbox
+};
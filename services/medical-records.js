@@ -0,0 +1,55 @@
+// Decide whether a user may read a patient's medical records.
+// - patients: their own records and those of their dependents
+// - doctors: records they wrote, or any record of a patient who has an active
+//   appointment with them or has granted them a consent that is still valid.
+//   A dependent is a patient of their own here (dependentId), so caring for
+//   one child does not open the records of the guardian or the siblings.
+// - everyone else (admins included): no access to clinical content
+const getRecordAccess = async (db, user, patientId, dependentId = null) => {
+  if (user.role === 'patient') {
+    return { allowed: user.id === parseInt(patientId), scope: 'all' };
+  }
+
+  if (user.role !== 'doctor') {
+    return { allowed: false };
+  }
+
+  const result = await db.query(`
+    SELECT
+      d.id as doctor_id,
+      EXISTS (
+        SELECT 1 FROM appointments a
+        WHERE a.doctor_id = d.id
+          AND a.patient_id = $2
+          AND a.dependent_id IS NOT DISTINCT FROM $3
+          AND a.status IN ('scheduled', 'confirmed')
+      ) as has_active_appointment,
+      EXISTS (
+        SELECT 1 FROM medical_record_consents c
+        WHERE c.doctor_id = d.id
+          AND c.patient_id = $2
+          AND c.dependent_id IS NOT DISTINCT FROM $3
+          AND c.revoked_at IS NULL
+          AND (c.expires_at IS NULL OR c.expires_at > CURRENT_TIMESTAMP)
+      ) as has_consent
+    FROM doctors d
+    WHERE d.user_id = $1
+  `, [user.id, patientId, dependentId]);
+
+  if (result.rows.length === 0) {
+    return { allowed: false };
+  }
+
+  const access = result.rows[0];
+
+  if (access.has_active_appointment || access.has_consent) {
+    return { allowed: true, scope: 'all', doctorId: access.doctor_id };
+  }
+
+  // Without a care relationship a doctor still sees what they wrote themselves
+  return { allowed: true, scope: 'authored', doctorId: access.doctor_id };
+};
+
+module.exports = {
+  getRecordAccess
+};
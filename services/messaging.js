@@ -0,0 +1,24 @@
+const { EventEmitter } = require('events');
+
+// In-process fan-out of new messages and read receipts to open SSE streams.
+// Each instance only sees what it handled itself, so on serverless deployments
+// (Vercel) clients poll the REST endpoints with ?after=<last message id> instead.
+const hub = new EventEmitter();
+hub.setMaxListeners(0);
+
+const channel = (appointmentId) => `appointment:${appointmentId}`;
+
+const publish = (appointmentId, event) => {
+  hub.emit(channel(appointmentId), event);
+};
+
+// Returns the unsubscribe function
+const subscribe = (appointmentId, listener) => {
+  hub.on(channel(appointmentId), listener);
+  return () => hub.off(channel(appointmentId), listener);
+};
+
+module.exports = {
+  publish,
+  subscribe
+};
@@ -0,0 +1,444 @@
+const { transaction } = require('../../config/database');
+const mockProvider = require('./mock-provider');
+const stripeProvider = require('./stripe-provider');
+
+// Every provider implements:
+//   createPaymentIntent({ amount, currency, metadata, idempotencyKey }) -> { transactionId, clientSecret, status, raw }
+//   refundPayment({ transactionId, amount, currency, idempotencyKey }) -> { refundId, status, raw }
+//   cancelPaymentIntent({ transactionId, idempotencyKey }) -> { status, raw }
+//   parseWebhook(rawBody, headers) -> { eventId, type, transactionId, raw }, throws on a bad signature
+const providers = {
+  [stripeProvider.name]: stripeProvider
+};
+
+// The mock provider confirms payments nobody made: never in production
+if (process.env.NODE_ENV !== 'production') {
+  providers[mockProvider.name] = mockProvider;
+}
+
+const CURRENCY = process.env.PAYMENT_CURRENCY || 'EUR';
+
+const FEE_PAYMENT_TYPES = ['late_cancellation_fee', 'no_show_fee'];
+
+// Production has to name its provider; elsewhere the mock one is the default
+const configuredProviderName = () => {
+  const name = process.env.PAYMENT_PROVIDER ||
+    (process.env.NODE_ENV !== 'production' ? mockProvider.name : null);
+
+  if (!name) {
+    throw new Error('PAYMENT_PROVIDER is not configured');
+  }
+  return name;
+};
+
+// `name` is given for existing payments (refunds go through the provider that
+// took them); new payments use the configured provider
+const getProvider = (name = configuredProviderName()) => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  return provider;
+};
+
+// Only the configured provider receives webhooks
+const getWebhookProvider = (name) => {
+  if (name !== configuredProviderName()) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  return getProvider(name);
+};
+
+// Record the pending payment of an appointment (call inside the booking
+// transaction). Its provider intent is opened by openPaymentIntent() once the
+// transaction has committed, so no provider call holds the transaction's locks.
+const recordAppointmentPayment = async (client, appointment) => {
+  const provider = getProvider();
+
+  const paymentResult = await client.query(`
+    INSERT INTO payments (
+      appointment_id, amount, currency, payment_method, payment_status, provider
+    ) VALUES ($1, $2, $3, 'card', 'pending', $4)
+    RETURNING id, appointment_id, amount, currency, provider, payment_type
+  `, [appointment.id, appointment.consultation_fee, CURRENCY, provider.name]);
+
+  return paymentResult.rows[0];
+};
+
+// Open the provider intent of a recorded payment (after commit). The
+// idempotency key makes a retry return the same intent. A payment cancelled
+// in the meantime gets its new intent cancelled too.
+const openPaymentIntent = async (payment) => {
+  const provider = getProvider(payment.provider);
+  const intent = await provider.createPaymentIntent({
+    amount: payment.amount,
+    currency: payment.currency,
+    metadata: { appointmentId: String(payment.appointment_id), paymentId: String(payment.id) },
+    idempotencyKey: `payment-intent-${payment.id}`
+  });
+
+  const stillPending = await transaction(async (client) => {
+    const updateResult = await client.query(`
+      UPDATE payments
+      SET transaction_id = $2, gateway_response = $3, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING payment_status
+    `, [payment.id, intent.transactionId, JSON.stringify(intent.raw)]);
+
+    if (updateResult.rows[0].payment_status !== 'pending') {
+      await queuePaymentOperation(client, payment.id, 'cancel_intent');
+      return false;
+    }
+    return true;
+  });
+
+  if (!stillPending) {
+    throw new Error('Appointment does not require payment');
+  }
+
+  return {
+    paymentId: payment.id,
+    paymentType: payment.payment_type,
+    provider: provider.name,
+    clientSecret: intent.clientSecret,
+    amount: parseFloat(payment.amount),
+    currency: payment.currency
+  };
+};
+
+// Apply a verified webhook event once. Returns { duplicate: true } when the
+// event was already processed.
+const handleWebhookEvent = async (client, providerName, event) => {
+  const eventResult = await client.query(`
+    INSERT INTO payment_webhook_events (provider, event_id, event_type)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (provider, event_id) DO NOTHING
+    RETURNING id
+  `, [providerName, event.eventId, event.type]);
+
+  if (eventResult.rows.length === 0) {
+    return { duplicate: true };
+  }
+
+  if (event.type === 'payment.succeeded' || event.type === 'payment.failed') {
+    const succeeded = event.type === 'payment.succeeded';
+
+    const paymentResult = await client.query(`
+      UPDATE payments
+      SET payment_status = $3, gateway_response = $4, updated_at = CURRENT_TIMESTAMP
+      WHERE provider = $1 AND transaction_id = $2 AND payment_status IN ('pending', 'failed')
+      RETURNING appointment_id, payment_type
+    `, [providerName, event.transactionId, succeeded ? 'completed' : 'failed', JSON.stringify(event.raw)]);
+
+    // A paid cancellation or no-show fee leaves the consultation's status alone
+    if (succeeded && paymentResult.rows.length > 0 && paymentResult.rows[0].payment_type === 'consultation') {
+      await client.query(`
+        UPDATE appointments
+        SET payment_status = 'paid', updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [paymentResult.rows[0].appointment_id]);
+    }
+
+    // Paid after the intent was cancelled (the appointment is gone): give it back
+    if (succeeded && paymentResult.rows.length === 0) {
+      const cancelledResult = await client.query(`
+        UPDATE payments
+        SET payment_status = 'refunded', refunded_amount = amount, gateway_response = $3,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE provider = $1 AND transaction_id = $2 AND payment_status = 'cancelled'
+        RETURNING id, amount
+      `, [providerName, event.transactionId, JSON.stringify(event.raw)]);
+
+      if (cancelledResult.rows.length > 0) {
+        await queuePaymentOperation(client, cancelledResult.rows[0].id, 'refund', cancelledResult.rows[0].amount);
+        return { duplicate: false, updated: 1 };
+      }
+    }
+
+    return { duplicate: false, updated: paymentResult.rows.length };
+  }
+
+  // Refunds are recorded when we issue them; the event only confirms them
+  return { duplicate: false, updated: 0 };
+};
+
+const MAX_OPERATION_ATTEMPTS = 8;
+const BASE_BACKOFF_MINUTES = 2;
+const MAX_BACKOFF_MINUTES = 6 * 60;
+
+// Provider calls that must only happen once the change that asks for them has
+// committed (refunds, intent cancellations) go through payment_outbox
+const queuePaymentOperation = async (client, paymentId, operation, amount = null) => {
+  await client.query(`
+    INSERT INTO payment_outbox (payment_id, operation, amount)
+    VALUES ($1, $2, $3)
+  `, [paymentId, operation, amount]);
+};
+
+// Cancel the payments of an appointment that were never paid, so the patient
+// cannot be charged for them any more (call inside a transaction). Payments
+// whose intent is not open yet are cancelled by openPaymentIntent().
+const cancelPendingPayments = async (client, appointmentId) => {
+  const pendingResult = await client.query(`
+    UPDATE payments
+    SET payment_status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+    WHERE appointment_id = $1 AND payment_type = 'consultation'
+      AND payment_status IN ('pending', 'failed')
+    RETURNING id, transaction_id
+  `, [appointmentId]);
+
+  for (const payment of pendingResult.rows) {
+    if (payment.transaction_id) {
+      await queuePaymentOperation(client, payment.id, 'cancel_intent');
+    }
+  }
+
+  return pendingResult.rows.length;
+};
+
+// Refund the completed payment of an appointment (call inside the cancelling
+// transaction). The refund is recorded now and sent to the provider once the
+// transaction has committed.
+const refundAppointmentPayment = async (client, appointmentId, { amount }) => {
+  const paymentResult = await client.query(`
+    SELECT *
+    FROM payments
+    WHERE appointment_id = $1 AND payment_type = 'consultation' AND payment_status = 'completed'
+    ORDER BY created_at DESC
+    LIMIT 1
+    FOR UPDATE
+  `, [appointmentId]);
+
+  if (paymentResult.rows.length === 0 || amount <= 0) {
+    return null;
+  }
+
+  const payment = paymentResult.rows[0];
+  const refundAmount = Math.min(amount, parseFloat(payment.amount));
+  const refundStatus = refundAmount >= parseFloat(payment.amount) ? 'refunded' : 'partially_refunded';
+
+  await client.query(`
+    UPDATE payments
+    SET payment_status = $2, refunded_amount = $3, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+  `, [payment.id, refundStatus, refundAmount]);
+
+  await client.query(`
+    UPDATE appointments
+    SET payment_status = $2, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+  `, [appointmentId, refundStatus]);
+
+  await queuePaymentOperation(client, payment.id, 'refund', refundAmount);
+
+  return {
+    amount: refundAmount,
+    currency: payment.currency,
+    status: 'pending'
+  };
+};
+
+// Exponential backoff: 2, 4, 8... minutes, capped
+const backoffMinutes = (attempts) =>
+  Math.min(BASE_BACKOFF_MINUTES * Math.pow(2, attempts - 1), MAX_BACKOFF_MINUTES);
+
+// Send due outbox operations to the providers. Rows are claimed with SKIP
+// LOCKED, and every call carries an idempotency key so a retry after a crash
+// never refunds twice.
+const processPaymentOutbox = async ({ batchSize = 20 } = {}) => {
+  return transaction(async (client) => {
+    const dueResult = await client.query(`
+      SELECT o.*, p.provider, p.transaction_id, p.currency
+      FROM payment_outbox o
+      JOIN payments p ON o.payment_id = p.id
+      WHERE o.status = 'pending' AND o.next_attempt_at <= CURRENT_TIMESTAMP
+      ORDER BY o.next_attempt_at
+      LIMIT $1
+      FOR UPDATE OF o SKIP LOCKED
+    `, [batchSize]);
+
+    const stats = { completed: 0, retried: 0, failed: 0 };
+
+    for (const operation of dueResult.rows) {
+      try {
+        const provider = getProvider(operation.provider);
+        const idempotencyKey = `payment-outbox-${operation.id}`;
+        let reference = null;
+
+        if (operation.operation === 'refund') {
+          const refund = await provider.refundPayment({
+            transactionId: operation.transaction_id,
+            amount: parseFloat(operation.amount),
+            currency: operation.currency,
+            idempotencyKey
+          });
+          reference = refund.refundId;
+
+          await client.query(
+            'UPDATE payments SET refund_transaction_id = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+            [operation.payment_id, reference]
+          );
+        } else {
+          await provider.cancelPaymentIntent({
+            transactionId: operation.transaction_id,
+            idempotencyKey
+          });
+        }
+
+        await client.query(`
+          UPDATE payment_outbox
+          SET status = 'completed', attempts = attempts + 1, provider_reference = $2,
+              completed_at = CURRENT_TIMESTAMP, last_error = NULL
+          WHERE id = $1
+        `, [operation.id, reference]);
+        stats.completed++;
+      } catch (error) {
+        const attempts = operation.attempts + 1;
+        const exhausted = attempts >= MAX_OPERATION_ATTEMPTS;
+
+        console.error(`❌ Payment operation ${operation.id} (${operation.operation}) failed (attempt ${attempts}):`, error.message);
+
+        await client.query(`
+          UPDATE payment_outbox
+          SET status = $2,
+              attempts = $3,
+              last_error = $4,
+              next_attempt_at = CURRENT_TIMESTAMP + make_interval(mins => $5)
+          WHERE id = $1
+        `, [operation.id, exhausted ? 'failed' : 'pending', attempts, error.message, backoffMinutes(attempts)]);
+
+        if (exhausted) {
+          stats.failed++;
+        } else {
+          stats.retried++;
+        }
+      }
+    }
+
+    return stats;
+  });
+};
+
+// Record a late-cancellation or no-show fee against the appointment. When the
+// consultation was paid up front the fee is kept from that payment
+// ('completed', referencing it in gateway_response), otherwise it is recorded
+// as owed ('pending') and the patient pays it through the payment intent
+// endpoint (openOutstandingFee).
+const recordCancellationFee = async (client, appointmentId, { type, amount, retainedFromPaymentId = null }) => {
+  if (!(amount > 0)) {
+    return null;
+  }
+
+  const feeResult = await client.query(`
+    INSERT INTO payments (
+      appointment_id, amount, currency, payment_type, payment_status, gateway_response
+    ) VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING id, payment_status
+  `, [
+    appointmentId,
+    amount,
+    CURRENCY,
+    type,
+    retainedFromPaymentId ? 'completed' : 'pending',
+    retainedFromPaymentId ? JSON.stringify({ retainedFromPaymentId }) : null
+  ]);
+
+  return {
+    paymentId: feeResult.rows[0].id,
+    type,
+    amount,
+    currency: CURRENCY,
+    status: feeResult.rows[0].payment_status
+  };
+};
+
+// Owed fee of an appointment, ready for openPaymentIntent() (call inside a
+// transaction). A fee whose intent was already opened is cancelled and
+// recorded again, as consultations are, so only the new intent can be paid.
+// Returns null when no fee is owed.
+const openOutstandingFee = async (client, appointmentId) => {
+  const feeResult = await client.query(`
+    SELECT *
+    FROM payments
+    WHERE appointment_id = $1 AND payment_type = ANY($2) AND payment_status IN ('pending', 'failed')
+    ORDER BY created_at DESC
+    LIMIT 1
+    FOR UPDATE
+  `, [appointmentId, FEE_PAYMENT_TYPES]);
+
+  if (feeResult.rows.length === 0) {
+    return null;
+  }
+
+  const fee = feeResult.rows[0];
+  const provider = getProvider();
+
+  // No intent yet: it is opened with the configured provider
+  if (!fee.transaction_id) {
+    const updateResult = await client.query(`
+      UPDATE payments
+      SET provider = $2, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING id, appointment_id, amount, currency, provider, payment_type
+    `, [fee.id, provider.name]);
+    return updateResult.rows[0];
+  }
+
+  await client.query(
+    "UPDATE payments SET payment_status = 'cancelled', updated_at = CURRENT_TIMESTAMP WHERE id = $1",
+    [fee.id]
+  );
+  await queuePaymentOperation(client, fee.id, 'cancel_intent');
+
+  const replacementResult = await client.query(`
+    INSERT INTO payments (appointment_id, amount, currency, payment_type, payment_status, provider)
+    VALUES ($1, $2, $3, $4, 'pending', $5)
+    RETURNING id, appointment_id, amount, currency, provider, payment_type
+  `, [fee.appointment_id, fee.amount, fee.currency, fee.payment_type, provider.name]);
+
+  return replacementResult.rows[0];
+};
+
+// Settle a cancellation or no-show: refund what the policy gives back out of
+// the completed payment, record the fee and cancel the intents never paid.
+// `assessment` comes from cancellation-policy.assess().
+const settleCancellation = async (client, appointmentId, { type, assessment }) => {
+  const paidResult = await client.query(`
+    SELECT id
+    FROM payments
+    WHERE appointment_id = $1 AND payment_type = 'consultation' AND payment_status = 'completed'
+    ORDER BY created_at DESC
+    LIMIT 1
+  `, [appointmentId]);
+
+  const paidPaymentId = paidResult.rows.length > 0 ? paidResult.rows[0].id : null;
+
+  const refund = paidPaymentId
+    ? await refundAppointmentPayment(client, appointmentId, { amount: assessment.refundAmount })
+    : null;
+
+  const fee = await recordCancellationFee(client, appointmentId, {
+    type,
+    amount: assessment.feeAmount,
+    retainedFromPaymentId: paidPaymentId
+  });
+
+  await cancelPendingPayments(client, appointmentId);
+
+  return { refund, fee };
+};
+
+module.exports = {
+  CURRENCY,
+  getProvider,
+  getWebhookProvider,
+  recordAppointmentPayment,
+  openPaymentIntent,
+  handleWebhookEvent,
+  cancelPendingPayments,
+  refundAppointmentPayment,
+  processPaymentOutbox,
+  recordCancellationFee,
+  openOutstandingFee,
+  settleCancellation
+};
@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+// Offline provider for tests and local development. Intents are never charged;
+// confirmations arrive through webhooks signed with MOCK_PAYMENT_WEBHOOK_SECRET
+// (HMAC-SHA256 of the raw body, hex, in the x-mock-signature header).
+const signPayload = (payload) => {
+  if (!process.env.MOCK_PAYMENT_WEBHOOK_SECRET) {
+    throw new Error('MOCK_PAYMENT_WEBHOOK_SECRET is not configured');
+  }
+
+  return crypto
+    .createHmac('sha256', process.env.MOCK_PAYMENT_WEBHOOK_SECRET)
+    .update(payload)
+    .digest('hex');
+};
+
+const createPaymentIntent = async ({ amount, currency }) => {
+  const transactionId = `mock_pi_${uuidv4()}`;
+
+  return {
+    transactionId,
+    clientSecret: `${transactionId}_secret`,
+    status: 'requires_payment_method',
+    raw: { id: transactionId, amount, currency }
+  };
+};
+
+const refundPayment = async ({ transactionId, amount, currency }) => {
+  const refundId = `mock_re_${uuidv4()}`;
+
+  return {
+    refundId,
+    status: 'succeeded',
+    raw: { id: refundId, payment_intent: transactionId, amount, currency }
+  };
+};
+
+const cancelPaymentIntent = async ({ transactionId }) => ({
+  status: 'canceled',
+  raw: { id: transactionId, status: 'canceled' }
+});
+
+const parseWebhook = (rawBody, headers) => {
+  const signature = headers['x-mock-signature'] || '';
+  const expected = signPayload(rawBody);
+
+  if (signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    throw new Error('Invalid webhook signature');
+  }
+
+  const event = JSON.parse(rawBody.toString());
+
+  return {
+    eventId: event.id,
+    type: event.type, // 'payment.succeeded', 'payment.failed', 'refund.succeeded'
+    transactionId: event.transactionId,
+    raw: event
+  };
+};
+
+module.exports = {
+  name: 'mock',
+  createPaymentIntent,
+  refundPayment,
+  cancelPaymentIntent,
+  parseWebhook,
+  signPayload
+};
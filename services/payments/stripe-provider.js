@@ -0,0 +1,91 @@
+const Stripe = require('stripe');
+
+let client;
+
+const getClient = () => {
+  if (!client) {
+    if (!process.env.STRIPE_SECRET_KEY) {
+      throw new Error('STRIPE_SECRET_KEY is not configured');
+    }
+    client = new Stripe(process.env.STRIPE_SECRET_KEY);
+  }
+  return client;
+};
+
+// Stripe works in the smallest currency unit
+const toMinorUnits = (amount) => Math.round(parseFloat(amount) * 100);
+
+// Map Stripe event types onto the provider-neutral ones used by the payments service
+const EVENT_TYPES = {
+  'payment_intent.succeeded': 'payment.succeeded',
+  'payment_intent.payment_failed': 'payment.failed',
+  'charge.refunded': 'refund.succeeded'
+};
+
+const createPaymentIntent = async ({ amount, currency, metadata, idempotencyKey }) => {
+  const intent = await getClient().paymentIntents.create({
+    amount: toMinorUnits(amount),
+    currency: currency.toLowerCase(),
+    metadata,
+    automatic_payment_methods: { enabled: true }
+  }, { idempotencyKey });
+
+  return {
+    transactionId: intent.id,
+    clientSecret: intent.client_secret,
+    status: intent.status,
+    raw: intent
+  };
+};
+
+const refundPayment = async ({ transactionId, amount, idempotencyKey }) => {
+  const refund = await getClient().refunds.create({
+    payment_intent: transactionId,
+    amount: toMinorUnits(amount)
+  }, { idempotencyKey });
+
+  return {
+    refundId: refund.id,
+    status: refund.status,
+    raw: refund
+  };
+};
+
+const cancelPaymentIntent = async ({ transactionId, idempotencyKey }) => {
+  const intent = await getClient().paymentIntents.cancel(transactionId, {}, { idempotencyKey });
+
+  return {
+    status: intent.status,
+    raw: intent
+  };
+};
+
+const parseWebhook = (rawBody, headers) => {
+  let event;
+  try {
+    event = getClient().webhooks.constructEvent(
+      rawBody,
+      headers['stripe-signature'],
+      process.env.STRIPE_WEBHOOK_SECRET
+    );
+  } catch (error) {
+    throw new Error('Invalid webhook signature');
+  }
+
+  const object = event.data.object;
+
+  return {
+    eventId: event.id,
+    type: EVENT_TYPES[event.type] || 'ignored',
+    transactionId: object.object === 'charge' ? object.payment_intent : object.id,
+    raw: event
+  };
+};
+
+module.exports = {
+  name: 'stripe',
+  createPaymentIntent,
+  refundPayment,
+  cancelPaymentIntent,
+  parseWebhook
+};
@@ -0,0 +1,64 @@
+const PDFDocument = require('pdfkit');
+
+// Stream a printable prescription to a writable stream (usually the response)
+const renderPrescriptionPdf = (prescription, items, output) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  doc.pipe(output);
+
+  // Prescriber header
+  doc.fontSize(16).text(`Dr. ${prescription.doctor_first_name} ${prescription.doctor_last_name}`);
+  doc.fontSize(10)
+    .text(prescription.specialty || '')
+    .text(`N° de licence : ${prescription.license_number}`)
+    .text(prescription.practice_address || '');
+
+  doc.moveDown(2);
+  doc.fontSize(20).text('Ordonnance', { align: 'center' });
+  doc.moveDown();
+
+  doc.fontSize(11)
+    .text(`Patient : ${prescription.patient_first_name} ${prescription.patient_last_name}`);
+  // Prescriptions for children need the age to check dosages
+  if (prescription.dependent_date_of_birth) {
+    doc.text(`Né(e) le : ${new Date(prescription.dependent_date_of_birth).toLocaleDateString('fr-FR')}`);
+  }
+  doc.text(`Date : ${new Date(prescription.issued_at).toLocaleDateString('fr-FR')}`);
+
+  doc.moveDown(1.5);
+
+  items.forEach((item, index) => {
+    doc.fontSize(12).text(`${index + 1}. ${item.medication}`, { underline: true });
+    doc.fontSize(10)
+      .text(`Posologie : ${item.dosage}, ${item.frequency}`)
+      .text(`Durée : ${item.duration}`);
+    if (item.quantity) {
+      doc.text(`Quantité : ${item.quantity}`);
+    }
+    if (item.instructions) {
+      doc.text(`Instructions : ${item.instructions}`);
+    }
+    doc.moveDown();
+  });
+
+  if (prescription.notes) {
+    doc.moveDown().fontSize(10).text(`Remarques : ${prescription.notes}`);
+  }
+
+  if (prescription.revoked_at) {
+    doc.moveDown().fontSize(14).fillColor('red').text('ORDONNANCE RÉVOQUÉE', { align: 'center' }).fillColor('black');
+  }
+
+  // Verification footer
+  doc.moveDown(3);
+  doc.fontSize(8)
+    .text(`Identifiant : ${prescription.public_id}`)
+    .text(`Empreinte : ${prescription.content_hash}`)
+    .text(`Signature électronique : ${prescription.signature}`)
+    .text(`Vérification : ${process.env.PUBLIC_API_URL || ''}/api/prescriptions/verify/${prescription.public_id}?hash=${prescription.content_hash}`);
+
+  doc.end();
+};
+
+module.exports = {
+  renderPrescriptionPdf
+};
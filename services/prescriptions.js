@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+
+// Hash dates of birth as plain calendar dates: 'YYYY-MM-DD' when issued, a
+// local-midnight Date when read back from the DATE column
+const formatDate = (value) => {
+  if (!value) {
+    return null;
+  }
+
+  if (typeof value === 'string') {
+    return value.slice(0, 10);
+  }
+
+  const date = new Date(value);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+// Canonical representation of everything a pharmacist relies on. Field order is
+// fixed so the same prescription always hashes to the same value.
+const canonicalize = (prescription, items) => JSON.stringify({
+  publicId: prescription.public_id,
+  doctorId: prescription.doctor_id,
+  licenseNumber: prescription.license_number,
+  patientId: prescription.patient_id,
+  dependentId: prescription.dependent_id || null,
+  dependentFirstName: prescription.dependent_first_name || null,
+  dependentLastName: prescription.dependent_last_name || null,
+  dependentDateOfBirth: formatDate(prescription.dependent_date_of_birth),
+  appointmentId: prescription.appointment_id,
+  issuedAt: new Date(prescription.issued_at).toISOString(),
+  notes: prescription.notes || null,
+  items: items.map(item => ({
+    medication: item.medication,
+    dosage: item.dosage,
+    frequency: item.frequency,
+    duration: item.duration,
+    quantity: item.quantity || null,
+    instructions: item.instructions || null
+  }))
+});
+
+const hashContent = (prescription, items) =>
+  crypto.createHash('sha256').update(canonicalize(prescription, items)).digest('hex');
+
+// Server-side signature binding the content hash to the prescribing doctor
+const sign = (contentHash, doctorId) => {
+  if (!process.env.PRESCRIPTION_SIGNING_SECRET) {
+    throw new Error('PRESCRIPTION_SIGNING_SECRET is not configured');
+  }
+
+  return crypto
+    .createHmac('sha256', process.env.PRESCRIPTION_SIGNING_SECRET)
+    .update(`${doctorId}:${contentHash}`)
+    .digest('hex');
+};
+
+// Recompute hash and signature from stored data and compare in constant time
+const verify = (prescription, items) => {
+  const contentHash = hashContent(prescription, items);
+  const expected = Buffer.from(sign(contentHash, prescription.doctor_id), 'hex');
+  const actual = Buffer.from(prescription.signature, 'hex');
+
+  return {
+    contentHash,
+    hashMatches: contentHash === prescription.content_hash,
+    signatureValid: expected.length === actual.length && crypto.timingSafeEqual(expected, actual)
+  };
+};
+
+module.exports = {
+  hashContent,
+  sign,
+  verify
+};
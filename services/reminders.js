@@ -0,0 +1,121 @@
+const { transaction } = require('../config/database');
+const { enqueueEmail } = require('./mailer');
+
+// Minutes before the appointment start, J-1 and H-2 by default
+const REMINDER_OFFSETS = (process.env.REMINDER_OFFSETS_MINUTES || '1440,120')
+  .split(',')
+  .map(offset => parseInt(offset))
+  .filter(offset => offset > 0);
+
+const EMAIL_ENABLED = process.env.REMINDER_EMAIL_ENABLED !== 'false';
+
+// Send reminders that are due for active appointments.
+// Reminders are derived from live appointment data on every run, so a cancelled
+// appointment simply stops matching and a rescheduled one gets a new
+// scheduled_for. Only the closest due offset is sent per appointment, so a missed
+// J-1 run never fires together with H-2, and the UNIQUE key on
+// appointment_reminders guarantees a reminder is never sent twice.
+const sendDueReminders = async () => {
+  if (REMINDER_OFFSETS.length === 0) {
+    return { sent: 0 };
+  }
+
+  const lookaheadDays = Math.ceil(Math.max(...REMINDER_OFFSETS) / 1440);
+
+  return transaction(async (client) => {
+    const remindersResult = await client.query(`
+      WITH due AS (
+        SELECT DISTINCT ON (a.id)
+          a.id as appointment_id,
+          o.offset_minutes,
+          (a.appointment_date + a.appointment_time) - make_interval(mins => o.offset_minutes) as scheduled_for
+        FROM appointments a
+        CROSS JOIN unnest($1::integer[]) as o(offset_minutes)
+        WHERE a.status IN ('scheduled', 'confirmed')
+          AND a.appointment_date BETWEEN CURRENT_DATE AND CURRENT_DATE + $2::integer
+          AND (a.appointment_date + a.appointment_time) > LOCALTIMESTAMP
+          AND (a.appointment_date + a.appointment_time) - make_interval(mins => o.offset_minutes) <= LOCALTIMESTAMP
+        ORDER BY a.id, o.offset_minutes ASC
+      )
+      INSERT INTO appointment_reminders (appointment_id, offset_minutes, scheduled_for)
+      SELECT appointment_id, offset_minutes, scheduled_for FROM due
+      ON CONFLICT (appointment_id, offset_minutes, scheduled_for) DO NOTHING
+      RETURNING appointment_id
+    `, [REMINDER_OFFSETS, lookaheadDays]);
+
+    if (remindersResult.rows.length === 0) {
+      return { sent: 0 };
+    }
+
+    const appointmentsResult = await client.query(`
+      SELECT
+        a.id,
+        a.patient_id,
+        a.appointment_date,
+        a.appointment_time,
+        a.consultation_mode,
+        d.practice_address,
+        u_doctor.first_name as doctor_first_name,
+        u_doctor.last_name as doctor_last_name,
+        pd.first_name || ' ' || pd.last_name as dependent_name
+      FROM appointments a
+      JOIN doctors d ON a.doctor_id = d.id
+      JOIN users u_doctor ON d.user_id = u_doctor.id
+      LEFT JOIN patient_dependents pd ON a.dependent_id = pd.id
+      WHERE a.id = ANY($1::integer[])
+    `, [remindersResult.rows.map(row => row.appointment_id)]);
+
+    for (const appointment of appointmentsResult.rows) {
+      const doctorName = `Dr. ${appointment.doctor_first_name} ${appointment.doctor_last_name}`;
+      const appointmentDate = new Date(appointment.appointment_date).toLocaleDateString('fr-FR');
+      const appointmentTime = String(appointment.appointment_time).substring(0, 5);
+
+      await client.query(`
+        INSERT INTO notifications (user_id, type, title, message, related_appointment_id)
+        VALUES ($1, 'reminder', 'Rappel de rendez-vous', $2, $3)
+      `, [
+        appointment.patient_id,
+        appointment.dependent_name
+          ? `Rappel : ${appointment.dependent_name} a rendez-vous avec ${doctorName} le ${appointmentDate} à ${appointmentTime}.`
+          : `Rappel : vous avez rendez-vous avec ${doctorName} le ${appointmentDate} à ${appointmentTime}.`,
+        appointment.id
+      ]);
+
+      if (EMAIL_ENABLED) {
+        await enqueueEmail(client, {
+          userId: appointment.patient_id,
+          template: 'appointment_reminder',
+          data: {
+            doctorName,
+            appointmentDate: appointment.appointment_date,
+            appointmentTime: appointment.appointment_time,
+            consultationMode: appointment.consultation_mode,
+            practiceAddress: appointment.practice_address,
+            dependentName: appointment.dependent_name
+          },
+          relatedAppointmentId: appointment.id
+        });
+      }
+    }
+
+    return { sent: appointmentsResult.rows.length };
+  });
+};
+
+// Drop reminder emails still waiting in the outbox for an appointment that was
+// cancelled or moved (call inside the transaction making that change)
+const cancelPendingReminders = async (db, appointmentId) => {
+  await db.query(`
+    UPDATE email_outbox
+    SET status = 'cancelled'
+    WHERE related_appointment_id = $1
+      AND template = 'appointment_reminder'
+      AND status = 'pending'
+  `, [appointmentId]);
+};
+
+module.exports = {
+  REMINDER_OFFSETS,
+  sendDueReminders,
+  cancelPendingReminders
+};
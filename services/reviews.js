@@ -0,0 +1,28 @@
+// Recompute doctors.rating and review_count from visible reviews.
+// Call inside the transaction that changed a review: locking the doctor row
+// first makes the recount see reviews committed by concurrent transactions.
+const refreshDoctorRating = async (client, doctorId) => {
+  await client.query('SELECT id FROM doctors WHERE id = $1 FOR UPDATE', [doctorId]);
+
+  const result = await client.query(`
+    UPDATE doctors
+    SET rating = stats.average,
+        review_count = stats.total,
+        updated_at = CURRENT_TIMESTAMP
+    FROM (
+      SELECT
+        COALESCE(ROUND(AVG(rating)::numeric, 2), 0) as average,
+        COUNT(*) as total
+      FROM reviews
+      WHERE doctor_id = $1 AND is_hidden = false
+    ) stats
+    WHERE doctors.id = $1
+    RETURNING doctors.rating, doctors.review_count
+  `, [doctorId]);
+
+  return result.rows[0];
+};
+
+module.exports = {
+  refreshDoctorRating
+};
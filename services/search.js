@@ -0,0 +1,15 @@
+// Escape HTML in a SQL text expression. ts_headline() returns its input with
+// the highlight tags added, so the input must be escaped first or profile text
+// would reach clients as markup.
+const escapeHtmlSql = (expression) =>
+  `replace(replace(replace(replace(replace(${expression}, '&', '&amp;'), '<', '&lt;'), '>', '&gt;'), '"', '&quot;'), '''', '&#39;')`;
+
+// SQL for a search snippet: the escaped text with the matches in <mark> tags,
+// safe to render as HTML
+const highlightSql = (expression, tsQuery, options = '') =>
+  `ts_headline('fr_unaccent', ${escapeHtmlSql(expression)}, ${tsQuery}, 'StartSel=<mark>, StopSel=</mark>${options ? `, ${options}` : ''}')`;
+
+module.exports = {
+  escapeHtmlSql,
+  highlightSql
+};
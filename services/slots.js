@@ -0,0 +1,133 @@
+const DEFAULT_WEEKS_AHEAD = parseInt(process.env.SLOT_GENERATION_WEEKS) || 4;
+
+// Materialize doctor_time_slots from weekly availability windows plus 'extra'
+// schedule exceptions, skipping anything covered by an 'unavailable' exception.
+// Pass doctorId to limit generation to one doctor, or omit it to run for every
+// verified, available doctor. Existing slots are left untouched thanks to the
+// UNIQUE(doctor_id, slot_date, slot_time) constraint, so this is safe to re-run.
+const generateSlots = async (db, { doctorId = null, weeks = DEFAULT_WEEKS_AHEAD } = {}) => {
+  const result = await db.query(`
+    WITH days AS (
+      SELECT day::date AS day
+      FROM generate_series(
+        CURRENT_DATE::timestamp,
+        (CURRENT_DATE + $2::integer * 7 - 1)::timestamp,
+        INTERVAL '1 day'
+      ) AS day
+    ),
+    windows AS (
+      SELECT da.doctor_id, days.day, da.start_time, da.end_time,
+             da.slot_duration_minutes, da.consultation_mode
+      FROM doctor_availability da
+      JOIN days ON EXTRACT(DOW FROM days.day) = da.day_of_week
+      WHERE da.is_available = true
+      UNION ALL
+      SELECT ex.doctor_id, days.day, ex.start_time, ex.end_time,
+             ex.slot_duration_minutes, ex.consultation_mode
+      FROM doctor_schedule_exceptions ex
+      JOIN days ON days.day BETWEEN ex.start_date AND ex.end_date
+      WHERE ex.exception_type = 'extra'
+    )
+    INSERT INTO doctor_time_slots (doctor_id, slot_date, slot_time, duration_minutes, consultation_mode)
+    SELECT
+      w.doctor_id,
+      w.day,
+      slot_start::time,
+      w.slot_duration_minutes,
+      -- A window without an explicit mode inherits the doctor's only mode, or stays open to both
+      COALESCE(
+        w.consultation_mode,
+        CASE WHEN array_length(d.consultation_modes, 1) = 1 THEN d.consultation_modes[1] END
+      )
+    FROM windows w
+    JOIN doctors d ON w.doctor_id = d.id
+    CROSS JOIN LATERAL generate_series(
+      w.day + w.start_time,
+      w.day + w.end_time - make_interval(mins => w.slot_duration_minutes),
+      make_interval(mins => w.slot_duration_minutes)
+    ) AS slot_start
+    WHERE ($1::integer IS NULL OR w.doctor_id = $1)
+      AND d.is_available = true
+      AND d.is_verified = true
+      AND slot_start > LOCALTIMESTAMP
+      AND NOT EXISTS (
+        SELECT 1
+        FROM doctor_schedule_exceptions time_off
+        WHERE time_off.doctor_id = w.doctor_id
+          AND time_off.exception_type = 'unavailable'
+          AND w.day BETWEEN time_off.start_date AND time_off.end_date
+          AND (
+            time_off.start_time IS NULL OR (
+              slot_start::time < time_off.end_time AND
+              (slot_start + make_interval(mins => w.slot_duration_minutes))::time > time_off.start_time
+            )
+          )
+      )
+    ON CONFLICT (doctor_id, slot_date, slot_time) DO NOTHING
+  `, [doctorId, weeks]);
+
+  return result.rowCount;
+};
+
+// Remove future slots that were never booked nor referenced by an appointment,
+// so a schedule change can be regenerated cleanly. Booked slots are never touched.
+const pruneOpenSlots = async (db, doctorId) => {
+  const result = await db.query(`
+    DELETE FROM doctor_time_slots s
+    WHERE s.doctor_id = $1
+      AND s.is_booked = false
+      AND (s.slot_date + s.slot_time) > LOCALTIMESTAMP
+      AND NOT EXISTS (SELECT 1 FROM appointments a WHERE a.slot_id = s.id)
+  `, [doctorId]);
+
+  return result.rowCount;
+};
+
+// Apply an 'unavailable' exception: drop the open slots it covers and return
+// the active appointments it overlaps so their patients can be notified
+const applyTimeOff = async (db, exception) => {
+  const params = [
+    exception.doctor_id,
+    exception.start_date,
+    exception.end_date,
+    exception.start_time,
+    exception.end_time
+  ];
+
+  const removed = await db.query(`
+    DELETE FROM doctor_time_slots s
+    WHERE s.doctor_id = $1
+      AND s.is_booked = false
+      AND s.slot_date BETWEEN $2 AND $3
+      AND ($4::time IS NULL OR (
+        s.slot_time < $5::time AND
+        s.slot_time + make_interval(mins => s.duration_minutes) > $4::time
+      ))
+      AND NOT EXISTS (SELECT 1 FROM appointments a WHERE a.slot_id = s.id)
+  `, params);
+
+  const affected = await db.query(`
+    SELECT a.id, a.patient_id, a.appointment_date, a.appointment_time
+    FROM appointments a
+    WHERE a.doctor_id = $1
+      AND a.status IN ('scheduled', 'confirmed')
+      AND a.appointment_date BETWEEN $2 AND $3
+      AND ($4::time IS NULL OR (
+        a.appointment_time < $5::time AND
+        a.appointment_time + make_interval(mins => a.duration_minutes) > $4::time
+      ))
+    ORDER BY a.appointment_date, a.appointment_time
+  `, params);
+
+  return {
+    removedSlots: removed.rowCount,
+    affectedAppointments: affected.rows
+  };
+};
+
+module.exports = {
+  DEFAULT_WEEKS_AHEAD,
+  generateSlots,
+  pruneOpenSlots,
+  applyTimeOff
+};
@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.JWT_REFRESH_TTL_DAYS) || 30;
+
+// Refresh tokens are opaque; only their SHA-256 is stored server-side
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Sign a short-lived access token for a user row. `mfa` records that the
+// session was opened with a second factor.
+const signAccessToken = (user, { mfa = false } = {}) => {
+  return jwt.sign(
+    { id: user.id, role: user.role, mfa },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+};
+
+// Store a new refresh token, starting a new family unless one is given
+const createRefreshToken = async (db, userId, { familyId, userAgent, ipAddress, mfa = false } = {}) => {
+  const token = crypto.randomBytes(48).toString('hex');
+
+  const result = await db.query(`
+    INSERT INTO refresh_tokens (user_id, token_hash, family_id, expires_at, user_agent, ip_address, mfa)
+    VALUES ($1, $2, $3, CURRENT_TIMESTAMP + ($4 || ' days')::INTERVAL, $5, $6, $7)
+    RETURNING id, expires_at
+  `, [
+    userId,
+    hashToken(token),
+    familyId || uuidv4(),
+    REFRESH_TOKEN_TTL_DAYS,
+    userAgent ? userAgent.substring(0, 255) : null,
+    ipAddress || null,
+    mfa
+  ]);
+
+  return {
+    id: result.rows[0].id,
+    token,
+    expiresAt: result.rows[0].expires_at
+  };
+};
+
+// Issue an access/refresh token pair for a freshly authenticated user
+// (context: userAgent, ipAddress, mfa)
+const issueTokens = async (db, user, context = {}) => {
+  const refreshToken = await createRefreshToken(db, user.id, context);
+
+  return {
+    accessToken: signAccessToken(user, { mfa: context.mfa }),
+    refreshToken: refreshToken.token,
+    refreshTokenExpiresAt: refreshToken.expiresAt,
+    tokenType: 'Bearer',
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  };
+};
+
+// Revoke every live token of a session family
+const revokeFamily = async (db, familyId) => {
+  await db.query(`
+    UPDATE refresh_tokens
+    SET revoked_at = CURRENT_TIMESTAMP
+    WHERE family_id = $1 AND revoked_at IS NULL
+  `, [familyId]);
+};
+
+// Revoke every live session of a user (password change, deactivation)
+const revokeAllForUser = async (db, userId) => {
+  await db.query(`
+    UPDATE refresh_tokens
+    SET revoked_at = CURRENT_TIMESTAMP
+    WHERE user_id = $1 AND revoked_at IS NULL
+  `, [userId]);
+};
+
+// Look up and lock a refresh token by its raw value (call inside a transaction)
+const findRefreshToken = async (db, token) => {
+  const result = await db.query(`
+    SELECT rt.*, u.email, u.role, u.is_active, u.email_verified_at, u.two_factor_enabled_at
+    FROM refresh_tokens rt
+    JOIN users u ON rt.user_id = u.id
+    WHERE rt.token_hash = $1
+    FOR UPDATE OF rt
+  `, [hashToken(token)]);
+
+  return result.rows[0] || null;
+};
+
+module.exports = {
+  hashToken,
+  signAccessToken,
+  createRefreshToken,
+  issueTokens,
+  revokeFamily,
+  revokeAllForUser,
+  findRefreshToken
+};
@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords, as read by authenticator apps
+// (SHA-1, 6 digits, 30-second steps)
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Steps accepted on either side of the current one, for clock drift
+const WINDOW = 1;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.replace(/=+$/, '').replace(/\s+/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// New shared secret (160 bits, the size RFC 4226 recommends), base32-encoded
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// RFC 4226 HOTP value for a counter
+const hotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const digest = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+// Check a code against the steps around now. Returns the matching step, or
+// null. Steps at or before `afterStep` are refused so a code cannot be replayed.
+const verifyCode = (secret, code, { afterStep = null, now = Date.now() } = {}) => {
+  if (typeof code !== 'string' || !/^\d+$/.test(code) || code.length !== DIGITS) {
+    return null;
+  }
+
+  const step = currentStep(now);
+
+  for (let candidate = step - WINDOW; candidate <= step + WINDOW; candidate++) {
+    if (afterStep !== null && candidate <= afterStep) {
+      continue;
+    }
+
+    const expected = hotp(secret, candidate);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return candidate;
+    }
+  }
+
+  return null;
+};
+
+// otpauth:// URI that authenticator apps import, usually shown as a QR code
+const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+  const params = {
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: DIGITS,
+    period: STEP_SECONDS
+  };
+
+  // encodeURIComponent rather than URLSearchParams: some apps show "+" for spaces
+  const queryString = Object.entries(params)
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+    .join('&');
+
+  return `otpauth://totp/${label}?${queryString}`;
+};
+
+module.exports = {
+  STEP_SECONDS,
+  DIGITS,
+  generateSecret,
+  hotp,
+  verifyCode,
+  buildOtpauthUri
+};
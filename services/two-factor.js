@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { hashToken } = require('./tokens');
+const { verifyCode } = require('./totp');
+
+// Roles that can read patient data must sign in with a second factor.
+// TWO_FACTOR_ENFORCED=false turns the requirement off (local development).
+const TWO_FACTOR_ROLES = ['doctor', 'admin'];
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_EXPIRES_IN = process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m';
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Consultation Médicale';
+
+const isTwoFactorRequired = (user) =>
+  TWO_FACTOR_ROLES.includes(user.role) && process.env.TWO_FACTOR_ENFORCED !== 'false';
+
+// TOTP secrets are stored encrypted (AES-256-GCM) so a database dump alone
+// cannot generate codes
+const encryptionKey = () =>
+  crypto.createHash('sha256').update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET).digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64')).join(':');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split(':').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// Recovery codes are shown once as "xxxxx-xxxxx"; only their SHA-256 is kept
+const normalizeRecoveryCode = (code) => code.replace(/[\s-]/g, '').toLowerCase();
+
+// Replace every recovery code of a user. Returns the new codes in clear.
+const replaceRecoveryCodes = async (db, userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await db.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+
+  await db.query(`
+    INSERT INTO two_factor_recovery_codes (user_id, code_hash)
+    SELECT $1, UNNEST($2::varchar[])
+  `, [userId, codes.map((code) => hashToken(normalizeRecoveryCode(code)))]);
+
+  return codes;
+};
+
+const countRecoveryCodes = async (db, userId) => {
+  const result = await db.query(
+    'SELECT COUNT(*) as total FROM two_factor_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+    [userId]
+  );
+  return parseInt(result.rows[0].total);
+};
+
+// Check a TOTP code, or spend a recovery code, for a user with 2FA enabled
+// (call inside a transaction). Set `pending` to check the code against a secret
+// that is being enrolled. Returns { method, remainingRecoveryCodes } or null.
+const verifySecondFactor = async (client, userId, { code, recoveryCode, pending = false }) => {
+  const userResult = await client.query(`
+    SELECT two_factor_secret, two_factor_enabled_at, two_factor_last_step
+    FROM users
+    WHERE id = $1
+    FOR UPDATE
+  `, [userId]);
+
+  const user = userResult.rows[0];
+  if (!user || !user.two_factor_secret || Boolean(user.two_factor_enabled_at) === pending) {
+    return null;
+  }
+
+  if (code) {
+    const step = verifyCode(decryptSecret(user.two_factor_secret), code, {
+      afterStep: user.two_factor_last_step === null ? null : parseInt(user.two_factor_last_step)
+    });
+
+    if (step === null) {
+      return null;
+    }
+
+    // Remember the step so the same code cannot be replayed
+    await client.query('UPDATE users SET two_factor_last_step = $2 WHERE id = $1', [userId, step]);
+
+    return { method: 'totp' };
+  }
+
+  if (recoveryCode && !pending) {
+    const codeResult = await client.query(`
+      UPDATE two_factor_recovery_codes
+      SET used_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+      RETURNING id
+    `, [userId, hashToken(normalizeRecoveryCode(recoveryCode))]);
+
+    if (codeResult.rows.length === 0) {
+      return null;
+    }
+
+    return {
+      method: 'recovery_code',
+      remainingRecoveryCodes: await countRecoveryCodes(client, userId)
+    };
+  }
+
+  return null;
+};
+
+// Remove a user's second factor (self-service disable or admin reset)
+const clearTwoFactor = async (db, userId) => {
+  await db.query(`
+    UPDATE users
+    SET two_factor_secret = NULL, two_factor_enabled_at = NULL, two_factor_last_step = NULL,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+  `, [userId]);
+
+  await db.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+};
+
+// Login challenges prove the password was checked and are exchanged for tokens
+// once the second factor is given. They are signed with a derived key so they
+// can never be used as access tokens.
+const challengeSecret = () => `${process.env.JWT_SECRET}:two-factor-challenge`;
+
+const signChallengeToken = (user) =>
+  jwt.sign({ id: user.id }, challengeSecret(), { expiresIn: CHALLENGE_EXPIRES_IN });
+
+// Returns the user id of a valid challenge, or null
+const verifyChallengeToken = (token) => {
+  try {
+    return jwt.verify(token, challengeSecret()).id;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  TWO_FACTOR_ROLES,
+  CHALLENGE_EXPIRES_IN,
+  ISSUER,
+  isTwoFactorRequired,
+  encryptSecret,
+  decryptSecret,
+  replaceRecoveryCodes,
+  countRecoveryCodes,
+  verifySecondFactor,
+  clearTwoFactor,
+  signChallengeToken,
+  verifyChallengeToken
+};
@@ -0,0 +1,80 @@
+const { v4: uuidv4 } = require('uuid');
+const jitsiProvider = require('./jitsi-provider');
+const localProvider = require('./local-provider');
+
+// Every provider implements:
+//   createRoom({ roomName }) -> { roomName, url }
+//   createJoinUrl({ roomName, participant, expiresAt }) -> url for one participant
+const providers = {
+  [jitsiProvider.name]: jitsiProvider,
+  [localProvider.name]: localProvider
+};
+
+// Participants can get the link from JOIN_BEFORE minutes before the start
+// until JOIN_AFTER minutes after the scheduled end
+const JOIN_BEFORE_MINUTES = parseInt(process.env.VIDEO_JOIN_BEFORE_MINUTES) || 15;
+const JOIN_AFTER_MINUTES = parseInt(process.env.VIDEO_JOIN_AFTER_MINUTES) || 30;
+
+// Join window bounds of an appointment aliased `a`, for SELECT lists
+const joinWindowColumns = `
+  (a.appointment_date + a.appointment_time) - make_interval(mins => ${JOIN_BEFORE_MINUTES}) as join_opens_at,
+  (a.appointment_date + a.appointment_time) + make_interval(mins => a.duration_minutes + ${JOIN_AFTER_MINUTES}) as join_closes_at,
+  LOCALTIMESTAMP BETWEEN
+    (a.appointment_date + a.appointment_time) - make_interval(mins => ${JOIN_BEFORE_MINUTES})
+    AND (a.appointment_date + a.appointment_time) + make_interval(mins => a.duration_minutes + ${JOIN_AFTER_MINUTES})
+    as join_window_open
+`;
+
+// Production has to name its provider; elsewhere the local one is the default
+const configuredProviderName = () => {
+  const name = process.env.VIDEO_PROVIDER ||
+    (process.env.NODE_ENV !== 'production' ? localProvider.name : null);
+
+  if (!name) {
+    throw new Error('VIDEO_PROVIDER is not configured');
+  }
+  return name;
+};
+
+const getProvider = (name = configuredProviderName()) => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown video provider: ${name}`);
+  }
+  return provider;
+};
+
+// Create the room of an ONLINE appointment if it does not have one yet
+// (call inside the transaction that confirms it)
+const ensureMeetingRoom = async (client, appointment) => {
+  if (appointment.consultation_mode !== 'ONLINE' || appointment.meeting_link) {
+    return null;
+  }
+
+  const provider = getProvider();
+  const room = await provider.createRoom({ roomName: `consultation-${uuidv4()}` });
+
+  await client.query(`
+    UPDATE appointments
+    SET meeting_link = $2, video_provider = $3, video_room = $4, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+  `, [appointment.id, room.url, provider.name, room.roomName]);
+
+  return room;
+};
+
+// Personal join URL, valid until the join window closes
+const createJoinUrl = (appointment, participant) => getProvider(appointment.video_provider).createJoinUrl({
+  roomName: appointment.video_room,
+  participant,
+  expiresAt: new Date(appointment.join_closes_at)
+});
+
+module.exports = {
+  JOIN_BEFORE_MINUTES,
+  JOIN_AFTER_MINUTES,
+  joinWindowColumns,
+  getProvider,
+  ensureMeetingRoom,
+  createJoinUrl
+};
@@ -0,0 +1,43 @@
+const jwt = require('jsonwebtoken');
+
+// Jitsi Meet rooms. With JITSI_APP_ID/JITSI_APP_SECRET set (self-hosted Jitsi
+// with token authentication) every join URL carries a short-lived room token;
+// without them rooms are only protected by their unguessable name.
+const domain = () => process.env.JITSI_DOMAIN || 'meet.jit.si';
+
+const createRoom = async ({ roomName }) => ({
+  roomName,
+  url: `https://${domain()}/${roomName}`
+});
+
+const createJoinUrl = ({ roomName, participant, expiresAt }) => {
+  const url = `https://${domain()}/${roomName}`;
+
+  if (!process.env.JITSI_APP_ID || !process.env.JITSI_APP_SECRET) {
+    return url;
+  }
+
+  const token = jwt.sign({
+    aud: 'jitsi',
+    iss: process.env.JITSI_APP_ID,
+    sub: domain(),
+    room: roomName,
+    exp: Math.floor(expiresAt.getTime() / 1000),
+    context: {
+      user: {
+        id: String(participant.userId),
+        name: participant.name,
+        email: participant.email,
+        moderator: participant.moderator
+      }
+    }
+  }, process.env.JITSI_APP_SECRET, { algorithm: 'HS256' });
+
+  return `${url}?jwt=${token}`;
+};
+
+module.exports = {
+  name: 'jitsi',
+  createRoom,
+  createJoinUrl
+};
@@ -0,0 +1,15 @@
+// No-op provider for tests and local development: rooms are never created
+// anywhere, links only identify the room and the participant.
+const createRoom = async ({ roomName }) => ({
+  roomName,
+  url: `local://rooms/${roomName}`
+});
+
+const createJoinUrl = ({ roomName, participant }) =>
+  `local://rooms/${roomName}?user=${participant.userId}`;
+
+module.exports = {
+  name: 'local',
+  createRoom,
+  createJoinUrl
+};
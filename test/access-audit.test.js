@@ -0,0 +1,156 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeDatabase } = require('./helpers/fake-database');
+
+useFakeDatabase({
+  transaction: () => {
+    throw new Error('Appends go through the client passed in');
+  }
+});
+
+const { recordAccess, verifyChain } = require('../services/access-audit');
+
+// JSONB gives keys back in its own order, not the inserted one
+const reverseKeys = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(reverseKeys);
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).reverse().reduce((reordered, key) => {
+      reordered[key] = reverseKeys(value[key]);
+      return reordered;
+    }, {});
+  }
+  return value;
+};
+
+// In-memory access_audit_log answering the queries of services/access-audit.js
+const auditTable = () => {
+  const rows = [];
+
+  return {
+    rows,
+    query: async (text, params) => {
+      if (text.includes('pg_advisory_xact_lock')) {
+        return { rows: [] };
+      }
+      if (text.includes('ORDER BY id DESC LIMIT 1')) {
+        return { rows: rows.length > 0 ? [{ hash: rows[rows.length - 1].hash }] : [] };
+      }
+      if (text.includes('INSERT INTO access_audit_log')) {
+        const [patientId, actorId, actorRole, action, resourceType, resourceId, changes, ipAddress, requestId, createdAt, previousHash, hash] = params;
+        rows.push({
+          id: rows.length + 1,
+          patient_id: patientId,
+          actor_id: actorId,
+          actor_role: actorRole,
+          action,
+          resource_type: resourceType,
+          resource_id: resourceId,
+          changes: changes ? reverseKeys(JSON.parse(changes)) : null,
+          ip_address: ipAddress,
+          request_id: requestId,
+          created_at: new Date(createdAt),
+          previous_hash: previousHash,
+          hash
+        });
+        return { rows: [] };
+      }
+      if (text.includes('WHERE id > $1')) {
+        const [lastId, batchSize] = params;
+        return { rows: rows.filter(row => row.id > lastId).slice(0, batchSize) };
+      }
+      throw new Error(`Unexpected query: ${text}`);
+    }
+  };
+};
+
+const request = { user: { id: 7, role: 'doctor' }, ip: '203.0.113.5', id: 'req-1' };
+
+const appendEntries = async (table, count) => {
+  for (let index = 1; index <= count; index++) {
+    await recordAccess(request, {
+      patientId: 3,
+      action: 'medical_record.amend',
+      resourceType: 'medical_record',
+      resourceId: index,
+      changes: {
+        version: { before: index, after: index + 1 },
+        amendedFields: ['diagnosis', 'treatmentPlan']
+      }
+    }, table);
+  }
+};
+
+test('a chain of appended entries verifies, with JSONB key order ignored', async () => {
+  const table = auditTable();
+  await appendEntries(table, 5);
+
+  assert.equal(table.rows[0].previous_hash, '0'.repeat(64));
+  assert.equal(table.rows[3].previous_hash, table.rows[2].hash);
+  assert.deepEqual(Object.keys(table.rows[0].changes), ['amendedFields', 'version']);
+  assert.deepEqual(await verifyChain(table), { valid: true, checked: 5, brokenAtId: null });
+});
+
+test('verifies across several batches', async () => {
+  const table = auditTable();
+  await appendEntries(table, 5);
+
+  assert.deepEqual(await verifyChain(table, { batchSize: 2 }), { valid: true, checked: 5, brokenAtId: null });
+});
+
+test('an edited change is caught at its entry', async () => {
+  const table = auditTable();
+  await appendEntries(table, 5);
+
+  table.rows[2].changes.version.after = 99;
+
+  assert.deepEqual(await verifyChain(table), { valid: false, checked: 2, brokenAtId: 3 });
+});
+
+test('an added change field is caught at its entry', async () => {
+  const table = auditTable();
+  await appendEntries(table, 3);
+
+  table.rows[1].changes = { ...table.rows[1].changes, status: { before: 'confirmed', after: 'cancelled' } };
+
+  assert.deepEqual(await verifyChain(table), { valid: false, checked: 1, brokenAtId: 2 });
+});
+
+test('a rewritten previous_hash is caught at its entry', async () => {
+  const table = auditTable();
+  await appendEntries(table, 4);
+
+  table.rows[3].previous_hash = 'f'.repeat(64);
+
+  assert.deepEqual(await verifyChain(table), { valid: false, checked: 3, brokenAtId: 4 });
+});
+
+test('a deleted entry breaks the link of the next one', async () => {
+  const table = auditTable();
+  await appendEntries(table, 4);
+
+  table.rows.splice(1, 1);
+
+  assert.deepEqual(await verifyChain(table), { valid: false, checked: 1, brokenAtId: 3 });
+});
+
+test('an entry re-hashed after an edit still breaks the next link', async () => {
+  const table = auditTable();
+  await appendEntries(table, 3);
+
+  // Recompute the edited entry's hash the way an attacker with database access would
+  table.rows[0].actor_id = 8;
+  const forged = auditTable();
+  await recordAccess({ ...request, user: { id: 8, role: 'doctor' } }, {
+    patientId: 3,
+    action: 'medical_record.amend',
+    resourceType: 'medical_record',
+    resourceId: 1,
+    changes: { version: { before: 1, after: 2 }, amendedFields: ['diagnosis', 'treatmentPlan'] }
+  }, forged);
+  table.rows[0].created_at = forged.rows[0].created_at;
+  table.rows[0].hash = forged.rows[0].hash;
+
+  assert.deepEqual(await verifyChain(table), { valid: false, checked: 1, brokenAtId: 2 });
+});
@@ -0,0 +1,136 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { useFakeDatabase, fakeClient } = require('./helpers/fake-database');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const patient = {
+  id: 5,
+  email: 'alice@example.com',
+  first_name: 'Alice',
+  last_name: 'Martin',
+  role: 'patient',
+  is_active: true,
+  password_changed_at: null,
+  two_factor_enabled_at: null
+};
+
+let transactionClient;
+useFakeDatabase({
+  query: async () => ({ rows: [patient] }),
+  transaction: (callback) => callback(transactionClient)
+});
+
+const { PLATFORM_POLICY, getPolicy, getAppointmentPolicy, assess } = require('../services/cancellation-policy');
+const router = require('../routes/routes-appointments');
+
+const policy = { freeCancellationHours: 24, lateCancellationFeePercent: 50, noShowFeePercent: 100, source: 'doctor' };
+const doctorPolicyRow = { doctor_id: 2, free_cancellation_hours: 48, late_cancellation_fee_percent: 30, no_show_fee_percent: 80 };
+
+test('patients cancelling within the free window pay nothing', () => {
+  assert.deepEqual(
+    assess(policy, { event: 'cancellation', consultationFee: '60.00', hoursBeforeStart: 30, cancelledBy: 'patient' }),
+    { reason: 'free_cancellation', feePercent: 0, feeAmount: 0, refundAmount: 60 }
+  );
+});
+
+test('late patient cancellations cost the late fee percent, rounded to the cent', () => {
+  assert.deepEqual(
+    assess(policy, { event: 'cancellation', consultationFee: '60.00', hoursBeforeStart: 23.5, cancelledBy: 'patient' }),
+    { reason: 'late_cancellation', feePercent: 50, feeAmount: 30, refundAmount: 30 }
+  );
+
+  const fee = assess({ ...policy, lateCancellationFeePercent: 33 }, {
+    event: 'cancellation', consultationFee: '45.50', hoursBeforeStart: 2, cancelledBy: 'patient'
+  });
+  assert.equal(fee.feeAmount, 15.02);
+  assert.equal(fee.refundAmount, 30.48);
+});
+
+test('no-shows cost the no-show percent whenever they happen', () => {
+  assert.deepEqual(
+    assess(policy, { event: 'no_show', consultationFee: '60.00' }),
+    { reason: 'no_show', feePercent: 100, feeAmount: 60, refundAmount: 0 }
+  );
+});
+
+test('doctors and admins cancelling never cost the patient anything', () => {
+  for (const cancelledBy of ['doctor', 'admin']) {
+    assert.deepEqual(
+      assess(policy, { event: 'cancellation', consultationFee: '60.00', hoursBeforeStart: 1, cancelledBy }),
+      { reason: 'cancelled_by_provider', feePercent: 0, feeAmount: 0, refundAmount: 60 }
+    );
+  }
+});
+
+test('doctors without their own policy get the platform policy', async () => {
+  const client = fakeClient();
+
+  assert.deepEqual(await getPolicy(client, 2), PLATFORM_POLICY);
+  assert.deepEqual(client.calls[0].params, [2]);
+});
+
+test('a doctor policy overrides the platform policy', async () => {
+  const client = fakeClient([['FROM doctor_cancellation_policies', { rows: [doctorPolicyRow] }]]);
+
+  assert.deepEqual(await getPolicy(client, 2), {
+    freeCancellationHours: 48, lateCancellationFeePercent: 30, noShowFeePercent: 80, source: 'doctor'
+  });
+});
+
+test('appointments are assessed against the policy they were booked under', async () => {
+  const client = fakeClient([['FROM doctor_cancellation_policies', { rows: [doctorPolicyRow] }]]);
+
+  assert.deepEqual(await getAppointmentPolicy(client, { doctor_id: 2, cancellation_policy: policy }), policy);
+  assert.equal(client.calls.length, 0);
+
+  // Booked before terms were recorded
+  const current = await getAppointmentPolicy(client, { doctor_id: 2, cancellation_policy: null });
+  assert.equal(current.freeCancellationHours, 48);
+});
+
+test('booking stores the doctor policy in effect on the appointment', async () => {
+  transactionClient = fakeClient([
+    ['FROM doctors d', {
+      rows: [{ id: 2, user_id: 7, first_name: 'Paul', last_name: 'Durand', consultation_modes: ['ONLINE'], consultation_fee: '0.00' }]
+    }],
+    ['UPDATE doctor_time_slots', { rows: [{ id: 31, duration_minutes: 30 }] }],
+    ['FROM doctor_cancellation_policies', { rows: [doctorPolicyRow] }],
+    ['INSERT INTO appointments', (params) => ({
+      rows: [{
+        id: 9, appointment_date: params[4], appointment_time: params[5], consultation_mode: params[7],
+        consultation_fee: params[9], cancellation_policy: JSON.parse(params[10]), status: 'scheduled'
+      }]
+    })]
+  ]);
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/appointments', router);
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+
+  let response;
+  try {
+    response = await fetch(`http://127.0.0.1:${server.address().port}/api/appointments`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${jwt.sign({ id: patient.id }, process.env.JWT_SECRET)}`
+      },
+      body: JSON.stringify({ doctorId: 2, appointmentDate: '2099-03-02', appointmentTime: '09:30', consultationMode: 'ONLINE' })
+    });
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+  const body = await response.json();
+
+  assert.equal(response.status, 201);
+  const insert = transactionClient.calls.find(call => call.text.includes('INSERT INTO appointments'));
+  assert.deepEqual(JSON.parse(insert.params[10]), {
+    freeCancellationHours: 48, lateCancellationFeePercent: 30, noShowFeePercent: 80, source: 'doctor'
+  });
+  assert.deepEqual(body.data.cancellationPolicy, JSON.parse(insert.params[10]));
+});
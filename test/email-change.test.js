@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { useFakeDatabase, fakeClient } = require('./helpers/fake-database');
+
+let transactionClient;
+useFakeDatabase({
+  query: async () => ({ rows: [] }),
+  transaction: (callback) => callback(transactionClient)
+});
+
+const router = require('../routes/routes-auth');
+
+const token = 'a'.repeat(64);
+
+const confirm = async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', router);
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/api/auth/email-change/confirm`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token })
+    });
+    return { status: response.status, body: await response.json() };
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+};
+
+test('confirming an email change ends every session and warns the previous address', async () => {
+  transactionClient = fakeClient([
+    ['UPDATE account_tokens', { rows: [{ user_id: 5, purpose: 'email_change', email: 'alice@new.example.com' }] }],
+    ['SELECT email FROM users', { rows: [{ email: 'alice@old.example.com' }] }],
+    ['FROM users WHERE id', { rows: [{ email: 'alice@new.example.com', first_name: 'Alice', preferred_language: 'fr' }] }],
+    ['INSERT INTO email_outbox', { rows: [{ id: 1 }] }]
+  ]);
+
+  const { status, body } = await confirm();
+
+  assert.equal(status, 200);
+  assert.equal(body.data.email, 'alice@new.example.com');
+
+  const revoke = transactionClient.calls.find(call => call.text.includes('UPDATE refresh_tokens'));
+  assert.ok(revoke, 'refresh tokens are revoked');
+  assert.match(revoke.text, /WHERE user_id = \$1 AND revoked_at IS NULL/);
+  assert.deepEqual(revoke.params, [5]);
+
+  const notice = transactionClient.calls.find(call => call.text.includes('INSERT INTO email_outbox'));
+  assert.deepEqual(notice.params.slice(0, 3), [5, 'alice@old.example.com', 'email_changed']);
+  assert.match(notice.params[6], /alice@new\.example\.com/);
+});
+
+test('an invalid link changes nothing', async () => {
+  transactionClient = fakeClient();
+
+  const { status, body } = await confirm();
+
+  assert.equal(status, 400);
+  assert.match(body.message, /Invalid or expired/);
+  assert.equal(transactionClient.calls.length, 1);
+});
@@ -0,0 +1,34 @@
+const databasePath = require.resolve('../../config/database');
+
+// Serve `config/database` from memory so modules can be required without a
+// PostgreSQL server. Call before requiring the module under test (drop it from
+// require.cache first when it was loaded by an earlier test).
+const useFakeDatabase = (exports) => {
+  require.cache[databasePath] = {
+    id: databasePath,
+    filename: databasePath,
+    loaded: true,
+    exports
+  };
+};
+
+// Client whose query() answers with the first handler whose pattern occurs in
+// the SQL text, and records every call
+const fakeClient = (handlers = []) => {
+  const calls = [];
+  return {
+    calls,
+    query: async (text, params) => {
+      calls.push({ text, params });
+      const handler = handlers.find(([pattern]) => text.includes(pattern));
+      const result = handler ? handler[1] : { rows: [] };
+      const value = typeof result === 'function' ? result(params, text) : result;
+      return { rowCount: value.rows ? value.rows.length : 0, ...value };
+    }
+  };
+};
+
+module.exports = {
+  useFakeDatabase,
+  fakeClient
+};
@@ -0,0 +1,263 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+
+const databasePath = require.resolve('../config/database');
+const mailerPath = require.resolve('../services/mailer');
+
+const EMAIL_ENV = [
+  'EMAIL_TRANSPORT', 'EMAIL_HOST', 'EMAIL_PORT', 'EMAIL_SECURE', 'EMAIL_USER', 'EMAIL_PASS', 'EMAIL_FROM', 'EMAIL_MAX_ATTEMPTS'
+];
+let savedEnv;
+
+beforeEach(() => {
+  savedEnv = {};
+  EMAIL_ENV.forEach((name) => {
+    savedEnv[name] = process.env[name];
+    delete process.env[name];
+  });
+  process.env.EMAIL_FROM = 'Consultation Médicale <no-reply@example.com>';
+});
+
+afterEach(() => {
+  EMAIL_ENV.forEach((name) => {
+    if (savedEnv[name] === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = savedEnv[name];
+    }
+  });
+});
+
+// Fresh mailer (the transporter is cached per module) whose transactions run
+// against `client` instead of PostgreSQL
+const loadMailer = (client = null) => {
+  delete require.cache[mailerPath];
+  require.cache[databasePath] = {
+    id: databasePath,
+    filename: databasePath,
+    loaded: true,
+    exports: { transaction: (callback) => callback(client) }
+  };
+  return require('../services/mailer');
+};
+
+// Outbox client: serves `rows` as the due messages and records every update
+const outboxClient = (rows) => {
+  const updates = [];
+  return {
+    updates,
+    query: async (text, params) => {
+      if (text.includes('FROM email_outbox')) {
+        return { rows };
+      }
+      updates.push({ text, params });
+      return { rows: [], rowCount: 1 };
+    }
+  };
+};
+
+const outboxRow = (overrides = {}) => ({
+  id: 1,
+  to_email: 'patient@example.com',
+  subject: 'Rendez-vous enregistré',
+  text_body: 'Bonjour Alice,',
+  html_body: '<p>Bonjour Alice,</p>',
+  attempts: 0,
+  ...overrides
+});
+
+// Minimal SMTP server: accepts or rejects recipients and keeps what it receives
+const startSmtpStandIn = ({ rejectRecipients = false } = {}) => new Promise((resolve) => {
+  const messages = [];
+
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+    let data = '';
+
+    socket.write('220 localhost ESMTP stand-in\r\n');
+
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString();
+      let index;
+
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            messages.push(data);
+            data = '';
+            socket.write('250 2.0.0 Queued\r\n');
+          } else {
+            data += `${line}\n`;
+          }
+          continue;
+        }
+
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'EHLO' || command === 'HELO') {
+          socket.write('250 localhost\r\n');
+        } else if (command === 'MAIL') {
+          socket.write('250 2.1.0 OK\r\n');
+        } else if (command === 'RCPT') {
+          socket.write(rejectRecipients ? '550 5.1.1 Mailbox unavailable\r\n' : '250 2.1.5 OK\r\n');
+        } else if (command === 'DATA') {
+          inData = true;
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (command === 'QUIT') {
+          socket.end('221 2.0.0 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+  });
+
+  server.listen(0, '127.0.0.1', () => {
+    resolve({
+      port: server.address().port,
+      messages,
+      close: () => new Promise((done) => server.close(done))
+    });
+  });
+});
+
+test('uses the JSON transport only when EMAIL_TRANSPORT=json', () => {
+  process.env.EMAIL_TRANSPORT = 'json';
+  const { getTransporter } = loadMailer();
+
+  assert.equal(getTransporter().transporter.name, 'JSONTransport');
+});
+
+test('refuses to fall back to the JSON transport without an SMTP host', () => {
+  const { getTransporter } = loadMailer();
+
+  assert.throws(() => getTransporter(), /EMAIL_HOST is not configured/);
+});
+
+test('processOutbox fails the run without touching the outbox when SMTP is not configured', async () => {
+  const client = outboxClient([outboxRow()]);
+  const { processOutbox } = loadMailer(client);
+
+  await assert.rejects(processOutbox(), /EMAIL_HOST is not configured/);
+  assert.equal(client.updates.length, 0);
+});
+
+test('enqueueEmail renders the template in the recipient language', async () => {
+  const queries = [];
+  const db = {
+    query: async (text, params) => {
+      queries.push({ text, params });
+      if (text.includes('FROM users')) {
+        return { rows: [{ email: 'alice@example.com', first_name: 'Alice', preferred_language: 'en' }] };
+      }
+      return { rows: [{ id: 42 }] };
+    }
+  };
+  const { enqueueEmail } = loadMailer();
+
+  const id = await enqueueEmail(db, { userId: 7, template: 'password_changed' });
+
+  assert.equal(id, 42);
+  const [userId, toEmail, template, locale, subject, , textBody] = queries[1].params;
+  assert.equal(userId, 7);
+  assert.equal(toEmail, 'alice@example.com');
+  assert.equal(template, 'password_changed');
+  assert.equal(locale, 'en');
+  assert.equal(subject, 'Password changed');
+  assert.match(textBody, /Alice/);
+});
+
+test('enqueueEmail sends to toEmail when given', async () => {
+  const queries = [];
+  const db = {
+    query: async (text, params) => {
+      queries.push({ text, params });
+      if (text.includes('FROM users')) {
+        return { rows: [{ email: 'old@example.com', first_name: 'Alice', preferred_language: 'fr' }] };
+      }
+      return { rows: [{ id: 1 }] };
+    }
+  };
+  const { enqueueEmail } = loadMailer();
+
+  await enqueueEmail(db, { userId: 7, template: 'email_changed', toEmail: 'old@example.com', data: { newEmail: 'new@example.com' } });
+
+  assert.equal(queries[1].params[1], 'old@example.com');
+  assert.match(queries[1].params[6], /new@example\.com/);
+});
+
+test('processOutbox renders messages through the JSON transport and marks them sent', async () => {
+  process.env.EMAIL_TRANSPORT = 'json';
+  const client = outboxClient([outboxRow()]);
+  const { processOutbox } = loadMailer(client);
+
+  const stats = await processOutbox();
+
+  assert.deepEqual(stats, { sent: 1, retried: 0, failed: 0 });
+  assert.match(client.updates[0].text, /status = 'sent'/);
+  assert.deepEqual(client.updates[0].params, [1]);
+});
+
+test('processOutbox delivers through SMTP', async () => {
+  const smtp = await startSmtpStandIn();
+  process.env.EMAIL_HOST = '127.0.0.1';
+  process.env.EMAIL_PORT = String(smtp.port);
+  const client = outboxClient([outboxRow()]);
+  const { processOutbox, getTransporter } = loadMailer(client);
+
+  try {
+    const stats = await processOutbox();
+
+    assert.deepEqual(stats, { sent: 1, retried: 0, failed: 0 });
+    assert.equal(smtp.messages.length, 1);
+    assert.match(smtp.messages[0], /To: patient@example\.com/);
+  } finally {
+    getTransporter().close();
+    await smtp.close();
+  }
+});
+
+test('processOutbox schedules a retry when the SMTP server rejects a message', async () => {
+  const smtp = await startSmtpStandIn({ rejectRecipients: true });
+  process.env.EMAIL_HOST = '127.0.0.1';
+  process.env.EMAIL_PORT = String(smtp.port);
+  const client = outboxClient([outboxRow({ attempts: 1 })]);
+  const { processOutbox, getTransporter } = loadMailer(client);
+
+  try {
+    const stats = await processOutbox();
+
+    assert.deepEqual(stats, { sent: 0, retried: 1, failed: 0 });
+    const [id, status, attempts, , backoff] = client.updates[0].params;
+    assert.equal(id, 1);
+    assert.equal(status, 'pending');
+    assert.equal(attempts, 2);
+    assert.equal(backoff, 4);
+  } finally {
+    getTransporter().close();
+    await smtp.close();
+  }
+});
+
+test('processOutbox gives up after the last attempt', async () => {
+  const smtp = await startSmtpStandIn({ rejectRecipients: true });
+  process.env.EMAIL_HOST = '127.0.0.1';
+  process.env.EMAIL_PORT = String(smtp.port);
+  const client = outboxClient([outboxRow({ attempts: 4 })]);
+  const { processOutbox, getTransporter } = loadMailer(client);
+
+  try {
+    const stats = await processOutbox();
+
+    assert.deepEqual(stats, { sent: 0, retried: 0, failed: 1 });
+    assert.equal(client.updates[0].params[1], 'failed');
+  } finally {
+    getTransporter().close();
+    await smtp.close();
+  }
+});
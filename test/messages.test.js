@@ -0,0 +1,103 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { useFakeDatabase, fakeClient } = require('./helpers/fake-database');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const patient = {
+  id: 5,
+  email: 'alice@example.com',
+  first_name: 'Alice',
+  last_name: 'Martin',
+  role: 'patient',
+  is_active: true,
+  password_changed_at: null,
+  two_factor_enabled_at: null
+};
+
+let transactionClient;
+let transactions = 0;
+
+useFakeDatabase({
+  query: async (text) => {
+    if (text.includes('FROM users')) {
+      return { rows: [patient] };
+    }
+    if (text.includes('FROM appointments a')) {
+      return { rows: [{ id: 9, patient_id: patient.id, status: 'confirmed', doctor_user_id: 7 }] };
+    }
+    return {
+      rows: [{
+        id: 11,
+        appointment_id: 9,
+        sender_id: patient.id,
+        sender_first_name: 'Alice',
+        sender_last_name: 'Martin',
+        sender_role: 'patient',
+        body: 'Voici mes analyses',
+        attachments: [{ id: 1, originalName: 'analyses.pdf', mimeType: 'application/pdf', sizeBytes: 8 }]
+      }]
+    };
+  },
+  transaction: (callback) => {
+    transactions++;
+    return callback(transactionClient);
+  }
+});
+
+const router = require('../routes/routes-messages');
+
+const send = async (...files) => {
+  transactionClient = fakeClient([['INSERT INTO appointment_messages', { rows: [{ id: 11 }] }]]);
+  transactions = 0;
+
+  const body = new FormData();
+  body.append('body', 'Voici mes analyses');
+  files.forEach(([content, type, name]) => body.append('attachments', new Blob([content], { type }), name));
+
+  const app = express();
+  app.use('/api/messages', router);
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/api/messages/appointment/9`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${jwt.sign({ id: patient.id }, process.env.JWT_SECRET)}` },
+      body
+    });
+    return { status: response.status, body: await response.json() };
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+};
+
+test('stores attachments in the transaction that records the message', async () => {
+  const { status, body } = await send(['%PDF-1.4', 'application/pdf', 'analyses.pdf']);
+
+  assert.equal(status, 201);
+  assert.equal(body.data.attachments.length, 1);
+
+  const statements = transactionClient.calls.map(call => call.text);
+  const stored = transactionClient.calls.find(call => call.text.includes('INSERT INTO stored_files'));
+  const attachment = transactionClient.calls.find(call => call.text.includes('INSERT INTO appointment_message_attachments'));
+
+  assert.ok(statements.indexOf(stored.text) < statements.indexOf(attachment.text));
+  assert.match(stored.params[0], /^message-attachments\/[0-9a-f-]{36}\.pdf$/);
+  assert.equal(stored.params[3].toString(), '%PDF-1.4');
+  assert.equal(attachment.params[1], stored.params[0]);
+});
+
+test('a rejected attachment fails the request before anything is stored', async () => {
+  const { status, body } = await send(
+    ['%PDF-1.4', 'application/pdf', 'analyses.pdf'],
+    ['<svg/>', 'image/svg+xml', 'photo.svg']
+  );
+
+  assert.equal(status, 400);
+  assert.equal(body.message, 'Unsupported file type: image/svg+xml');
+  assert.equal(transactions, 0);
+  assert.equal(transactionClient.calls.length, 0);
+});
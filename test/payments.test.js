@@ -0,0 +1,176 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeDatabase, fakeClient } = require('./helpers/fake-database');
+
+let transactionClient;
+useFakeDatabase({ transaction: (callback) => callback(transactionClient) });
+
+delete process.env.PAYMENT_PROVIDER;
+process.env.MOCK_PAYMENT_WEBHOOK_SECRET = 'test-webhook-secret';
+
+const mockProvider = require('../services/payments/mock-provider');
+const { handleWebhookEvent, processPaymentOutbox, openPaymentIntent } = require('../services/payments');
+
+const originalProvider = { ...mockProvider };
+beforeEach(() => Object.assign(mockProvider, originalProvider));
+
+const event = (type, overrides = {}) => ({
+  eventId: 'evt_1',
+  type,
+  transactionId: 'mock_pi_1',
+  raw: { id: 'evt_1' },
+  ...overrides
+});
+
+const newEvent = ['INSERT INTO payment_webhook_events', { rows: [{ id: 1 }] }];
+
+test('a webhook event already processed is not applied again', async () => {
+  const client = fakeClient([['INSERT INTO payment_webhook_events', { rows: [] }]]);
+
+  const result = await handleWebhookEvent(client, 'mock', event('payment.succeeded'));
+
+  assert.deepEqual(result, { duplicate: true });
+  assert.equal(client.calls.length, 1);
+  assert.match(client.calls[0].text, /ON CONFLICT \(provider, event_id\) DO NOTHING/);
+});
+
+test('a succeeded consultation payment marks the appointment paid', async () => {
+  const client = fakeClient([
+    newEvent,
+    ["payment_status IN ('pending', 'failed')", { rows: [{ appointment_id: 4, payment_type: 'consultation' }] }]
+  ]);
+
+  const result = await handleWebhookEvent(client, 'mock', event('payment.succeeded'));
+
+  assert.deepEqual(result, { duplicate: false, updated: 1 });
+  assert.deepEqual(client.calls[1].params.slice(0, 3), ['mock', 'mock_pi_1', 'completed']);
+  assert.match(client.calls[2].text, /UPDATE appointments\s+SET payment_status = 'paid'/);
+  assert.deepEqual(client.calls[2].params, [4]);
+});
+
+test('a paid fee leaves the appointment payment status alone', async () => {
+  const client = fakeClient([
+    newEvent,
+    ["payment_status IN ('pending', 'failed')", { rows: [{ appointment_id: 4, payment_type: 'no_show_fee' }] }]
+  ]);
+
+  await handleWebhookEvent(client, 'mock', event('payment.succeeded'));
+
+  assert.equal(client.calls.length, 2);
+});
+
+test('a failed payment is recorded as failed', async () => {
+  const client = fakeClient([
+    newEvent,
+    ["payment_status IN ('pending', 'failed')", { rows: [{ appointment_id: 4, payment_type: 'consultation' }] }]
+  ]);
+
+  await handleWebhookEvent(client, 'mock', event('payment.failed'));
+
+  assert.equal(client.calls[1].params[2], 'failed');
+  assert.equal(client.calls.length, 2);
+});
+
+test('a payment succeeding after its intent was cancelled is refunded', async () => {
+  const client = fakeClient([
+    newEvent,
+    ["payment_status IN ('pending', 'failed')", { rows: [] }],
+    ["payment_status = 'cancelled'", { rows: [{ id: 12, amount: '40.00' }] }]
+  ]);
+
+  const result = await handleWebhookEvent(client, 'mock', event('payment.succeeded'));
+
+  assert.deepEqual(result, { duplicate: false, updated: 1 });
+  assert.match(client.calls[2].text, /SET payment_status = 'refunded', refunded_amount = amount/);
+  assert.match(client.calls[3].text, /INSERT INTO payment_outbox/);
+  assert.deepEqual(client.calls[3].params, [12, 'refund', '40.00']);
+});
+
+test('a success for an unknown payment changes nothing', async () => {
+  const client = fakeClient([newEvent]);
+
+  const result = await handleWebhookEvent(client, 'mock', event('payment.succeeded'));
+
+  assert.deepEqual(result, { duplicate: false, updated: 0 });
+  assert.ok(client.calls.every(call => !call.text.includes('payment_outbox')));
+});
+
+test('the mock provider only accepts webhooks signed with its secret', () => {
+  const body = Buffer.from(JSON.stringify({ id: 'evt_2', type: 'payment.succeeded', transactionId: 'mock_pi_2' }));
+
+  const parsed = mockProvider.parseWebhook(body, { 'x-mock-signature': mockProvider.signPayload(body) });
+  assert.deepEqual(
+    { eventId: parsed.eventId, type: parsed.type, transactionId: parsed.transactionId },
+    { eventId: 'evt_2', type: 'payment.succeeded', transactionId: 'mock_pi_2' }
+  );
+
+  const forged = Buffer.from(body.toString().replace('mock_pi_2', 'mock_pi_3'));
+  assert.throws(() => mockProvider.parseWebhook(forged, { 'x-mock-signature': mockProvider.signPayload(body) }), /Invalid webhook signature/);
+  assert.throws(() => mockProvider.parseWebhook(body, {}), /Invalid webhook signature/);
+});
+
+test('the mock provider refuses to verify without a configured secret', () => {
+  const secret = process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+  delete process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+
+  try {
+    assert.throws(() => mockProvider.parseWebhook(Buffer.from('{}'), { 'x-mock-signature': 'a'.repeat(64) }), /not configured/);
+  } finally {
+    process.env.MOCK_PAYMENT_WEBHOOK_SECRET = secret;
+  }
+});
+
+test('outbox refunds carry a stable idempotency key and complete once sent', async () => {
+  const calls = [];
+  mockProvider.refundPayment = async (options) => {
+    calls.push(options);
+    return { refundId: 'mock_re_1', status: 'succeeded', raw: {} };
+  };
+  transactionClient = fakeClient([
+    ['FROM payment_outbox o', {
+      rows: [{
+        id: 3, payment_id: 12, operation: 'refund', amount: '40.00', attempts: 0,
+        provider: 'mock', transaction_id: 'mock_pi_1', currency: 'EUR'
+      }]
+    }]
+  ]);
+
+  const stats = await processPaymentOutbox();
+
+  assert.deepEqual(stats, { completed: 1, retried: 0, failed: 0 });
+  assert.deepEqual(calls, [{ transactionId: 'mock_pi_1', amount: 40, currency: 'EUR', idempotencyKey: 'payment-outbox-3' }]);
+  assert.deepEqual(transactionClient.calls[1].params, [12, 'mock_re_1']);
+  assert.match(transactionClient.calls[2].text, /SET status = 'completed'/);
+});
+
+test('a failed outbox operation is retried later', async () => {
+  mockProvider.cancelPaymentIntent = async () => {
+    throw new Error('provider unavailable');
+  };
+  transactionClient = fakeClient([
+    ['FROM payment_outbox o', {
+      rows: [{
+        id: 4, payment_id: 13, operation: 'cancel_intent', amount: null, attempts: 2,
+        provider: 'mock', transaction_id: 'mock_pi_2', currency: 'EUR'
+      }]
+    }]
+  ]);
+
+  const stats = await processPaymentOutbox();
+
+  assert.deepEqual(stats, { completed: 0, retried: 1, failed: 0 });
+  assert.deepEqual(transactionClient.calls[1].params, [4, 'pending', 3, 'provider unavailable', 8]);
+});
+
+test('an intent opened for a payment cancelled meanwhile is cancelled too', async () => {
+  transactionClient = fakeClient([
+    ['SET transaction_id', { rows: [{ payment_status: 'cancelled' }] }]
+  ]);
+
+  await assert.rejects(
+    openPaymentIntent({ id: 12, appointment_id: 4, amount: '40.00', currency: 'EUR', provider: 'mock', payment_type: 'consultation' }),
+    /does not require payment/
+  );
+  assert.match(transactionClient.calls[1].text, /INSERT INTO payment_outbox/);
+  assert.deepEqual(transactionClient.calls[1].params, [12, 'cancel_intent', null]);
+});
@@ -0,0 +1,99 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { types } = require('pg');
+const { hashContent, sign, verify } = require('../services/prescriptions');
+
+process.env.PRESCRIPTION_SIGNING_SECRET = 'test-prescription-secret';
+
+const originalTimeZone = process.env.TZ;
+afterEach(() => {
+  process.env.TZ = originalTimeZone;
+});
+
+const parseDate = types.getTypeParser(1082);
+const parseTimestamptz = types.getTypeParser(1184);
+
+const items = [
+  { medication: 'Amoxicilline 500 mg', dosage: '1 gélule', frequency: '3 fois par jour', duration: '7 jours', quantity: '21' },
+  { medication: 'Paracétamol 1 g', dosage: '1 comprimé', frequency: 'si douleur', duration: '5 jours' }
+];
+
+// Prescription as the route signs it
+const issue = () => {
+  const prescription = {
+    public_id: '0b6f7c1e-3d52-4f5b-9a57-1c2d3e4f5a6b',
+    doctor_id: 2,
+    license_number: 'RPPS-10003456789',
+    patient_id: 5,
+    dependent_id: 8,
+    dependent_first_name: 'Léa',
+    dependent_last_name: 'Martin',
+    dependent_date_of_birth: '2015-06-01',
+    appointment_id: 9,
+    issued_at: new Date('2026-03-02T23:30:12.345Z'),
+    notes: undefined
+  };
+  const contentHash = hashContent(prescription, items);
+
+  return { ...prescription, content_hash: contentHash, signature: sign(contentHash, prescription.doctor_id) };
+};
+
+// The same row and items as node-postgres returns them: DATE and TIMESTAMPTZ
+// columns parsed back into Dates, NULLs for omitted values
+const readBack = (prescription) => ({
+  row: {
+    ...prescription,
+    dependent_date_of_birth: parseDate(prescription.dependent_date_of_birth),
+    issued_at: parseTimestamptz(prescription.issued_at.toISOString().replace('T', ' ').replace('Z', '+00')),
+    notes: null
+  },
+  items: items.map((item, index) => ({
+    id: index + 1,
+    position: index,
+    quantity: null,
+    instructions: null,
+    ...item
+  }))
+});
+
+test('a prescription still verifies once read back from the database', () => {
+  const { row, items: storedItems } = readBack(issue());
+
+  const check = verify(row, storedItems);
+
+  assert.equal(check.hashMatches, true);
+  assert.equal(check.signatureValid, true);
+});
+
+test('verification does not depend on the server time zone', () => {
+  process.env.TZ = 'Europe/Paris';
+  const prescription = issue();
+
+  for (const timeZone of ['Pacific/Auckland', 'America/Los_Angeles', 'UTC']) {
+    process.env.TZ = timeZone;
+    const { row, items: storedItems } = readBack(prescription);
+
+    assert.equal(verify(row, storedItems).hashMatches, true, timeZone);
+  }
+});
+
+test('edited content no longer matches the signed hash', () => {
+  const { row, items: storedItems } = readBack(issue());
+
+  storedItems[0].dosage = '2 gélules';
+  assert.equal(verify(row, storedItems).hashMatches, false);
+
+  const { row: redated, items: original } = readBack(issue());
+  redated.dependent_date_of_birth = parseDate('2015-06-02');
+  assert.equal(verify(redated, original).hashMatches, false);
+});
+
+test('a signature from another prescriber does not verify', () => {
+  const { row, items: storedItems } = readBack(issue());
+
+  row.signature = sign(row.content_hash, 3);
+
+  const check = verify(row, storedItems);
+  assert.equal(check.hashMatches, true);
+  assert.equal(check.signatureValid, false);
+});
@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { useFakeDatabase } = require('./helpers/fake-database');
+
+const queries = [];
+useFakeDatabase({
+  query: async (text, params) => {
+    queries.push({ text, params });
+    return {
+      rows: [{
+        id: 3,
+        name: 'Pédiatrie',
+        icon: 'baby',
+        description: 'Santé des enfants',
+        doctor_count: '4',
+        relevance: '0.8',
+        name_highlight: '<mark>Pédiatrie</mark>',
+        description_snippet: 'Santé des enfants'
+      }]
+    };
+  }
+});
+
+const router = require('../routes/routes-specialties');
+
+const request = async (path) => {
+  const app = express();
+  app.use('/api/specialties', router);
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`);
+    return { status: response.status, body: await response.json() };
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+};
+
+test('GET /search reaches the search handler rather than /:id', async () => {
+  queries.length = 0;
+
+  const { status, body } = await request('/api/specialties/search?q=pediatrie');
+
+  assert.equal(status, 200);
+  assert.equal(body.query, 'pediatrie');
+  assert.deepEqual(body.data[0].highlight, { name: '<mark>Pédiatrie</mark>', description: 'Santé des enfants' });
+  assert.match(queries[0].text, /websearch_to_tsquery/);
+  assert.deepEqual(queries[0].params, ['pediatrie']);
+});
+
+test('GET /search rejects queries shorter than two characters', async () => {
+  const { status, body } = await request('/api/specialties/search?q=p');
+
+  assert.equal(status, 400);
+  assert.match(body.message, /at least 2 characters/);
+});
+
+test('GET /:id still validates the specialty ID', async () => {
+  const { status, body } = await request('/api/specialties/abc');
+
+  assert.equal(status, 400);
+  assert.equal(body.message, 'Invalid specialty ID');
+});
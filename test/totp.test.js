@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { STEP_SECONDS, generateSecret, hotp, verifyCode, buildOtpauthUri } = require('../services/totp');
+
+// RFC 6238 appendix B, SHA-1 seed "12345678901234567890" (base32 below). The
+// RFC lists 8-digit values; authenticator apps use their last 6 digits.
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130']
+];
+
+const stepOf = (seconds) => Math.floor(seconds / STEP_SECONDS);
+
+test('matches the RFC 6238 test vectors', () => {
+  for (const [seconds, code] of RFC_VECTORS) {
+    assert.equal(hotp(RFC_SECRET, stepOf(seconds)), code, `T=${seconds}`);
+    assert.equal(verifyCode(RFC_SECRET, code, { now: seconds * 1000 }), stepOf(seconds), `T=${seconds}`);
+  }
+});
+
+test('accepts codes one step either side of now, and no further', () => {
+  const now = 1111111111 * 1000;
+  const step = stepOf(1111111111);
+
+  assert.equal(verifyCode(RFC_SECRET, hotp(RFC_SECRET, step - 1), { now }), step - 1);
+  assert.equal(verifyCode(RFC_SECRET, hotp(RFC_SECRET, step + 1), { now }), step + 1);
+  assert.equal(verifyCode(RFC_SECRET, hotp(RFC_SECRET, step - 2), { now }), null);
+  assert.equal(verifyCode(RFC_SECRET, hotp(RFC_SECRET, step + 2), { now }), null);
+});
+
+test('refuses a code for a step already used', () => {
+  const now = 1234567890 * 1000;
+  const code = hotp(RFC_SECRET, stepOf(1234567890));
+
+  const step = verifyCode(RFC_SECRET, code, { now });
+  assert.equal(verifyCode(RFC_SECRET, code, { now, afterStep: step }), null);
+  // A later code is still accepted after an earlier one was used
+  assert.equal(verifyCode(RFC_SECRET, hotp(RFC_SECRET, step + 1), { now, afterStep: step }), step + 1);
+});
+
+test('refuses malformed codes', () => {
+  const now = 59 * 1000;
+
+  for (const code of ['28708', '2870822', '28708a', '', null, 287082]) {
+    assert.equal(verifyCode(RFC_SECRET, code, { now }), null, String(code));
+  }
+});
+
+test('generates 160-bit base32 secrets', () => {
+  const secret = generateSecret();
+
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  assert.notEqual(generateSecret(), secret);
+});
+
+test('builds the otpauth URI authenticator apps import', () => {
+  const uri = buildOtpauthUri({ secret: RFC_SECRET, accountName: 'dr.martin@example.com', issuer: 'Consultation Médicale' });
+
+  assert.equal(
+    uri,
+    'otpauth://totp/Consultation%20M%C3%A9dicale:dr.martin%40example.com' +
+    `?secret=${RFC_SECRET}&issuer=Consultation%20M%C3%A9dicale&algorithm=SHA1&digits=6&period=30`
+  );
+});
@@ -0,0 +1,122 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { hashToken } = require('../services/tokens');
+const { hotp, STEP_SECONDS } = require('../services/totp');
+const twoFactor = require('../services/two-factor');
+
+const ENCRYPTION_KEY = 'test-two-factor-key';
+process.env.TWO_FACTOR_ENCRYPTION_KEY = ENCRYPTION_KEY;
+
+// In-memory users and two_factor_recovery_codes rows answering the queries of
+// services/two-factor.js
+const twoFactorStore = ({ secret, enabled = true, lastStep = null }) => {
+  const user = {
+    two_factor_secret: twoFactor.encryptSecret(secret),
+    two_factor_enabled_at: enabled ? new Date() : null,
+    two_factor_last_step: lastStep
+  };
+  const codes = [];
+
+  return {
+    user,
+    codes,
+    query: async (text, params) => {
+      if (text.includes('FROM users')) {
+        return { rows: [user] };
+      }
+      if (text.includes('SET two_factor_last_step')) {
+        user.two_factor_last_step = String(params[1]);
+        return { rows: [] };
+      }
+      if (text.includes('DELETE FROM two_factor_recovery_codes')) {
+        codes.length = 0;
+        return { rows: [] };
+      }
+      if (text.includes('INSERT INTO two_factor_recovery_codes')) {
+        params[1].forEach((codeHash, index) => codes.push({ id: index + 1, code_hash: codeHash, used_at: null }));
+        return { rows: [] };
+      }
+      if (text.includes('UPDATE two_factor_recovery_codes')) {
+        const code = codes.find(row => row.code_hash === params[1] && !row.used_at);
+        if (!code) {
+          return { rows: [] };
+        }
+        code.used_at = new Date();
+        return { rows: [{ id: code.id }] };
+      }
+      if (text.includes('COUNT(*)')) {
+        return { rows: [{ total: String(codes.filter(row => !row.used_at).length) }] };
+      }
+      throw new Error(`Unexpected query: ${text}`);
+    }
+  };
+};
+
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+test('encrypts secrets so only the key can read them back', () => {
+  const stored = twoFactor.encryptSecret(SECRET);
+
+  assert.ok(!stored.includes(SECRET));
+  assert.notEqual(twoFactor.encryptSecret(SECRET), stored);
+  assert.equal(twoFactor.decryptSecret(stored), SECRET);
+
+  process.env.TWO_FACTOR_ENCRYPTION_KEY = 'another-key';
+  try {
+    assert.throws(() => twoFactor.decryptSecret(stored));
+  } finally {
+    process.env.TWO_FACTOR_ENCRYPTION_KEY = ENCRYPTION_KEY;
+  }
+});
+
+test('a recovery code works once, whatever its formatting', async () => {
+  const store = twoFactorStore({ secret: SECRET });
+  const codes = await twoFactor.replaceRecoveryCodes(store, 1);
+
+  assert.equal(codes.length, 10);
+  assert.match(codes[0], /^[0-9a-f]{5}-[0-9a-f]{5}$/);
+  assert.ok(store.codes.every(row => !codes.includes(row.code_hash)));
+  assert.equal(store.codes[0].code_hash, hashToken(codes[0].replace('-', '')));
+
+  const typed = ` ${codes[0].toUpperCase().replace('-', ' - ')} `;
+  const first = await twoFactor.verifySecondFactor(store, 1, { recoveryCode: typed });
+  assert.deepEqual(first, { method: 'recovery_code', remainingRecoveryCodes: 9 });
+
+  assert.equal(await twoFactor.verifySecondFactor(store, 1, { recoveryCode: codes[0] }), null);
+  assert.equal(await twoFactor.verifySecondFactor(store, 1, { recoveryCode: 'aaaaa-bbbbb' }), null);
+
+  const second = await twoFactor.verifySecondFactor(store, 1, { recoveryCode: codes[1] });
+  assert.equal(second.remainingRecoveryCodes, 8);
+});
+
+test('replacing recovery codes invalidates the previous ones', async () => {
+  const store = twoFactorStore({ secret: SECRET });
+  const previous = await twoFactor.replaceRecoveryCodes(store, 1);
+  await twoFactor.replaceRecoveryCodes(store, 1);
+
+  assert.equal(await twoFactor.verifySecondFactor(store, 1, { recoveryCode: previous[0] }), null);
+});
+
+test('recovery codes cannot confirm a pending enrolment', async () => {
+  const store = twoFactorStore({ secret: SECRET, enabled: false });
+  const codes = await twoFactor.replaceRecoveryCodes(store, 1);
+
+  assert.equal(await twoFactor.verifySecondFactor(store, 1, { recoveryCode: codes[0], pending: true }), null);
+});
+
+test('a TOTP code is remembered so it cannot be replayed', async () => {
+  const store = twoFactorStore({ secret: SECRET });
+  const code = hotp(SECRET, Math.floor(Date.now() / 1000 / STEP_SECONDS));
+
+  assert.deepEqual(await twoFactor.verifySecondFactor(store, 1, { code }), { method: 'totp' });
+  assert.notEqual(store.user.two_factor_last_step, null);
+  assert.equal(await twoFactor.verifySecondFactor(store, 1, { code }), null);
+});
+
+test('TOTP codes check against the secret being enrolled only with pending', async () => {
+  const store = twoFactorStore({ secret: SECRET, enabled: false });
+  const code = hotp(SECRET, Math.floor(Date.now() / 1000 / STEP_SECONDS));
+
+  assert.equal(await twoFactor.verifySecondFactor(store, 1, { code }), null);
+  assert.deepEqual(await twoFactor.verifySecondFactor(store, 1, { code, pending: true }), { method: 'totp' });
+});
@@ -0,0 +1,97 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { useFakeDatabase, fakeClient } = require('./helpers/fake-database');
+
+useFakeDatabase({
+  query: async () => ({ rows: [{ mime_type: 'application/pdf', data: Buffer.from('%PDF-1.4 stored') }] })
+});
+
+const { uploadFiles, storeUpload, sendStoredFile } = require('../middleware/upload');
+
+// App storing every received file through a fake transaction client
+const startApp = () => {
+  const client = fakeClient();
+  const app = express();
+
+  app.post('/upload', uploadFiles({ directory: 'doctor-documents', field: 'documents' }), async (req, res) => {
+    const paths = [];
+    for (const file of req.files) {
+      paths.push(await storeUpload(client, file));
+    }
+    res.json({ paths });
+  });
+
+  app.get('/download', async (req, res) => {
+    await sendStoredFile(res, 'doctor-documents/a.pdf', 'diplôme.pdf');
+  });
+
+  const server = app.listen(0, '127.0.0.1');
+  return new Promise((resolve) => server.once('listening', () => resolve({
+    client,
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((done) => server.close(done))
+  })));
+};
+
+const form = (...files) => {
+  const body = new FormData();
+  files.forEach(([content, type, name]) => body.append('documents', new Blob([content], { type }), name));
+  return body;
+};
+
+test('stores accepted files in the database under their directory', async () => {
+  const app = await startApp();
+
+  try {
+    const response = await fetch(`${app.url}/upload`, {
+      method: 'POST',
+      body: form(['%PDF-1.4 license', 'application/pdf', '../../Licence.PDF'])
+    });
+    const { paths } = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.match(paths[0], /^doctor-documents\/[0-9a-f-]{36}\.pdf$/);
+
+    const [path, mimeType, size, data] = app.client.calls[0].params;
+    assert.match(app.client.calls[0].text, /INSERT INTO stored_files/);
+    assert.equal(path, paths[0]);
+    assert.equal(mimeType, 'application/pdf');
+    assert.equal(size, 16);
+    assert.equal(data.toString(), '%PDF-1.4 license');
+  } finally {
+    await app.close();
+  }
+});
+
+test('a rejected file fails the whole request without storing anything', async () => {
+  const app = await startApp();
+
+  try {
+    const response = await fetch(`${app.url}/upload`, {
+      method: 'POST',
+      body: form(['%PDF-1.4 license', 'application/pdf', 'license.pdf'], ['MZ', 'application/x-msdownload', 'setup.exe'])
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).message, 'Unsupported file type: application/x-msdownload');
+    assert.equal(app.client.calls.length, 0);
+  } finally {
+    await app.close();
+  }
+});
+
+test('sends a stored file as a download', async () => {
+  const app = await startApp();
+
+  try {
+    const response = await fetch(`${app.url}/download`);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'application/pdf');
+    assert.match(response.headers.get('content-disposition'), /^attachment;/);
+    assert.equal(await response.text(), '%PDF-1.4 stored');
+  } finally {
+    await app.close();
+  }
+});